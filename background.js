@@ -1,9 +1,11 @@
-// background.js - Fixed race condition with proper locking
+// background.js - Worker pool over chat tabs (Gemini, ChatGPT, Claude), with per-worker locking
+
+importScripts('settings.js', 'prompt.js', 'schema.js', 'providers.js', 'input.js', 'normalize.js', 'clients.js', 'rules.js', 'webhook.js', 'cache.js');
 
 // ============ INDEXEDDB SETUP ============
 const DB_NAME = 'GeminiExtractorDB';
-const DB_VERSION = 1;
-const STORES = { JOB_DATA: 'jobData', RESULTS: 'results' };
+const DB_VERSION = 5;
+const STORES = { JOB_DATA: 'jobData', RESULTS: 'results', PROMPTS: 'prompts', OUTBOX: 'outbox', CACHE: 'cache', CLIENTS: 'clients' };
 
 let dbInstance = null;
 
@@ -22,6 +24,18 @@ function initDB() {
                 const store = db.createObjectStore(STORES.RESULTS, { keyPath: 'id', autoIncrement: true });
                 store.createIndex('fileId', 'fileId', { unique: false });
             }
+            if (!db.objectStoreNames.contains(STORES.PROMPTS)) {
+                db.createObjectStore(STORES.PROMPTS, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+                db.createObjectStore(STORES.OUTBOX, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains(STORES.CACHE)) {
+                db.createObjectStore(STORES.CACHE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(STORES.CLIENTS)) {
+                db.createObjectStore(STORES.CLIENTS, { keyPath: 'id', autoIncrement: true });
+            }
         };
     });
 }
@@ -32,7 +46,19 @@ async function getJobData(fileId) {
         const tx = db.transaction(STORES.JOB_DATA, 'readonly');
         const store = tx.objectStore(STORES.JOB_DATA);
         const request = store.get(fileId);
-        request.onsuccess = () => resolve(request.result ? request.result.jobs : null);
+        // Rows are stored as uploaded; the file's field mapping turns them into jobs
+        request.onsuccess = () => resolve(request.result ? ExtractorInput.applyMapping(request.result.jobs, request.result.mapping) : null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getPrompt(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.PROMPTS, 'readonly');
+        const store = tx.objectStore(STORES.PROMPTS);
+        const request = store.get(id);
+        request.onsuccess = () => resolve(request.result || null);
         request.onerror = () => reject(request.error);
     });
 }
@@ -48,21 +74,142 @@ async function addResult(result) {
     });
 }
 
+async function getAllResults() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.RESULTS, 'readonly');
+        const store = tx.objectStore(STORES.RESULTS);
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Result cache: one entry per job identity + prompt version + backend (see cache.js)
+async function getCachedResult(key) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.CACHE, 'readonly');
+        const store = tx.objectStore(STORES.CACHE);
+        const request = store.get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function putCachedResult(entry) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.CACHE, 'readwrite');
+        const store = tx.objectStore(STORES.CACHE);
+        const request = store.put(entry);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Client knowledge base (see clients.js)
+async function getAllClients() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.CLIENTS, 'readonly');
+        const store = tx.objectStore(STORES.CLIENTS);
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Replace every client (rebuild from results); pass [] to clear
+async function replaceAllClients(clients) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.CLIENTS, 'readwrite');
+        const store = tx.objectStore(STORES.CLIENTS);
+        store.clear();
+        clients.forEach(client => store.put(client));
+        tx.oncomplete = () => resolve(clients.length);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Write a merged client and delete the clients it absorbed, in one transaction
+async function saveClientMerge(client, removedIds) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.CLIENTS, 'readwrite');
+        const store = tx.objectStore(STORES.CLIENTS);
+        removedIds.forEach(id => store.delete(id));
+        const request = store.put(client);
+        request.onsuccess = () => { client.id = request.result; };
+        tx.oncomplete = () => resolve(client);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Webhook outbox: one entry per result waiting to be delivered
+async function getOutbox() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.OUTBOX, 'readonly');
+        const store = tx.objectStore(STORES.OUTBOX);
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Add new entries (no id) and update existing ones in one transaction
+async function putOutboxEntries(entries) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.OUTBOX, 'readwrite');
+        const store = tx.objectStore(STORES.OUTBOX);
+        for (const entry of entries) store.put(entry);
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function deleteOutboxEntries(ids) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.OUTBOX, 'readwrite');
+        const store = tx.objectStore(STORES.OUTBOX);
+        for (const id of ids) store.delete(id);
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function clearOutbox() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.OUTBOX, 'readwrite');
+        const store = tx.objectStore(STORES.OUTBOX);
+        const request = store.clear();
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // ============ STATE MANAGEMENT ============
+// Every selected chat tab is a "worker" with its own alarms and state.
+// Alarm names carry the tab id: `processNextJob:<tabId>`, `typingTimeout:<tabId>`
+// In API mode there is a single worker whose id is API_WORKER_ID instead of a tab id.
 const ALARM_NAME = 'processNextJob';
+const API_WORKER_ID = 'api';
 const TIMEOUT_ALARM = 'typingTimeout';
 const STATE_KEY = 'processingState';
+const WORKER_KEY_PREFIX = 'worker:';
 const TYPING_TIMEOUT_SECONDS = 180; // 3 minutes max for any single job
+const COMPLETION_FALLBACK_SECONDS = 15; // polling after the reply observer timed out (content.js)
 
+// Run-level state: is a run active, and which tabs are its workers
 async function getState() {
     return new Promise((resolve) => {
         chrome.storage.local.get([STATE_KEY], (result) => {
-            resolve(result[STATE_KEY] || {
-                isProcessing: false,
-                currentTabId: null,
-                isTyping: false,
-                typingStartedAt: null  // Track when typing started
-            });
+            resolve({ isProcessing: false, workerTabIds: [], backend: 'chat', providerId: ExtractorProviders.DEFAULT_PROVIDER, ...(result[STATE_KEY] || {}) });
         });
     });
 }
@@ -75,70 +222,150 @@ async function setState(updates) {
     });
 }
 
-async function clearState() {
-    chrome.alarms.clear(TIMEOUT_ALARM);
-    return setState({
-        isProcessing: false,
-        currentTabId: null,
+// Per-worker state lives under its own key, so parallel workers never
+// overwrite each other's lock
+function workerKey(tabId) {
+    return `${WORKER_KEY_PREFIX}${tabId}`;
+}
+
+function newWorkerState(tabId, label, title) {
+    return {
+        tabId: tabId,
+        label: label,
+        title: title || "",
+        status: 'idle',         // idle | typing | done | stopped | closed | error
         isTyping: false,
-        typingStartedAt: null
+        typingStartedAt: null,  // Track when typing started
+        activeJob: null,        // { fileId, jobIndex, title } of the job being typed
+        completed: 0,
+        failed: 0,
+        lastError: "",
+        lastActiveAt: null
+    };
+}
+
+async function getWorker(tabId) {
+    const key = workerKey(tabId);
+    return new Promise((resolve) => {
+        chrome.storage.local.get([key], (result) => {
+            resolve(result[key] || newWorkerState(tabId, `Tab ${tabId}`));
+        });
+    });
+}
+
+async function setWorker(tabId, updates) {
+    const current = await getWorker(tabId);
+    const newWorker = { ...current, ...updates };
+    return new Promise((resolve) => {
+        chrome.storage.local.set({ [workerKey(tabId)]: newWorker }, () => resolve(newWorker));
     });
 }
 
+async function getWorkers() {
+    const state = await getState();
+    return Promise.all(state.workerTabIds.map(getWorker));
+}
+
+async function clearState() {
+    const state = await getState();
+    for (const tabId of state.workerTabIds) {
+        chrome.alarms.clear(`${ALARM_NAME}:${tabId}`);
+        chrome.alarms.clear(`${TIMEOUT_ALARM}:${tabId}`);
+        const worker = await getWorker(tabId);
+        await setWorker(tabId, {
+            status: worker.status === 'closed' ? 'closed' : 'stopped',
+            isTyping: false,
+            typingStartedAt: null,
+            activeJob: null
+        });
+    }
+    return setState({ isProcessing: false, runEndedAt: Date.now() });
+}
+
+// Logs from a worker are prefixed with its label when several tabs run
+async function workerLog(tabId, message) {
+    const state = await getState();
+    if (state.workerTabIds.length > 1) {
+        const worker = await getWorker(tabId);
+        message = `[${worker.label}] ${message}`;
+    }
+    chrome.runtime.sendMessage({ action: "UI_LOG", message: message });
+}
+
+// ============ QUEUE LOCK ============
+// All workers share fileQueue. Every read-modify-write of it goes through this
+// lock (workers all run inside this one service worker, so a promise chain is enough)
+let queueLock = Promise.resolve();
+
+function withQueueLock(fn) {
+    const run = queueLock.then(fn, fn);
+    queueLock = run.catch(() => {});
+    return run;
+}
+
 // ============ ALARM HANDLER ============
 chrome.alarms.onAlarm.addListener(async (alarm) => {
-    if (alarm.name === ALARM_NAME) {
-        const state = await getState();
+    if (alarm.name === WEBHOOK_ALARM) {
+        await flushOutbox({ force: true });
+        return;
+    }
+
+    const [name, tabIdText] = alarm.name.split(':');
+    const tabId = tabIdText === API_WORKER_ID ? API_WORKER_ID : parseInt(tabIdText, 10);
+    if (tabId !== API_WORKER_ID && !Number.isInteger(tabId)) return;
+
+    if (name === ALARM_NAME) {
+        const worker = await getWorker(tabId);
         
-        // CRITICAL: Don't process if already typing
-        if (state.isTyping) {
-            console.log('⏳ Still typing, skipping alarm');
+        // CRITICAL: Don't process if this worker is already typing
+        if (worker.isTyping) {
+            console.log(`⏳ ${worker.label} still typing, skipping alarm`);
             return;
         }
         
-        console.log('⏰ Alarm fired - processing next job');
-        await processNextJob();
+        console.log(`⏰ Alarm fired - ${worker.label} processing next job`);
+        await processNextJob(tabId);
     }
     
-    // SAFETY TIMEOUT: If typing takes too long, force reset and retry
-    if (alarm.name === TIMEOUT_ALARM) {
-        const state = await getState();
+    // SAFETY TIMEOUT: If typing takes too long, count it as a failed attempt
+    if (name === TIMEOUT_ALARM) {
+        const worker = await getWorker(tabId);
         
-        if (state.isTyping && state.typingStartedAt) {
-            const elapsed = Date.now() - state.typingStartedAt;
-            console.log(`⚠️ Typing timeout! Elapsed: ${elapsed}ms`);
-            
-            chrome.runtime.sendMessage({ 
-                action: "UI_LOG", 
-                message: `⚠️ Job timed out (${Math.round(elapsed/1000)}s). Retrying...` 
-            });
+        if (worker.isTyping && worker.typingStartedAt) {
+            const elapsed = Date.now() - worker.typingStartedAt;
+            console.log(`⚠️ ${worker.label} typing timeout! Elapsed: ${elapsed}ms`);
             
-            // Force reset the lock and retry the same job
-            await setState({ isTyping: false, typingStartedAt: null });
-            scheduleNextJob(2);
+            await workerLog(tabId, `⚠️ Job timed out (${Math.round(elapsed/1000)}s).`);
+            await handleJobFailure(tabId, worker.activeJob, `Timed out after ${Math.round(elapsed/1000)}s`);
         }
     }
 });
 
-function scheduleNextJob(delaySeconds = 3) {
+function scheduleNextJob(tabId, delaySeconds = 3) {
+    const alarmName = `${ALARM_NAME}:${tabId}`;
     // ALWAYS clear existing alarm first to prevent duplicates
-    chrome.alarms.clear(ALARM_NAME, () => {
-        chrome.alarms.create(ALARM_NAME, { delayInMinutes: delaySeconds / 60 });
-        console.log(`📅 Scheduled next job in ${delaySeconds}s`);
+    chrome.alarms.clear(alarmName, () => {
+        chrome.alarms.create(alarmName, { delayInMinutes: delaySeconds / 60 });
+        console.log(`📅 Scheduled next job for tab ${tabId} in ${delaySeconds}s`);
     });
 }
 
-function cancelScheduledJob() {
-    chrome.alarms.clear(ALARM_NAME);
+function cancelScheduledJob(tabId) {
+    chrome.alarms.clear(`${ALARM_NAME}:${tabId}`);
 }
 
 // ============ SERVICE WORKER STARTUP ============
 chrome.runtime.onStartup.addListener(async () => {
     console.log('🔄 Service worker started');
+    flushOutbox({ force: true }); // results left undelivered before the restart
     const state = await getState();
-    if (state.isProcessing && !state.isTyping) {
-        chrome.runtime.sendMessage({ action: "UI_LOG", message: "🔄 Resuming processing..." });
-        scheduleNextJob(2);
+    if (!state.isProcessing) return;
+
+    chrome.runtime.sendMessage({ action: "UI_LOG", message: "🔄 Resuming processing..." });
+    for (const worker of await getWorkers()) {
+        if (!worker.isTyping && (worker.status === 'idle' || worker.status === 'done')) {
+            scheduleNextJob(worker.tabId, 2);
+        }
     }
 });
 
@@ -147,6 +374,28 @@ chrome.runtime.onInstalled.addListener(async () => {
     await clearState();
 });
 
+// A worker's tab was closed: give its job back to the queue
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const state = await getState();
+    if (!state.workerTabIds.includes(tabId)) return;
+
+    cancelScheduledJob(tabId);
+    chrome.alarms.clear(`${TIMEOUT_ALARM}:${tabId}`);
+    const worker = await getWorker(tabId);
+    await setWorker(tabId, { status: 'closed', isTyping: false, typingStartedAt: null, activeJob: null });
+
+    if (state.isProcessing) {
+        chrome.runtime.sendMessage({ action: "UI_LOG", message: `🚪 ${worker.label} tab was closed.` });
+        if (worker.activeJob) {
+            const jobIndexes = activeJobIndexes(worker.activeJob);
+            await withQueueLock(() => updateFile(worker.activeJob.fileId, file => jobIndexes.forEach(index => requeueLease(file, index))));
+            await wakeIdleWorkers();
+        }
+        await finishRunIfIdle();
+    }
+    chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
+});
+
 // ============ MAIN EXTENSION LOGIC ============
 
 chrome.action.onClicked.addListener((tab) => {
@@ -154,46 +403,108 @@ chrome.action.onClicked.addListener((tab) => {
 });
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === "START_PROCESSING") handleStartRequest();
+  if (request.action === "START_PROCESSING") handleStartRequest(request.tabIds || [], { forceRefresh: !!request.forceRefresh });
     if (request.action === "LOG") {
-        try { chrome.runtime.sendMessage({ action: "UI_LOG", message: request.message }); } catch(e) {}
+        try {
+            if (sender.tab) workerLog(sender.tab.id, request.message);
+            else chrome.runtime.sendMessage({ action: "UI_LOG", message: request.message });
+        } catch(e) {}
+    }
+  if (request.action === "JOB_PROCESSED" && sender.tab) processCompletedJob(sender.tab.id, request);
+  if (request.action === "BATCH_PROCESSED" && sender.tab) processCompletedBatch(sender.tab.id, request);
+    if (request.action === "JOB_FAILED" && sender.tab) {
+        handleJobFailure(sender.tab.id, { fileId: request.fileId, jobIndex: request.jobIndex, leaseId: request.leaseId }, request.error);
     }
-  if (request.action === "JOB_PROCESSED") processCompletedJob(request.aiResult, request.originalJob, request.fileId);
     if (request.action === "STOP_PROCESSING") stopProcessing();
+    if (request.action === "WEBHOOK_FLUSH") flushOutbox({ force: true });
+    if (request.action === "WEBHOOK_CLEAR") {
+        clearOutbox().then(() => {
+            chrome.alarms.clear(WEBHOOK_ALARM);
+            return setWebhookStatus({ pending: 0, nextAttemptAt: null, lastError: '' });
+        });
+    }
+    if (request.action === "FILE_QUEUE_UPDATE") {
+        updateFileQueue(request.operation, request.args).then(
+            outcome => sendResponse({ ok: true, outcome }),
+            error => sendResponse({ ok: false, error: error.message })
+        );
+        return true; // reply is sent asynchronously
+    }
+    // Review decisions and edits change what a result says about its client
+    if (request.action === "CLIENTS_REMERGE") mergeIntoClients([request.result], null);
+    if (request.action === "CLIENTS_REBUILD") {
+        rebuildClients().then(sendResponse, error => sendResponse({ ok: false, error: error.message }));
+        return true; // reply is sent asynchronously
+    }
+    if (request.action === "CLIENTS_CLEAR") {
+        withClientMerges(() => replaceAllClients([])).then(() => sendResponse({ ok: true }), error => sendResponse({ ok: false, error: error.message }));
+        return true;
+    }
+    if (request.action === "WEBHOOK_TEST") {
+        sendWebhookTest().then(sendResponse);
+        return true; // reply is sent asynchronously
+    }
 });
 
 async function stopProcessing() {
-    cancelScheduledJob();
-    chrome.alarms.clear(TIMEOUT_ALARM);
+    const workers = await getWorkers();
+    for (const worker of workers) {
+        cancelScheduledJob(worker.tabId);
+        chrome.alarms.clear(`${TIMEOUT_ALARM}:${worker.tabId}`);
+    }
+    // Jobs being typed go back to the queue (not counted as failed attempts)
+    await releaseAllLeases();
     await clearState();
+    flushOutbox({ force: true });
     chrome.runtime.sendMessage({ action: "UI_LOG", message: "⏹️ Processing stopped." });
     chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
 }
 
-async function handleStartRequest() {
+function isProviderTab(tab, provider) {
+    return !!(tab && tab.url && provider.matchesUrl(tab.url));
+}
+
+// tabIds: chat tabs picked in the side panel; none = the active tab only.
+// In API mode no tab is needed: one worker calls the REST endpoint.
+// forceRefresh: ask the model even for jobs with a cached answer (this run only)
+async function handleStartRequest(tabIds, { forceRefresh = false } = {}) {
     try {
-        const state = await getState();
+        const workers = await getWorkers();
         
         // Prevent double-start
-        if (state.isTyping) {
+        if (workers.some(worker => worker.isTyping)) {
             chrome.runtime.sendMessage({ action: "UI_LOG", message: "⏳ Already processing, please wait..." });
             return;
         }
         
+        // The backend and provider are chosen per run in the side panel
+        const settings = await ExtractorSettings.get();
+        const provider = ExtractorProviders.get(settings.provider);
+        const apiBackend = API_BACKENDS[settings.backend] || null;
+        const useApi = !!apiBackend;
+        const rulesOnly = settings.backend === RULES_BACKEND;
+
+        let tabs = [];
+        if (useApi) {
+            const problem = apiBackend.checkSettings(settings);
+            if (problem) {
+                chrome.runtime.sendMessage({ action: "UI_LOG", message: `❌ ${problem}` });
+                return;
+            }
+        } else if (rulesOnly) {
+            // No model and no tab: one worker saves the rule-based candidates
+        } else if (tabIds.length > 0) {
+            const picked = await Promise.all(tabIds.map(id => chrome.tabs.get(id).catch(() => null)));
+            tabs = picked.filter(tab => isProviderTab(tab, provider));
+        } else {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (!tab || !tab.url.includes("gemini.google.com")) {
-    chrome.runtime.sendMessage({ action: "UI_LOG", message: "❌ Open Gemini first!" });
+            if (isProviderTab(tab, provider)) tabs = [tab];
+        }
+  if (!useApi && !rulesOnly && tabs.length === 0) {
+    chrome.runtime.sendMessage({ action: "UI_LOG", message: `❌ Open ${provider.name} first!` });
     return;
   }
         
-        await setState({
-            isProcessing: true,
-            currentTabId: tab.id,
-            isTyping: false
-        });
-        
-        chrome.runtime.sendMessage({ action: "UI_LOG", message: "✅ Connected to Gemini tab." });
-        
         try {
             await initDB();
         } catch (dbError) {
@@ -201,20 +512,50 @@ async function handleStartRequest() {
             await clearState();
             return;
         }
+
+        // Leases left over from an interrupted run go back to the queue
+        await releaseAllLeases();
+
+        const previous = await getState();
+        await chrome.storage.local.remove(previous.workerTabIds.map(workerKey));
+
+        if (forceRefresh) {
+            chrome.runtime.sendMessage({ action: "UI_LOG", message: "♻️ Force refresh: cached answers are ignored this run" });
+        }
+
+        if (useApi || rulesOnly) {
+            const description = rulesOnly ? 'rules only (no model)' : apiBackend.describe(settings);
+            await chrome.storage.local.set({ [workerKey(API_WORKER_ID)]: newWorkerState(API_WORKER_ID, rulesOnly ? 'Rules' : 'API', description) });
+            await setState({ isProcessing: true, workerTabIds: [API_WORKER_ID], backend: settings.backend, providerId: provider.id, runStartedAt: Date.now(), forceRefresh });
+            chrome.runtime.sendMessage({ action: "UI_LOG", message: `✅ Using ${description}.` });
+            scheduleNextJob(API_WORKER_ID, 1);
+            return;
+        }
+
+        for (const [i, tab] of tabs.entries()) {
+            await chrome.storage.local.set({ [workerKey(tab.id)]: newWorkerState(tab.id, `W${i + 1}`, tab.title) });
+        }
+        await setState({ isProcessing: true, workerTabIds: tabs.map(tab => tab.id), backend: 'chat', providerId: provider.id, runStartedAt: Date.now(), forceRefresh });
+        
+        chrome.runtime.sendMessage({ action: "UI_LOG", message: `✅ Connected to ${tabs.length} ${provider.name} tab(s).` });
   
+        tabs.forEach((tab, i) => {
   chrome.scripting.executeScript({
             target: { tabId: tab.id },
-    files: ["content.js"]
+    files: ["schema.js", "providers.js", "content.js"]
         }, async () => {
             if (chrome.runtime.lastError) {
-                chrome.runtime.sendMessage({ action: "UI_LOG", message: `❌ Script error: ${chrome.runtime.lastError.message}` });
-                await clearState();
+                const message = chrome.runtime.lastError.message;
+                await setWorker(tab.id, { status: 'error', lastError: message });
+                await workerLog(tab.id, `❌ Script error: ${message}`);
+                await finishRunIfIdle();
                 return;
             }
             
-            // Directly start processing jobs (prompt is included with each job now)
-            chrome.runtime.sendMessage({ action: "UI_LOG", message: "🚀 Starting job processing..." });
-            scheduleNextJob(1);
+            // Stagger workers so the tabs don't all type at the same moment
+            await workerLog(tab.id, "🚀 Starting job processing...");
+            scheduleNextJob(tab.id, 1 + i * 2);
+        });
         });
     } catch (error) {
         chrome.runtime.sendMessage({ action: "UI_LOG", message: `❌ Start failed: ${error.message}` });
@@ -222,206 +563,1254 @@ async function handleStartRequest() {
     }
 }
 
-async function processNextJob() {
+async function processNextJob(tabId) {
     const state = await getState();
     
     if (!state.isProcessing) {
         console.log('Not processing - skipping');
         return;
     }
+
+    const worker = await getWorker(tabId);
+    if (worker.status === 'closed' || worker.status === 'error') return;
     
     // CRITICAL: Check if already typing
-    if (state.isTyping) {
+    if (worker.isTyping) {
         console.log('Already typing - skipping');
         return;
     }
 
+    let lease = null;
     try {
-        const result = await chrome.storage.local.get(['fileQueue']);
-        const files = result.fileQueue || [];
-        
-        // Find first incomplete file
-        let targetFile = null;
-        let targetFileIndex = -1;
-        
-    for (let i = 0; i < files.length; i++) {
-      if (files[i].status !== 'complete') {
-                targetFile = files[i];
-                targetFileIndex = i;
-                break; 
-            }
-          }
+        const settings = await ExtractorSettings.get();
+        lease = await leaseNextJob(tabId, settings);
 
-        if (!targetFile) {
-            await clearState();
-            chrome.runtime.sendMessage({ action: "UI_LOG", message: "🎉 All files finished!" });
-            chrome.runtime.sendMessage({ action: "AUTO_EXPORT_CSV" });
+        if (!lease) {
+            // Nothing left for this worker; the run ends once every worker is idle
+            await setWorker(tabId, { status: 'done' });
+            chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
+            await finishRunIfIdle();
             return;
         }
 
-        // Get job data
-        let jobs;
-        try {
-            jobs = await getJobData(targetFile.id);
-        } catch (dbError) {
-            chrome.runtime.sendMessage({ action: "UI_LOG", message: `❌ DB error: ${dbError.message}` });
-            files[targetFileIndex].status = 'complete';
-            await chrome.storage.local.set({ fileQueue: files });
-            scheduleNextJob(2);
-            return;
-        }
-        
-        if (!jobs || jobs.length === 0) {
-            chrome.runtime.sendMessage({ action: "UI_LOG", message: `⚠️ No jobs in "${targetFile.name}", skipping...` });
-            files[targetFileIndex].status = 'complete';
-            await chrome.storage.local.set({ fileQueue: files });
-            chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
-            scheduleNextJob(1);
+        const { file: targetFile, jobs } = lease;
+        const activePrompt = await getActivePrompt(settings);
+        const schema = ExtractorSchema.resolve(settings.outputSchema);
+        const promptInfo = { id: activePrompt.id, name: activePrompt.name, version: activePrompt.version };
+
+        // Rules only: the pattern candidates are the answer, nothing is sent
+        if (state.backend === RULES_BACKEND) {
+            await saveRuleResults(tabId, lease, { settings, schema });
+            scheduleNextJob(tabId, 1);
             return;
         }
 
-        const currentJobIndex = targetFile.currentJobIndex || 0;
-        
-        if (currentJobIndex >= jobs.length) {
-            files[targetFileIndex].status = 'complete';
-            await chrome.storage.local.set({ fileQueue: files });
-            chrome.runtime.sendMessage({ action: "UI_LOG", message: `🏁 File "${targetFile.name}" completed!` });
-            chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
-            scheduleNextJob(1);
-            return;
+        // Jobs answered before (any file, any run) are saved from the cache; the rest is sent
+        if (!state.forceRefresh) {
+            const cacheScope = ExtractorCache.answerScope(state, settings);
+            const cachedIndexes = await saveCachedResults(tabId, lease, { settings, schema, promptInfo, cacheScope });
+            lease.jobIndexes = lease.jobIndexes.filter(index => !cachedIndexes.includes(index));
+            if (lease.jobIndexes.length === 0) {
+                scheduleNextJob(tabId, 1);
+                return;
+            }
         }
 
-        const currentJob = jobs[currentJobIndex];
+        const { jobIndexes } = lease;
+        const jobIndex = jobIndexes[0];
+        const currentJob = jobs[jobIndex];
+        const batch = jobIndexes.map(index => ({
+            jobIndex: index,
+            jobKey: batchJobKey(index),
+            childJobs: settings.groupChildJobs ? getChildJobs(jobs[index], jobs) : []
+        }));
+        const childJobs = batch[0].childJobs;
 
-        // Update status
-        if (targetFile.status === 'pending') {
-            files[targetFileIndex].status = 'processing';
-            await chrome.storage.local.set({ fileQueue: files });
-            chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
-        }
+        // Rule-based candidates go along as unverified hints
+        const hintsFor = job => settings.ruleHints ? ExtractorRules.toHints(extractRuleCandidates(job, settings)) : null;
 
-        const displayNum = currentJobIndex + 1;
+        // One job keeps the single-object format; several go out as one message
+        const message = batch.length === 1
+            ? ExtractorPrompt.buildJobMessage(
+                activePrompt.text,
+                ExtractorPrompt.buildJobInput(currentJob, childJobs, hintsFor(currentJob)),
+                ExtractorSchema.buildInstructions(schema)
+            )
+            : ExtractorPrompt.buildBatchMessage(
+                activePrompt.text,
+                batch.map(item => ({ jobKey: item.jobKey, ...ExtractorPrompt.buildJobInput(jobs[item.jobIndex], item.childJobs, hintsFor(jobs[item.jobIndex])) })),
+                ExtractorSchema.buildBatchInstructions(schema)
+            );
+
+        chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
+
+        const displayNum = jobIndex + 1;
         const totalJobs = jobs.length;
         const jobTitle = currentJob.title || currentJob.jobTitle || "Untitled";
 
-      chrome.runtime.sendMessage({ 
-          action: "UI_LOG", 
-            message: `📤 Job ${displayNum}/${totalJobs}: ${jobTitle.substring(0, 25)}...`
-        });
+        if (batch.length === 1) {
+            await workerLog(tabId, `📤 Job ${displayNum}/${totalJobs}: ${jobTitle.substring(0, 25)}...`);
+        } else {
+            await workerLog(tabId, `📦 Batch of ${batch.length} jobs (${displayNum}-${jobIndexes[jobIndexes.length - 1] + 1}/${totalJobs})`);
+        }
+        const groupedChildren = batch.reduce((sum, item) => sum + item.childJobs.length, 0);
+        if (groupedChildren > 0) {
+            await workerLog(tabId, `👶 Grouping ${groupedChildren} child job(s) under their parent(s)`);
+        }
+        const attempt = (targetFile.jobAttempts?.[jobIndex]?.attempts || 0) + 1;
+        if (attempt > 1) {
+            await workerLog(tabId, `🔁 Attempt ${attempt}/${settings.maxJobAttempts}`);
+        }
 
         // SET LOCK before sending to content script
-        await setState({ isTyping: true, typingStartedAt: Date.now() });
+        const activeJob = { fileId: targetFile.id, jobIndex: jobIndex, jobIndexes: jobIndexes, leaseId: lease.leaseId, title: jobTitle };
+        await setWorker(tabId, {
+            status: 'typing',
+            isTyping: true,
+            typingStartedAt: Date.now(),
+            activeJob: activeJob,
+            lastActiveAt: Date.now()
+        });
         
-        // Start safety timeout timer
-        chrome.alarms.create(TIMEOUT_ALARM, { delayInMinutes: TYPING_TIMEOUT_SECONDS / 60 });
+        // Start safety timeout timer (each repair follow-up is another full round trip,
+        // and a batch takes roughly as long to type and answer as its jobs one by one)
+        // (a long Max reply wait setting stretches each round, plus time to type)
+        const roundSeconds = Math.max(TYPING_TIMEOUT_SECONDS, settings.completionMaxWaitMs / 1000 + COMPLETION_FALLBACK_SECONDS + 90);
+        const timeoutSeconds = roundSeconds * (1 + settings.maxRepairAttempts) * batch.length;
+        chrome.alarms.create(`${TIMEOUT_ALARM}:${tabId}`, { delayInMinutes: timeoutSeconds / 60 });
 
-        // Send to content script
-        chrome.tabs.sendMessage(state.currentTabId, {
-        action: "PROMPT_GEMINI",
+        const jobRequest = {
             job: currentJob,
+            childJobs: childJobs,
+            message: message,
+            promptInfo: promptInfo,
+            schema: schema,
+            maxRepairAttempts: settings.maxRepairAttempts,
+            insertionMode: settings.insertionMode,
+            newChat: { everyJobs: settings.newChatEveryJobs, maxDomNodes: settings.newChatMaxDomNodes },
+            completionDetection: {
+                mode: settings.completionMode,
+                quietMs: settings.completionQuietMs,
+                maxWaitMs: settings.completionMaxWaitMs,
+                fallbackMs: COMPLETION_FALLBACK_SECONDS * 1000
+            },
             fileId: targetFile.id,
-            jobIndex: currentJobIndex
-        });
+            jobIndex: jobIndex,
+            leaseId: lease.leaseId
+        };
+        // Batch: the reply is split by these keys (content.js / runApiJob only need the keys)
+        if (batch.length > 1) jobRequest.jobKeys = batch.map(item => item.jobKey);
+
+        if (API_BACKENDS[state.backend]) {
+            // Runs in the background; ends in processCompletedJob or handleJobFailure
+            runApiJob(tabId, API_BACKENDS[state.backend], jobRequest, settings);
+        } else {
+            // Send to content script
+            const selectorOverrides = (settings.selectorOverrides || {})[state.providerId] || null;
+            chrome.tabs.sendMessage(tabId, { action: "PROMPT_CHAT", providerId: state.providerId, selectorOverrides, ...jobRequest }, () => {
+                // The tab navigated away or its content script is gone
+                if (chrome.runtime.lastError) {
+                    handleJobFailure(tabId, activeJob, `Tab not reachable: ${chrome.runtime.lastError.message}`);
+                }
+            });
+        }
         
         // Note: We do NOT schedule next job here!
-        // It will be scheduled by processCompletedJob when content.js responds
+        // It will be scheduled by processCompletedJob when content.js (or the API call) responds
 
     } catch (error) {
-        chrome.runtime.sendMessage({ action: "UI_LOG", message: `❌ Error: ${error.message}` });
-        chrome.alarms.clear(TIMEOUT_ALARM);
-        await setState({ isTyping: false, typingStartedAt: null });
-        scheduleNextJob(5);
+        await workerLog(tabId, `❌ Error: ${error.message}`);
+        chrome.alarms.clear(`${TIMEOUT_ALARM}:${tabId}`);
+        await setWorker(tabId, { status: 'idle', isTyping: false, typingStartedAt: null, activeJob: null, lastError: error.message });
+        if (lease) {
+            await withQueueLock(() => updateFile(lease.file.id, file => lease.jobIndexes.forEach(index => requeueLease(file, index))));
+        }
+        scheduleNextJob(tabId, 5);
     }
 }
 
-// Helper to safely convert personName to string (handles both array and string)
-function formatPersonName(personName) {
-    if (!personName) return "";
-    if (Array.isArray(personName)) return personName.join("; ");
-    if (typeof personName === 'string') return personName;
-    return String(personName);
+// ============ API BACKENDS ============
+// Send the same message as the chat tabs over HTTP instead of a browser tab.
+// A conversation is a list of { role: 'user' | 'model', text }; repair follow-ups
+// are appended to it so the model sees its previous reply.
+const GEMINI_API_TIMEOUT_MS = 90000;
+const LOCAL_LLM_TIMEOUT_MS = 170000; // local models are slow; stays under the per-job safety timeout
+
+// Earliest time the next Gemini API request may start (shared by every API call)
+let apiNextRequestAt = 0;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function processCompletedJob(aiResult, originalJob, fileId) {
-    // ALWAYS release lock and clear timeout first
-    chrome.alarms.clear(TIMEOUT_ALARM);
-    await setState({ isTyping: false, typingStartedAt: null });
-    
-    chrome.runtime.sendMessage({ action: "UI_LOG", message: `✅ AI responded. Saving...` });
+// Space requests evenly to stay under requestsPerMinute
+async function waitForApiSlot(requestsPerMinute) {
+    const interval = 60000 / Math.max(1, requestsPerMinute);
+    const now = Date.now();
+    const slot = Math.max(now, apiNextRequestAt);
+    apiNextRequestAt = slot + interval;
+    if (slot > now) await delay(slot - now);
+}
+
+function trimBaseUrl(url) {
+    return url.replace(/\/+$/, '');
+}
+
+// POST JSON with a timeout. Resolves with { response, data }.
+async function postJson(url, headers, body, timeoutMs, label) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        const data = await response.json().catch(() => ({}));
+        return { response, data };
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`${label} timed out after ${timeoutMs / 1000}s`);
+        throw new Error(`${label} unreachable: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function callGeminiApi(conversation, settings) {
+    await waitForApiSlot(settings.apiRequestsPerMinute);
+
+    const url = `${trimBaseUrl(settings.geminiApiBaseUrl)}/v1beta/models/${encodeURIComponent(settings.geminiApiModel)}:generateContent`;
+    const { response, data } = await postJson(url, { 'x-goog-api-key': settings.geminiApiKey }, {
+        contents: conversation.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] })),
+        generationConfig: { responseMimeType: 'application/json' }
+    }, GEMINI_API_TIMEOUT_MS, 'Gemini API');
+
+    if (!response.ok) {
+        // Quota hit: hold every API call for a minute
+        if (response.status === 429) apiNextRequestAt = Date.now() + 60000;
+        throw new Error(`Gemini API ${response.status}: ${data.error?.message || response.statusText}`);
+    }
+
+    const candidate = data.candidates?.[0];
+    const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+    if (!text) {
+        throw new Error(`Gemini API returned no text (${candidate?.finishReason || data.promptFeedback?.blockReason || 'empty response'})`);
+    }
+    return text;
+}
+
+// Ollama /api/chat or any OpenAI-compatible /v1/chat/completions on this machine
+async function callLocalLlm(conversation, settings) {
+    const messages = conversation.map(turn => ({ role: turn.role === 'model' ? 'assistant' : 'user', content: turn.text }));
+    const baseUrl = trimBaseUrl(settings.localBaseUrl);
+    let result;
+
+    if (settings.localApiFormat === 'ollama') {
+        const body = {
+            model: settings.localModel,
+            messages: messages,
+            stream: false,
+            options: { temperature: settings.localTemperature }
+        };
+        if (settings.localJsonMode) body.format = 'json';
+        result = await postJson(`${baseUrl}/api/chat`, {}, body, LOCAL_LLM_TIMEOUT_MS, 'Local model');
+    } else {
+        const body = {
+            model: settings.localModel,
+            messages: messages,
+            temperature: settings.localTemperature
+        };
+        if (settings.localJsonMode) body.response_format = { type: 'json_object' };
+        result = await postJson(`${baseUrl}/v1/chat/completions`, {}, body, LOCAL_LLM_TIMEOUT_MS, 'Local model');
+    }
+
+    const { response, data } = result;
+    if (!response.ok) {
+        const detail = typeof data.error === 'string' ? data.error : data.error?.message;
+        throw new Error(`Local model ${response.status}: ${detail || response.statusText}`);
+    }
+
+    const text = settings.localApiFormat === 'ollama'
+        ? data.message?.content
+        : data.choices?.[0]?.message?.content;
+    if (!text) throw new Error("Local model returned no text");
+    return text;
+}
+
+// Backends selectable in the side panel besides 'chat' (browser tabs)
+const API_BACKENDS = {
+    'gemini-api': {
+        call: callGeminiApi,
+        describe: (settings) => `Gemini API (${settings.geminiApiModel}, ${settings.apiRequestsPerMinute} requests/min)`,
+        checkSettings: (settings) => settings.geminiApiKey ? null : "Add a Gemini API key in 🔌 Backend first!"
+    },
+    'local': {
+        call: callLocalLlm,
+        describe: (settings) => `local model ${settings.localModel} (${settings.localApiFormat === 'ollama' ? 'Ollama' : 'OpenAI-compatible'})`,
+        checkSettings: (settings) => settings.localModel ? null : "Set a local model name in 🔌 Backend first!"
+    }
+};
+
+async function runApiJob(workerId, backend, request, settings) {
+    const conversation = [];
+    // Replies aren't streamed, so the first token arrives with the whole reply
+    const timing = { firstTokenMs: null, completeMs: 0 };
+    const ask = async (text) => {
+        conversation.push({ role: 'user', text: text });
+        const sentAt = Date.now();
+        const reply = await backend.call(conversation, settings);
+        timing.completeMs += Date.now() - sentAt;
+        if (timing.firstTokenMs === null) timing.firstTokenMs = timing.completeMs;
+        conversation.push({ role: 'model', text: reply });
+        return reply;
+    };
+
+    try {
+        if (request.jobKeys) {
+            const { results, missingKeys } = await ExtractorSchema.askBatchWithRepair({
+                ask: ask,
+                message: request.message,
+                schema: request.schema,
+                jobKeys: request.jobKeys,
+                maxRepairAttempts: request.maxRepairAttempts,
+                log: (message) => workerLog(workerId, message)
+            });
+            await processCompletedBatch(workerId, {
+                results: results,
+                missingKeys: missingKeys,
+                promptInfo: request.promptInfo,
+                schema: request.schema,
+                timing: timing,
+                fileId: request.fileId,
+                jobIndex: request.jobIndex,
+                leaseId: request.leaseId
+            });
+            return;
+        }
+
+        const { aiResult, validation } = await ExtractorSchema.askWithRepair({
+            ask: ask,
+            message: request.message,
+            schema: request.schema,
+            maxRepairAttempts: request.maxRepairAttempts,
+            log: (message) => workerLog(workerId, message)
+        });
+        await processCompletedJob(workerId, {
+            aiResult: aiResult,
+            validation: validation,
+            originalJob: request.job,
+            childJobs: request.childJobs,
+            promptInfo: request.promptInfo,
+            schema: request.schema,
+            timing: timing,
+            fileId: request.fileId,
+            jobIndex: request.jobIndex,
+            leaseId: request.leaseId
+        });
+    } catch (error) {
+        await workerLog(workerId, `❌ Error: ${error.message}`);
+        await handleJobFailure(workerId, { fileId: request.fileId, jobIndex: request.jobIndex, leaseId: request.leaseId }, error.message);
+    }
+}
+
+// Active template from the prompt library, or the built-in prompt when
+// the library is empty or the active template was deleted
+async function getActivePrompt(settings) {
+    if (settings.activePromptId != null) {
+        try {
+            const prompt = await getPrompt(settings.activePromptId);
+            if (prompt) return prompt;
+        } catch (dbError) {
+            console.warn('Could not load active prompt:', dbError);
+        }
+    }
+    return { id: null, name: 'Built-in', version: 0, text: ExtractorPrompt.DEFAULT_PROMPT };
+}
+
+// Parent jobs are keyed by job_url; children point at it through parent_id
+function getChildJobs(parentJob, jobs) {
+    if (!parentJob || !parentJob.job_url) return [];
+    return jobs.filter(job => job.parent_id && job.parent_id === parentJob.job_url);
+}
+
+function getChildJobIndexes(parentJob, jobs) {
+    const children = new Set(getChildJobs(parentJob, jobs));
+    return jobs.map((job, index) => children.has(job) ? index : -1).filter(index => index !== -1);
+}
+
+function hasParentInFile(job, jobs) {
+    if (!job || !job.parent_id) return false;
+    return jobs.some(other => other.job_url && other.job_url === job.parent_id);
+}
+
+// Schema fields come from the model; clientJob supplies about_the_client
+// (children inherit it from their parent). normalized overrides the model's values
+// (see normalize.js).
+function buildResultEntry(aiResult, job, { fileId, schema, clientJob = job, promptInfo = null, validation = null, conversation = null, timing = null, cacheHit = null, normalized = {}, settings = null, rulesOnly = false }) {
+    const client = clientJob?.about_the_client || {};
+    return {
+        fileId: fileId,
+        timestamp: new Date().toISOString(),
+        jobTitle: job?.title || job?.jobTitle || "",
+        ...ExtractorSchema.pickFields(aiResult, schema),
+        ...normalized,
+        job_url: job?.job_url || "",
+        job_id: job?.job_id || "",
+        parent_id: job?.parent_id || "",
+        client_country: client.country || "",
+        client_location: client.location || "",
+        client_member_since: client.member_since || "",
+        client_total_spent: client.total_spent || "",
+        client_hires: client.client_hires || "",
+        skills: Array.isArray(job?.skills) ? job.skills.join("; ") : (job?.skills || ""),
+        job_category: job?.job_category || "",
+        posted_online_at: job?.posted_online_at || "",
+        // Source fields mapped as pass-through at upload ({ field: value }, see input.js)
+        passthrough: job?.passthrough || {},
+        promptId: promptInfo?.id ?? null,
+        promptName: promptInfo?.name || "",
+        promptVersion: promptInfo?.version ?? "",
+        repaired: !!validation?.repaired,
+        repairAttempts: validation?.repairAttempts || 0,
+        validationIssues: (validation?.issues || []).join("; "),
+        // Chat thread the job was sent in (chat tabs only); a new id = a new chat
+        conversationId: conversation?.id || "",
+        conversationJobNumber: conversation?.jobNumber || "",
+        // Milliseconds from sending to the first reply text / to the finished reply
+        timeToFirstTokenMs: timing?.firstTokenMs ?? "",
+        timeToCompleteMs: timing?.completeMs ?? "",
+        // Answer reused from the result cache instead of asking the model
+        cacheHit: !!cacheHit,
+        cachedAt: cacheHit?.cachedAt || "",
+        // Rule-based candidates for this job ({ names, companies, websites, emails }), kept
+        // apart from the answer; rulesOnly = the answer itself came from them
+        rules: extractRuleCandidates(job, settings),
+        rulesOnly: rulesOnly
+    };
+}
+
+// ============ RESULT CACHE ============
+// The same job often shows up in several scraped files. Answers are kept in the
+// IndexedDB cache store (never cleared by auto-cleanup) and reused instead of
+// prompting again. A cached answer only counts for the same prompt version, output
+// schema, backend / model and child grouping (see cache.js). Answers that failed the
+// schema check are not cached.
+
+// Save the leased jobs that have a cached answer and finish their leases.
+// Resolves with the job indexes that were answered from the cache.
+async function saveCachedResults(tabId, { file, jobs, jobIndexes }, { settings, schema, promptInfo, cacheScope }) {
+    const hits = [];
+    for (const jobIndex of jobIndexes) {
+        const job = jobs[jobIndex];
+        let cached = null;
+        try {
+            cached = await getCachedResult(await ExtractorCache.jobKey(job, promptInfo, schema, cacheScope));
+        } catch (dbError) {
+            console.warn('Cache lookup failed:', dbError);
+        }
+        if (!cached) continue;
+
+        await workerLog(tabId, `♻️ Job ${jobIndex + 1}/${jobs.length}: cached answer from ${new Date(cached.cachedAt).toLocaleString()}`);
+        await saveJobResult(tabId, {
+            aiResult: cached.aiResult,
+            validation: cached.validation,
+            originalJob: job,
+            fileId: file.id,
+            childJobs: settings.groupChildJobs ? getChildJobs(job, jobs) : [],
+            promptInfo,
+            schema,
+            cacheHit: { cachedAt: cached.cachedAt }
+        });
+        hits.push(jobIndex);
+    }
+    await finishSavedJobs(tabId, file, hits);
+    return hits;
+}
+
+// Count jobs saved without a model round trip (cache, rules) and finish their leases
+async function finishSavedJobs(tabId, file, jobIndexes) {
+    if (jobIndexes.length === 0) return;
+
+    const worker = await getWorker(tabId);
+    await setWorker(tabId, { completed: worker.completed + jobIndexes.length, lastActiveAt: Date.now() });
+    const updated = await withQueueLock(() => updateFile(file.id, (target) => {
+        let fileDone = false;
+        for (const index of jobIndexes) {
+            if (target.jobAttempts) delete target.jobAttempts[index];
+            fileDone = finishLease(target, index) || fileDone;
+        }
+        return fileDone;
+    }));
+    if (updated?.outcome) {
+        chrome.runtime.sendMessage({ action: "UI_LOG", message: `🏁 File "${updated.file.name}" completed!` });
+    }
+}
+
+// ============ RULE-BASED PRE-EXTRACTION ============
+// URLs, emails and sign-off names found by patterns (see rules.js). Every job's
+// candidates are saved with its result; with the 'rules' backend they are the answer.
+const RULES_BACKEND = 'rules';
+const RULES_PROMPT_INFO = { id: RULES_BACKEND, name: 'Rules only', version: null };
+
+function extractRuleCandidates(job, settings = null) {
+    return ExtractorRules.extract(job || {}, settings?.websiteBlocklist || ExtractorNormalize.DEFAULT_BLOCKLIST);
+}
+
+// Rules-only mode: save the leased jobs' candidates as their answers and finish the leases
+async function saveRuleResults(tabId, { file, jobs, jobIndexes }, { settings, schema }) {
+    for (const jobIndex of jobIndexes) {
+        const job = jobs[jobIndex];
+        const rules = extractRuleCandidates(job, settings);
+        const found = Object.values(rules).reduce((sum, list) => sum + list.length, 0);
+        await workerLog(tabId, `🔎 Job ${jobIndex + 1}/${jobs.length}: ${found} rule candidate(s)`);
+        await saveJobResult(tabId, {
+            aiResult: ExtractorRules.toResult(rules),
+            originalJob: job,
+            fileId: file.id,
+            childJobs: settings.groupChildJobs ? getChildJobs(job, jobs) : [],
+            promptInfo: RULES_PROMPT_INFO,
+            schema,
+            rulesOnly: true
+        });
+    }
+    await finishSavedJobs(tabId, file, jobIndexes);
+}
+
+// ============ CLIENT KNOWLEDGE BASE ============
+// Every saved row is merged into the client it belongs to (same parent, a link in the
+// client's job history, or the same website or company). Merges, re-merges of edited
+// results, rebuilds and clears run one at a time so parallel workers and the side
+// panel don't overwrite each other's read-modify-write.
+let clientMerges = Promise.resolve();
+
+function withClientMerges(fn) {
+    const run = clientMerges.then(fn);
+    clientMerges = run.catch(() => {});
+    return run;
+}
+
+// originalJob: the job that was sent, null for a result edited or reviewed later
+// (its observation replaces the one merged when it was saved)
+function mergeIntoClients(entries, originalJob) {
+    return withClientMerges(async () => {
+        const { websiteBlocklist } = await ExtractorSettings.get();
+        let clients = await getAllClients();
+        for (const [i, entry] of entries.entries()) {
+            // Only the job that was sent has the client's job history links
+            const observation = ExtractorClients.observe(entry, i === 0 ? originalJob : null);
+            const { client, removedIds } = ExtractorClients.mergeObservation(clients, observation, websiteBlocklist);
+            await saveClientMerge(client, removedIds);
+            clients = [...clients.filter(other => other !== client && !removedIds.includes(other.id)), client];
+        }
+    });
+}
+
+// Group every stored result again (🔄 Rebuild from Results in the side panel).
+// Refused during a run: results saved meanwhile would be lost from the rebuilt clients.
+async function rebuildClients() {
+    const state = await getState();
+    if (state.isProcessing) return { ok: false, error: 'Stop processing before rebuilding clients.' };
+
+    return withClientMerges(async () => {
+        const { websiteBlocklist } = await ExtractorSettings.get();
+        const results = await getAllResults();
+        const jobsByFile = new Map();
+        let clients = [];
+        let nextId = 1;
+        for (const result of results.sort((a, b) => a.id - b.id)) {
+            // The source job (while its file is still stored) carries the client history links
+            if (!jobsByFile.has(result.fileId)) jobsByFile.set(result.fileId, await getJobData(result.fileId) || []);
+            const job = result.resolvedFromParent ? null : jobsByFile.get(result.fileId).find(candidate =>
+                (result.job_id && candidate.job_id === result.job_id) ||
+                (result.job_url && candidate.job_url === result.job_url));
+
+            const { client, removedIds } = ExtractorClients.mergeObservation(clients, ExtractorClients.observe(result, job), websiteBlocklist);
+            clients = clients.filter(other => other !== client && !removedIds.includes(other.id));
+            if (client.id === undefined) client.id = nextId++;
+            clients.push(client);
+        }
+        await replaceAllClients(clients);
+        return { ok: true, clients: clients.length, results: results.length };
+    });
+}
+
+// ============ WEBHOOK (OUTBOX) ============
+// Every saved result goes into the IndexedDB outbox first, then is POSTed to
+// settings.webhookUrl in groups of webhookBatchSize. Failed deliveries stay in the
+// outbox and are retried with exponential backoff (also after a browser restart).
+// Payloads, signing and the delivery round live in webhook.js.
+// Delivery status for the side panel is kept in chrome.storage under WEBHOOK_STATUS_KEY.
+const WEBHOOK_ALARM = 'webhookDelivery';
+const WEBHOOK_STATUS_KEY = 'webhookStatus';
+
+let webhookFlushing = null;
+
+async function setWebhookStatus(updates) {
+    const result = await chrome.storage.local.get([WEBHOOK_STATUS_KEY]);
+    const status = { pending: 0, delivered: 0, lastDeliveredAt: null, lastError: '', lastErrorAt: null, nextAttemptAt: null, ...result[WEBHOOK_STATUS_KEY], ...updates };
+    await chrome.storage.local.set({ [WEBHOOK_STATUS_KEY]: status });
+    return status;
+}
+
+// Put saved results in the outbox and try to deliver them
+async function queueWebhookResults(results, settings) {
+    if (!settings.webhookEnabled || !settings.webhookUrl || results.length === 0) return;
+    const now = Date.now();
+    await putOutboxEntries(results.map(result => ({ result, attempts: 0, nextAttemptAt: now, lastError: '', createdAt: now })));
+    flushOutbox(); // not awaited: a slow endpoint must not hold up the queue
+}
+
+// Deliver due outbox entries. Without force, waits until a full batch is ready
+// while a run is going (the rest is sent when the run ends).
+function flushOutbox({ force = false } = {}) {
+    if (webhookFlushing) return webhookFlushing;
+    webhookFlushing = (async () => {
+        try {
+            const settings = await ExtractorSettings.get();
+            const outbox = await getOutbox();
+            if (!settings.webhookEnabled || !settings.webhookUrl) {
+                await setWebhookStatus({ pending: outbox.length, nextAttemptAt: null });
+                return;
+            }
+
+            const due = outbox.filter(entry => entry.nextAttemptAt <= Date.now()).sort((a, b) => a.id - b.id);
+            const state = await getState();
+            const waitForFullBatch = !force && state.isProcessing && due.length < Math.max(1, settings.webhookBatchSize);
+
+            const { delivered, failure } = await ExtractorWebhook.deliver(waitForFullBatch ? [] : due, settings, {
+                onDelivered: entries => deleteOutboxEntries(entries.map(entry => entry.id)),
+                onFailed: putOutboxEntries
+            });
+
+            const remaining = await getOutbox();
+            const nextAttemptAt = remaining.length > 0 ? Math.min(...remaining.map(entry => entry.nextAttemptAt)) : null;
+            const previous = (await chrome.storage.local.get([WEBHOOK_STATUS_KEY]))[WEBHOOK_STATUS_KEY] || {};
+            await setWebhookStatus({
+                pending: remaining.length,
+                nextAttemptAt,
+                delivered: (previous.delivered || 0) + delivered,
+                ...(delivered > 0 ? { lastDeliveredAt: Date.now(), lastError: '' } : {}),
+                ...(failure ? { lastError: failure, lastErrorAt: Date.now() } : {})
+            });
+
+            if (delivered > 0) console.log(`🪝 Webhook: delivered ${delivered} result(s)`);
+            if (failure) {
+                chrome.runtime.sendMessage({ action: "UI_LOG", message: `🪝 Webhook delivery failed (${failure}). ${remaining.length} result(s) wait in the outbox.` });
+            }
+
+            // Retry failures when their backoff ends; flush a partial batch after a minute at most
+            if (remaining.length > 0) {
+                const when = Math.min(Math.max(nextAttemptAt, Date.now() + 30000), Date.now() + 60000 * (waitForFullBatch ? 1 : 60));
+                chrome.alarms.create(WEBHOOK_ALARM, { when });
+            } else {
+                chrome.alarms.clear(WEBHOOK_ALARM);
+            }
+        } catch (error) {
+            console.error('Webhook flush error:', error);
+        } finally {
+            webhookFlushing = null;
+        }
+    })();
+    return webhookFlushing;
+}
+
+// "Send Test" in the side panel: one sample payload, straight to the endpoint (no outbox)
+async function sendWebhookTest() {
+    const settings = await ExtractorSettings.get();
+    if (!settings.webhookUrl) return { ok: false, error: 'No webhook URL set' };
+    try {
+        await ExtractorWebhook.post(settings, ExtractorWebhook.buildPayload('test', [
+            { id: 0, jobTitle: 'Webhook test', companyName: 'Example Ltd', confidence: 1 }
+        ]));
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+// ============ JOB QUEUE (LEASES) ============
+// A file's jobs are handed out in order by `currentJobIndex`. A leased job is
+// recorded in `file.leases[jobIndex]` until its worker saves it or it fails.
+// Every lease gets a new `leaseId` (shared by the jobs of a batch) that goes out with
+// the job and comes back with its reply, so a late reply to an earlier attempt of
+// the same job is told apart from the current one.
+// Jobs to try again (errors, closed tabs, "Retry Failed") wait in `file.retryQueue`.
+
+function isFileDone(file) {
+    return (file.currentJobIndex || 0) >= file.totalJobs &&
+        (file.retryQueue || []).length === 0 &&
+        Object.keys(file.leases || {}).length === 0;
+}
+
+// Give the next pending job(s) to a worker. Resolves with { file, jobs, jobIndexes, leaseId } or null.
+// With batchSize > 1, up to that many jobs are taken from the main pass of one file;
+// retries are always leased one at a time.
+function leaseNextJob(tabId, settings) {
+    return withQueueLock(async () => {
+        const result = await chrome.storage.local.get(['fileQueue']);
+        const files = result.fileQueue || [];
+        let lease = null;
+
+        for (const file of files) {
+            if (file.status === 'complete') continue;
+
+            // Get job data
+            let jobs;
+            try {
+                jobs = await getJobData(file.id);
+            } catch (dbError) {
+                chrome.runtime.sendMessage({ action: "UI_LOG", message: `❌ DB error: ${dbError.message}` });
+                file.status = 'complete';
+                continue;
+            }
+
+            if (!jobs || jobs.length === 0) {
+                chrome.runtime.sendMessage({ action: "UI_LOG", message: `⚠️ No jobs in "${file.name}", skipping...` });
+                file.status = 'complete';
+                continue;
+            }
+
+            file.leases = file.leases || {};
+            file.retryQueue = file.retryQueue || [];
+
+            // PARENT/CHILD MODE: children whose parent is in this file are written
+            // when the parent is processed, so never prompt for them on their own
+            const skipChildren = () => {
+                while (settings.groupChildJobs && file.currentJobIndex < jobs.length && hasParentInFile(jobs[file.currentJobIndex], jobs)) {
+                    file.currentJobIndex++;
+                    file.processedCount = (file.processedCount || 0) + 1;
+                }
+            };
+
+            // Main pass first, then jobs waiting to be retried
+            const jobIndexes = [];
+            file.currentJobIndex = file.currentJobIndex || 0;
+            skipChildren();
+            while (file.currentJobIndex < jobs.length && jobIndexes.length < Math.max(1, settings.batchSize)) {
+                jobIndexes.push(file.currentJobIndex);
+                file.currentJobIndex++;
+                skipChildren();
+            }
+            if (jobIndexes.length === 0) {
+                const retryIndex = file.retryQueue.find(index => !file.leases[index]);
+                if (retryIndex !== undefined) jobIndexes.push(retryIndex);
+            }
+
+            if (jobIndexes.length === 0) {
+                if (isFileDone(file)) {
+                    file.status = 'complete';
+                    chrome.runtime.sendMessage({ action: "UI_LOG", message: `🏁 File "${file.name}" completed!` });
+                }
+                continue;
+            }
+
+            const leaseId = crypto.randomUUID();
+            for (const jobIndex of jobIndexes) {
+                file.leases[jobIndex] = { tabId: tabId, leasedAt: Date.now(), leaseId: leaseId };
+            }
+            if (file.status === 'pending') file.status = 'processing';
+            lease = { file, jobs, jobIndexes, leaseId };
+            break;
+        }
+
+        await chrome.storage.local.set({ fileQueue: files });
+        return lease;
+    });
+}
+
+// Job saved or permanently failed. Returns true when the file is now complete.
+function finishLease(file, jobIndex) {
+    if (file.leases) delete file.leases[jobIndex];
+    file.retryQueue = (file.retryQueue || []).filter(index => index !== jobIndex);
+    file.processedCount = (file.processedCount || 0) + 1;
+
+    if (isFileDone(file)) {
+        file.status = 'complete';
+        return true;
+    }
+    return false;
+}
+
+// Job goes back to the front of the queue (retry, stop, closed tab)
+function requeueLease(file, jobIndex) {
+    if (file.leases) delete file.leases[jobIndex];
+    file.retryQueue = file.retryQueue || [];
+    if (!file.retryQueue.includes(jobIndex)) file.retryQueue.unshift(jobIndex);
+    if (file.status === 'complete') file.status = 'processing';
+}
+
+// Return every leased job to its file's queue (used on Stop and before Start)
+function releaseAllLeases() {
+    return withQueueLock(async () => {
+        const result = await chrome.storage.local.get(['fileQueue']);
+        const files = result.fileQueue || [];
+        for (const file of files) {
+            for (const jobIndex of Object.keys(file.leases || {})) {
+                requeueLease(file, parseInt(jobIndex, 10));
+            }
+        }
+        await chrome.storage.local.set({ fileQueue: files });
+    });
+}
+
+// Read-modify-write one file's metadata. Call inside withQueueLock.
+async function updateFile(fileId, update) {
+    const storageResult = await chrome.storage.local.get(['fileQueue']);
+    const files = storageResult.fileQueue || [];
+    const file = files.find(f => f.id === fileId);
+    if (!file) return null;
+
+    const outcome = update(file);
+    await chrome.storage.local.set({ fileQueue: files });
+    chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
+    return { file, outcome };
+}
+
+// ============ FILE QUEUE CHANGES FROM THE SIDE PANEL ============
+// Uploads, deletes, resets, "Retry Failed" and auto-cleanup change fileQueue too.
+// They run here inside withQueueLock (FILE_QUEUE_UPDATE message), so they can't
+// overwrite a worker's lease or progress. Each operation returns the new list
+// and an outcome for the side panel.
+
+function resetFileProgress(file) {
+    file.status = 'pending';
+    file.processedCount = 0;
+    file.currentJobIndex = 0;
+    file.jobAttempts = {};
+    file.failedJobs = [];
+    file.retryQueue = [];
+    file.leases = {};
+}
+
+const FILE_QUEUE_OPERATIONS = {
+    add(files, { file }) {
+        return { files: [...files, file], outcome: file.id };
+    },
+    // outcome: ids of the removed files (their job data is deleted by the side panel)
+    remove(files, { ids }) {
+        return { files: files.filter(file => !ids.includes(file.id)), outcome: ids.filter(id => files.some(file => file.id === id)) };
+    },
+    removeComplete(files) {
+        return {
+            files: files.filter(file => file.status !== 'complete'),
+            outcome: files.filter(file => file.status === 'complete').map(file => file.id)
+        };
+    },
+    // Auto-cleanup after export: files with failed jobs stay so they can be retried
+    removeAllButFailed(files) {
+        const kept = files.filter(file => (file.failedJobs || []).length > 0);
+        return {
+            files: kept,
+            outcome: { removedIds: files.filter(file => !kept.includes(file)).map(file => file.id), keptCount: kept.length }
+        };
+    },
+    // ids: null resets every file. outcome: names of the reset files
+    reset(files, { ids = null }) {
+        const reset = files.filter(file => !ids || ids.includes(file.id));
+        reset.forEach(resetFileProgress);
+        return { files, outcome: reset.map(file => file.name) };
+    },
+    // Put every failed job back in its file's retry queue (picked up on the next Start).
+    // In parent/child mode, children that failed with their parent are written with it
+    // again. outcome: number of failed jobs.
+    retryFailed(files, args, settings) {
+        let count = 0;
+        for (const file of files) {
+            const failedJobs = file.failedJobs || [];
+            if (failedJobs.length === 0) continue;
+
+            const failedIndexes = new Set(failedJobs.map(job => job.jobIndex));
+            const queued = failedJobs.filter(job => !(settings.groupChildJobs && failedIndexes.has(job.parentJobIndex)));
+            const retryQueue = new Set(file.retryQueue || []);
+            for (const job of queued) {
+                retryQueue.add(job.jobIndex);
+                if (file.jobAttempts) delete file.jobAttempts[job.jobIndex];
+            }
+            file.retryQueue = Array.from(retryQueue);
+            file.failedJobs = [];
+            // Failed jobs were counted as processed; they count again when they finish
+            // (children written with their parent were counted when they were skipped)
+            file.processedCount = Math.max(0, (file.processedCount || 0) - queued.length);
+            if (file.status === 'complete') file.status = 'pending';
+            count += failedJobs.length;
+        }
+        return { files, outcome: count };
+    }
+};
+
+function updateFileQueue(operation, args = {}) {
+    const run = FILE_QUEUE_OPERATIONS[operation];
+    if (!run) return Promise.reject(new Error(`Unknown file queue operation "${operation}"`));
+    return withQueueLock(async () => {
+        const settings = await ExtractorSettings.get();
+        const { fileQueue = [] } = await chrome.storage.local.get(['fileQueue']);
+        const { files, outcome } = run(fileQueue, args, settings);
+        await chrome.storage.local.set({ fileQueue: files });
+        return outcome;
+    });
+}
+
+// Workers that found the queue empty pick work up again (a job was requeued)
+async function wakeIdleWorkers() {
+    for (const worker of await getWorkers()) {
+        if (worker.status === 'done') {
+            await setWorker(worker.tabId, { status: 'idle' });
+            scheduleNextJob(worker.tabId, 2);
+        }
+    }
+}
+
+// End the run once no worker has anything left to do
+async function finishRunIfIdle() {
+    const outcome = await withQueueLock(async () => {
+        const state = await getState();
+        if (!state.isProcessing) return null;
+
+        const workers = await Promise.all(state.workerTabIds.map(getWorker));
+        const busy = workers.some(worker => worker.isTyping || worker.status === 'idle' || worker.status === 'typing');
+        if (busy) return null;
+
+        const { fileQueue = [] } = await chrome.storage.local.get(['fileQueue']);
+        const allComplete = fileQueue.every(file => file.status === 'complete');
+        await setState({ isProcessing: false });
+        return allComplete ? 'finished' : 'no-workers';
+    });
+
+    // Send what is left of a partial webhook batch
+    if (outcome) flushOutbox({ force: true });
+
+    if (outcome === 'finished') {
+        await clearState();
+        chrome.runtime.sendMessage({ action: "UI_LOG", message: "🎉 All files finished!" });
+        chrome.runtime.sendMessage({ action: "AUTO_EXPORT_CSV" });
+    } else if (outcome === 'no-workers') {
+        await releaseAllLeases();
+        await clearState();
+        chrome.runtime.sendMessage({ action: "UI_LOG", message: "⚠️ No chat tabs left to work with. Processing stopped; click Start to resume." });
+    }
+    if (outcome) chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
+}
+
+// job: { fileId, jobIndex, leaseId } echoed back with a reply or failure. The
+// leaseId tells a late reply to an attempt that timed out from the current attempt.
+function isActiveJob(worker, job) {
+    return !!(worker.activeJob && job &&
+        worker.activeJob.fileId === job.fileId &&
+        worker.activeJob.jobIndex === job.jobIndex &&
+        worker.activeJob.leaseId === job.leaseId);
+}
+
+// Jobs held by an activeJob (one, or every job of a batch)
+function activeJobIndexes(activeJob) {
+    return activeJob.jobIndexes || [activeJob.jobIndex];
+}
+
+// Stable key for a job inside a batch message (unique within its file)
+function batchJobKey(jobIndex) {
+    return `job-${jobIndex + 1}`;
+}
+
+// Listed under Failed Jobs (replacing an older record of the same job).
+// parentJobIndex marks a child that failed with its parent in parent/child mode.
+function recordFailedJob(file, job, jobIndex, { attempts, lastError, parentJobIndex }) {
+    file.failedJobs = (file.failedJobs || []).filter(f => f.jobIndex !== jobIndex);
+    file.failedJobs.push({
+        jobIndex: jobIndex,
+        status: 'failed',
+        title: job?.title || job?.jobTitle || "",
+        job_url: job?.job_url || "",
+        job_id: job?.job_id || "",
+        parent_id: job?.parent_id || "",
+        ...(parentJobIndex !== undefined ? { parentJobIndex } : {}),
+        attempts: attempts,
+        lastError: lastError,
+        failedAt: new Date().toISOString()
+    });
+}
+
+// A job errored or timed out: retry it until maxJobAttempts, then record it
+// as failed and move on. Failed jobs are NOT saved as results.
+// Attempts are recorded per file: jobAttempts[jobIndex] = { attempts, lastError }
+// A failed batch costs every job in it one attempt.
+async function handleJobFailure(tabId, failedJob, errorMessage) {
+    const worker = await getWorker(tabId);
+
+    // Ignore a late failure for a job that already timed out (it is being retried)
+    if (!isActiveJob(worker, failedJob)) {
+        console.log('Ignoring failure for a job that is no longer active');
+        return;
+    }
+    const activeJob = worker.activeJob;
+    const jobIndexes = activeJobIndexes(activeJob);
+
+    chrome.alarms.clear(`${TIMEOUT_ALARM}:${tabId}`);
+    await setWorker(tabId, {
+        status: 'idle',
+        isTyping: false,
+        typingStartedAt: null,
+        activeJob: null,
+        failed: worker.failed + 1,
+        lastError: errorMessage || "Unknown error"
+    });
+
+    try {
+        const settings = await ExtractorSettings.get();
+        const jobs = await getJobData(activeJob.fileId);
+
+        const updated = await withQueueLock(() => updateFile(activeJob.fileId, (file) => {
+            file.jobAttempts = file.jobAttempts || {};
+            const outcome = { retried: 0, failed: 0, failedChildren: 0, attempts: 0, fileDone: false };
+
+            for (const jobIndex of jobIndexes) {
+                const job = jobs ? jobs[jobIndex] : null;
+                const record = file.jobAttempts[jobIndex] || { attempts: 0, lastError: "" };
+                record.attempts += 1;
+                record.lastError = errorMessage || "Unknown error";
+                file.jobAttempts[jobIndex] = record;
+                outcome.attempts = Math.max(outcome.attempts, record.attempts);
+
+                if (record.attempts < settings.maxJobAttempts) {
+                    requeueLease(file, jobIndex);
+                    outcome.retried++;
+                    continue;
+                }
+
+                delete file.jobAttempts[jobIndex];
+                recordFailedJob(file, job, jobIndex, { attempts: record.attempts, lastError: record.lastError });
+                outcome.failed++;
+
+                // Parent/child mode: the children were skipped to be written with this
+                // job's answer, so they fail with it (and are retried with it)
+                if (settings.groupChildJobs && jobs) {
+                    for (const childIndex of getChildJobIndexes(job, jobs)) {
+                        recordFailedJob(file, jobs[childIndex], childIndex, {
+                            attempts: 0,
+                            lastError: `Parent job #${jobIndex + 1} failed: ${record.lastError}`,
+                            parentJobIndex: jobIndex
+                        });
+                        outcome.failedChildren++;
+                    }
+                }
+                outcome.fileDone = finishLease(file, jobIndex) || outcome.fileDone;
+            }
+            return outcome;
+        }));
+
+        if (updated) {
+            const { retried, failed, failedChildren, attempts, fileDone } = updated.outcome;
+            const what = jobIndexes.length > 1 ? `Batch of ${jobIndexes.length} jobs` : 'Job';
+            if (retried > 0) {
+                await workerLog(tabId, `🔁 ${what} failed (${errorMessage}). Retrying (${attempts}/${settings.maxJobAttempts} attempts used)...`);
+                await wakeIdleWorkers();
+            }
+            if (failed > 0) {
+                const childNote = failedChildren > 0 ? ` (+${failedChildren} child job(s) with them)` : '';
+                await workerLog(tabId, `⛔ ${failed} job(s) marked as failed after ${attempts} attempt(s)${childNote}: ${errorMessage}`);
+            }
+            if (fileDone) {
+                chrome.runtime.sendMessage({ action: "UI_LOG", message: `🏁 File "${updated.file.name}" completed!` });
+            }
+        }
+    } catch (error) {
+        await workerLog(tabId, `⚠️ Could not record failure: ${error.message}`);
+    }
+
+    scheduleNextJob(tabId, 3);
+}
+
+// Store one job's result row (plus its children's rows in parent/child mode)
+async function saveJobResult(tabId, { aiResult, originalJob, fileId, childJobs = [], promptInfo = null, validation = null, conversation = null, timing = null, schema, cacheHit = null, rulesOnly = false }) {
+    // Only a usable answer from the model goes into the cache
+    const cacheable = !cacheHit && !rulesOnly && !!aiResult && typeof aiResult === 'object' && !(validation?.issues?.length > 0);
 
     // Normalize aiResult
     if (!aiResult || typeof aiResult !== 'object') {
         aiResult = { personName: [], companyName: "", clientWebsite: "", confidence: 0, reasoning: "Empty/invalid response" };
     }
 
+    // Post-processing: canonical website and suffix-free company name, raw values kept.
+    // Runs on cached answers too, so blocklist changes apply to them.
+    const settings = await ExtractorSettings.get();
+    const normalized = settings.normalizeResults
+        ? ExtractorNormalize.normalizeResult(ExtractorSchema.pickFields(aiResult, schema), settings.websiteBlocklist || ExtractorNormalize.DEFAULT_BLOCKLIST)
+        : {};
+
+    const entryOptions = { fileId, schema, clientJob: originalJob, promptInfo, validation, conversation, timing, cacheHit, normalized, settings, rulesOnly };
     try {
-        const resultEntry = {
-            fileId: fileId,
-            timestamp: new Date().toISOString(),
-            jobTitle: originalJob?.title || originalJob?.jobTitle || "",
-            personName: formatPersonName(aiResult.personName),
-        companyName: aiResult.companyName || "",
-        clientWebsite: aiResult.clientWebsite || "",
-        confidence: aiResult.confidence || 0,
-        reasoning: aiResult.reasoning || "",
-            job_url: originalJob?.job_url || "",
-            job_id: originalJob?.job_id || "",
-            parent_id: originalJob?.parent_id || ""
-        };
+        // Parent/child mode: every child row gets the parent's resolved client
+        const entries = [
+            buildResultEntry(aiResult, originalJob, entryOptions),
+            ...childJobs.map(childJob => ({ ...buildResultEntry(aiResult, childJob, entryOptions), resolvedFromParent: true }))
+        ];
+        for (const entry of entries) {
+            entry.id = await addResult(entry);
+        }
+
+        const childNote = childJobs.length > 0 ? ` (+${childJobs.length} child rows)` : '';
+        const timingNote = timing?.completeMs ? ` - reply in ${(timing.completeMs / 1000).toFixed(1)}s` : '';
+        await workerLog(tabId, `💾 Saved to database${childNote}${timingNote}`);
+        if (validation?.issues?.length > 0) {
+            await workerLog(tabId, `⚠️ Saved with schema issues: ${validation.issues.join("; ")}`);
+        }
 
         try {
-            await addResult(resultEntry);
-            chrome.runtime.sendMessage({ action: "UI_LOG", message: `💾 Saved to database` });
-        } catch (dbError) {
-            chrome.runtime.sendMessage({ action: "UI_LOG", message: `⚠️ Save warning: ${dbError.message}` });
+            await mergeIntoClients(entries, originalJob);
+        } catch (clientError) {
+            await workerLog(tabId, `⚠️ Client knowledge base not updated: ${clientError.message}`);
         }
 
-        // Update progress
-        const storageResult = await chrome.storage.local.get(['fileQueue']);
-        const files = storageResult.fileQueue || [];
-        const fileIndex = files.findIndex(f => f.id === fileId);
-        
-        if (fileIndex !== -1) {
-            files[fileIndex].currentJobIndex = (files[fileIndex].currentJobIndex || 0) + 1;
-            files[fileIndex].processedCount = files[fileIndex].currentJobIndex;
+        if (cacheable) {
+            // The run's backend and settings are the ones the job was answered with
+            const cacheScope = ExtractorCache.answerScope(await getState(), settings);
+            await putCachedResult({
+                key: await ExtractorCache.jobKey(originalJob, promptInfo, schema, cacheScope),
+                aiResult,
+                validation,
+                promptInfo,
+                jobTitle: entries[0].jobTitle,
+                fileId,
+                cachedAt: Date.now()
+            });
+        }
 
-            if (files[fileIndex].currentJobIndex >= files[fileIndex].totalJobs) {
-                files[fileIndex].status = 'complete';
-                chrome.runtime.sendMessage({ action: "UI_LOG", message: `🏁 File "${files[fileIndex].name}" completed!` });
-            }
+        if (normalized.normalizationNotes) {
+            await workerLog(tabId, `🧽 ${normalized.normalizationNotes}`);
+        }
 
-            await chrome.storage.local.set({ fileQueue: files });
-            chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
+        await queueWebhookResults(entries, settings);
+    } catch (dbError) {
+        await workerLog(tabId, `⚠️ Save warning: ${dbError.message}`);
+    }
+}
+
+// schema: the one the job was sent with (the setting may have been edited since)
+async function processCompletedJob(tabId, { aiResult, originalJob, fileId, jobIndex, leaseId, childJobs = [], promptInfo = null, schema, validation = null, conversation = null, timing = null }) {
+    const worker = await getWorker(tabId);
+
+    // Ignore a late reply for a job that already timed out (it is being retried)
+    if (!isActiveJob(worker, { fileId, jobIndex, leaseId })) {
+        console.log('Ignoring reply for a job that is no longer active');
+        return;
+    }
+
+    // ALWAYS release lock and clear timeout first
+    chrome.alarms.clear(`${TIMEOUT_ALARM}:${tabId}`);
+    await setWorker(tabId, {
+        status: 'idle',
+        isTyping: false,
+        typingStartedAt: null,
+        activeJob: null,
+        completed: worker.completed + 1,
+        lastActiveAt: Date.now()
+    });
+    
+    await workerLog(tabId, `✅ AI responded. Saving...`);
+
+    try {
+        await saveJobResult(tabId, {
+            aiResult, originalJob, fileId, childJobs, promptInfo, validation, schema, timing,
+            conversation: conversation && { id: conversation.id, jobNumber: conversation.firstJobNumber }
+        });
+
+        // Update progress
+        const updated = await withQueueLock(() => updateFile(fileId, (file) => {
+            if (file.jobAttempts) delete file.jobAttempts[jobIndex];
+            return finishLease(file, jobIndex);
+        }));
+        if (updated?.outcome) {
+            chrome.runtime.sendMessage({ action: "UI_LOG", message: `🏁 File "${updated.file.name}" completed!` });
         }
 
         // Schedule next job (only place this should be called during normal processing)
-        scheduleNextJob(3);
+        scheduleNextJob(tabId, 3);
         
     } catch (error) {
-        chrome.runtime.sendMessage({ action: "UI_LOG", message: `❌ Completion error: ${error.message}` });
+        await workerLog(tabId, `❌ Completion error: ${error.message}`);
         
-        // CRITICAL: Still advance the job index to prevent infinite loop!
+        // CRITICAL: Still release the job to prevent infinite loop!
         try {
-            const storageResult = await chrome.storage.local.get(['fileQueue']);
-            const files = storageResult.fileQueue || [];
-            const fileIndex = files.findIndex(f => f.id === fileId);
-            
-            if (fileIndex !== -1) {
-                files[fileIndex].currentJobIndex = (files[fileIndex].currentJobIndex || 0) + 1;
-                files[fileIndex].processedCount = files[fileIndex].currentJobIndex;
-                
-                if (files[fileIndex].currentJobIndex >= files[fileIndex].totalJobs) {
-                    files[fileIndex].status = 'complete';
-                }
-                
-                await chrome.storage.local.set({ fileQueue: files });
-                chrome.runtime.sendMessage({ action: "UI_LOG", message: `⚠️ Skipping failed job, moving to next...` });
-            }
+            await withQueueLock(() => updateFile(fileId, file => finishLease(file, jobIndex)));
+            await workerLog(tabId, `⚠️ Skipping failed job, moving to next...`);
         } catch (innerError) {
-            chrome.runtime.sendMessage({ action: "UI_LOG", message: `⚠️ Could not advance job index: ${innerError.message}` });
+            await workerLog(tabId, `⚠️ Could not advance job index: ${innerError.message}`);
         }
         
         chrome.runtime.sendMessage({ action: "JOB_PROCESSED_UI_UPDATE" });
-        scheduleNextJob(3);
+        scheduleNextJob(tabId, 3);
+    }
+}
+
+// Batch reply: save every job that came back, and send jobs whose key was
+// missing or mismatched back to the queue, where they are retried on their own.
+// results: { [jobKey]: { aiResult, validation } }
+async function processCompletedBatch(tabId, { fileId, jobIndex, leaseId, results = {}, missingKeys = [], promptInfo = null, schema, conversation = null, timing = null }) {
+    const worker = await getWorker(tabId);
+
+    // Ignore a late reply for a batch that already timed out (it is being retried)
+    if (!isActiveJob(worker, { fileId, jobIndex, leaseId })) {
+        console.log('Ignoring reply for a batch that is no longer active');
+        return;
+    }
+    const jobIndexes = activeJobIndexes(worker.activeJob);
+    const savedIndexes = jobIndexes.filter(index => results[batchJobKey(index)]);
+    const missingIndexes = jobIndexes.filter(index => !results[batchJobKey(index)]);
+
+    // ALWAYS release lock and clear timeout first
+    chrome.alarms.clear(`${TIMEOUT_ALARM}:${tabId}`);
+    await setWorker(tabId, {
+        status: 'idle',
+        isTyping: false,
+        typingStartedAt: null,
+        activeJob: null,
+        completed: worker.completed + savedIndexes.length,
+        lastActiveAt: Date.now()
+    });
+
+    await workerLog(tabId, `✅ AI responded for ${savedIndexes.length}/${jobIndexes.length} jobs. Saving...`);
+    if (missingKeys.length > 0) {
+        await workerLog(tabId, `↩️ Missing from the reply: ${missingKeys.join(", ")} - queued again on their own`);
+    }
+
+    try {
+        const settings = await ExtractorSettings.get();
+        const jobs = await getJobData(fileId);
+
+        for (const index of savedIndexes) {
+            const { aiResult, validation } = results[batchJobKey(index)];
+            await saveJobResult(tabId, {
+                aiResult,
+                validation,
+                promptInfo,
+                timing,
+                // Jobs of a batch are numbered in the order they were sent
+                conversation: conversation && { id: conversation.id, jobNumber: conversation.firstJobNumber + jobIndexes.indexOf(index) },
+                schema,
+                fileId,
+                originalJob: jobs[index],
+                childJobs: settings.groupChildJobs ? getChildJobs(jobs[index], jobs) : []
+            });
+        }
+    } catch (error) {
+        await workerLog(tabId, `❌ Completion error: ${error.message}`);
     }
+
+    // Saved jobs are done (even after a save error, to prevent an infinite loop);
+    // missing ones go to retryQueue, which is never batched
+    const updated = await withQueueLock(() => updateFile(fileId, (file) => {
+        missingIndexes.forEach(index => requeueLease(file, index));
+        let fileDone = false;
+        for (const index of savedIndexes) {
+            if (file.jobAttempts) delete file.jobAttempts[index];
+            fileDone = finishLease(file, index) || fileDone;
+        }
+        return fileDone;
+    }));
+    if (updated?.outcome) {
+        chrome.runtime.sendMessage({ action: "UI_LOG", message: `🏁 File "${updated.file.name}" completed!` });
+    }
+    if (missingIndexes.length > 0) await wakeIdleWorkers();
+
+    scheduleNextJob(tabId, 3);
 }
@@ -0,0 +1,37 @@
+// cache.js - Result cache keys
+// Loaded by background.js, which keeps the cache store (IndexedDB) and decides which
+// answers are cached. Also run by tests/cache.test.js.
+
+(function () {
+    async function sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Who answered and how: the chat provider or API backend + model, and whether child
+    // jobs were grouped under their parent (a grouped answer also covers
+    // otherJobsPostedByThisClient). state: the run's { backend, providerId }.
+    function answerScope(state, settings) {
+        let source;
+        if (state.backend === 'gemini-api') source = `gemini-api:${settings.geminiApiModel}`;
+        else if (state.backend === 'local') source = `local:${settings.localModel}`;
+        else source = `chat:${state.providerId}`;
+        return `${source}|children:${settings.groupChildJobs ? 'grouped' : 'separate'}`;
+    }
+
+    // url:<job_url> | id:<job_id> | hash:<title + description + reviews>, then the
+    // prompt, the schema and the answer scope
+    async function jobKey(job, promptInfo, schema, scope) {
+        let identity;
+        if (job.job_url) identity = `url:${job.job_url}`;
+        else if (job.job_id) identity = `id:${job.job_id}`;
+        else identity = `hash:${await sha256Hex(JSON.stringify([job.title || '', job.summary || '', job.feedback_received_From_Freelancer || []]))}`;
+        const schemaHash = (await sha256Hex(JSON.stringify(schema))).slice(0, 12);
+        return `${identity}|prompt:${promptInfo?.id ?? 'built-in'}@${promptInfo?.version ?? 0}|schema:${schemaHash}|${scope}`;
+    }
+
+    self.ExtractorCache = {
+        answerScope,
+        jobKey
+    };
+})();
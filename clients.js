@@ -0,0 +1,203 @@
+// clients.js - Client knowledge base: saved results grouped by client
+// Loaded by background.js (results are merged in as they are saved) and the side panel
+// (Clients view, CSV export, rebuild), after normalize.js. A client keeps one observation
+// per job; the votes, best values and conflicts are worked out from those by summarize().
+// Websites and companies are compared the way normalize.js stores them; `blocklist` is
+// settings.websiteBlocklist (blocked sites say nothing about who the client is).
+
+(function () {
+    // Output fields that describe the client (built-in schema names; custom schemas
+    // without them still group by job links). Conflicting companies or websites are
+    // flagged; several names are normal (more than one person posts for a client).
+    const VOTED_FIELDS = [
+        { key: 'names', label: 'Names', values: job => job.names, normalize: name => name.toLowerCase().replace(/\s+/g, ' '), flagConflicts: false },
+        { key: 'companies', label: 'Company', values: job => [job.company], normalize: value => companyKey(value), flagConflicts: true },
+        { key: 'websites', label: 'Website', values: job => [job.website], normalize: (value, blocklist) => websiteKey(value, blocklist), flagConflicts: true }
+    ];
+
+    // One row per client in the clients CSV
+    const CLIENT_COLUMNS = [
+        { header: 'Client', key: 'name' },
+        { header: 'Company', key: 'company' },
+        { header: 'Company Votes', key: 'companyVotes' },
+        { header: 'Website', key: 'website' },
+        { header: 'Website Votes', key: 'websiteVotes' },
+        { header: 'Names', key: 'names' },
+        { header: 'Best Confidence', key: 'bestConfidence' },
+        { header: 'Conflicts', key: 'conflicts' },
+        { header: 'Country', key: 'country' },
+        { header: 'Location', key: 'location' },
+        { header: 'Jobs', key: 'jobCount' },
+        { header: 'Job URLs', key: 'jobUrls' }
+    ];
+
+    // One row per job in a single client's CSV
+    const CLIENT_JOB_COLUMNS = [
+        { header: 'Job Title', key: 'jobTitle' },
+        { header: 'Job URL', key: 'job_url' },
+        { header: 'Job ID', key: 'job_id' },
+        { header: 'Person Name', key: 'names' },
+        { header: 'Company Name', key: 'company' },
+        { header: 'Client Website', key: 'website' },
+        { header: 'Confidence', key: 'confidence' },
+        { header: 'Counted as Vote', key: 'voted' },
+        { header: 'Saved At', key: 'observedAt' }
+    ];
+
+    // ============ KEYS ============
+
+    // Upwork job ciphertext (~01...) from a URL or an id, else the trimmed value
+    function jobRef(value) {
+        if (!value) return '';
+        const text = String(value).trim();
+        const match = text.match(/~0[0-9a-z]+/i);
+        return match ? match[0].toLowerCase() : text.replace(/\/+$/, '').toLowerCase();
+    }
+
+    // Registrable domain of a website ('' when it is not one or is blocked):
+    // "https://www.acme.com/shop" and "acme.com" are the same site
+    function websiteKey(url, blocklist) {
+        return self.ExtractorNormalize.normalizeWebsite(url, blocklist || self.ExtractorNormalize.DEFAULT_BLOCKLIST).website.split('/')[0];
+    }
+
+    // Company name without its legal form, case-insensitive: "ACME Ltd" = "Acme"
+    function companyKey(name) {
+        return self.ExtractorNormalize.normalizeCompanyName(name).toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    // Arrays stay arrays; edited values come back as "a; b"
+    function toList(value) {
+        if (Array.isArray(value)) return value;
+        if (value === undefined || value === null || value === '') return [];
+        return String(value).split(';');
+    }
+
+    // ============ MERGING ============
+
+    // What one saved result says about its client. job (optional) is the source job,
+    // whose all_past_jobs_links tie the client's other jobs to it.
+    function observe(entry, job = null) {
+        const own = [jobRef(entry.job_url), jobRef(entry.job_id)].filter(Boolean);
+        const ref = own[0] || `result:${entry.id}`;
+        const links = [jobRef(entry.parent_id), ...toList(job?.all_past_jobs_links).map(jobRef)].filter(Boolean);
+        return {
+            ref,
+            refs: [...new Set([ref, ...own, ...links])],
+            resultId: entry.id ?? null,
+            jobTitle: entry.jobTitle || '',
+            job_url: entry.job_url || '',
+            job_id: entry.job_id || '',
+            // Child rows copied from their parent's answer are not a vote of their own,
+            // and neither do rules-only guesses or answers rejected in the review queue
+            voted: !entry.resolvedFromParent && !entry.rulesOnly && entry.review_status !== 'rejected',
+            names: toList(entry.personName).map(name => String(name).trim()).filter(Boolean),
+            company: String(entry.companyName || '').trim(),
+            website: String(entry.clientWebsite || '').trim(),
+            confidence: Number(entry.confidence) || 0,
+            country: entry.client_country || '',
+            location: entry.client_location || '',
+            observedAt: entry.timestamp || new Date().toISOString()
+        };
+    }
+
+    // Same client: a shared job link (parent_id, client history), website or company
+    function matches(client, observation, blocklist) {
+        const refs = new Set(client.refs);
+        if (observation.refs.some(ref => refs.has(ref))) return true;
+
+        const website = websiteKey(observation.website, blocklist);
+        if (website && client.jobs.some(job => websiteKey(job.website, blocklist) === website)) return true;
+
+        const company = companyKey(observation.company);
+        return !!company && client.jobs.some(job => companyKey(job.company) === company);
+    }
+
+    // Add an observation to its client. When it matches several clients they are
+    // merged into the oldest one. Returns { client, removedIds }; a new client has no id yet.
+    function mergeObservation(clients, observation, blocklist = null) {
+        const matched = clients.filter(client => matches(client, observation, blocklist))
+            .sort((a, b) => a.createdAt - b.createdAt);
+        const client = matched[0] || { refs: [], jobs: [], createdAt: Date.now() };
+        for (const other of matched.slice(1)) {
+            client.refs.push(...other.refs);
+            client.jobs.push(...other.jobs);
+        }
+
+        // A newer answer for the same job replaces the older one
+        const jobs = new Map(client.jobs.map(job => [job.ref, job]));
+        jobs.delete(observation.ref);
+        jobs.set(observation.ref, observation);
+        client.jobs = Array.from(jobs.values());
+        client.refs = [...new Set([...client.refs, ...observation.refs])];
+        client.updatedAt = Date.now();
+        return { client, removedIds: matched.slice(1).map(other => other.id) };
+    }
+
+    // ============ SUMMARY ============
+
+    // Votes per field ({ value, votes, bestConfidence }, best first), the best values and conflicts
+    function summarize(client, blocklist = null) {
+        const voters = client.jobs.filter(job => job.voted);
+        const summary = { id: client.id, jobCount: client.jobs.length, conflicts: [], jobs: client.jobs };
+
+        for (const { key, label, values, normalize, flagConflicts } of VOTED_FIELDS) {
+            const tally = new Map();
+            for (const job of voters) {
+                for (const value of values(job).filter(Boolean)) {
+                    // Blocked sites and bare legal forms ("Inc") don't vote
+                    const id = normalize(value, blocklist);
+                    if (!id) continue;
+                    const item = tally.get(id) || { value, votes: 0, bestConfidence: 0 };
+                    item.votes++;
+                    item.bestConfidence = Math.max(item.bestConfidence, job.confidence);
+                    tally.set(id, item);
+                }
+            }
+            summary[key] = Array.from(tally.values())
+                .sort((a, b) => b.votes - a.votes || b.bestConfidence - a.bestConfidence);
+            if (flagConflicts && summary[key].length > 1) summary.conflicts.push(label);
+        }
+
+        const latest = [...client.jobs].reverse();
+        summary.country = latest.find(job => job.country)?.country || '';
+        summary.location = latest.find(job => job.location)?.location || '';
+        summary.bestConfidence = voters.reduce((best, job) => Math.max(best, job.confidence), 0);
+        summary.name = summary.companies[0]?.value || summary.names[0]?.value ||
+            summary.websites[0]?.value || `Client #${client.id ?? '?'}`;
+        return summary;
+    }
+
+    // Export rows: one per client, or one per job of a client
+    function toExportRows(summaries) {
+        const votes = items => items.map(item => `${item.value} (${item.votes})`).join('; ');
+        return summaries.map(summary => ({
+            name: summary.name,
+            company: summary.companies[0]?.value || '',
+            companyVotes: votes(summary.companies),
+            website: summary.websites[0]?.value || '',
+            websiteVotes: votes(summary.websites),
+            names: votes(summary.names),
+            bestConfidence: summary.bestConfidence,
+            conflicts: summary.conflicts.join('; '),
+            country: summary.country,
+            location: summary.location,
+            jobCount: summary.jobCount,
+            jobUrls: summary.jobs.map(job => job.job_url || job.job_id).filter(Boolean).join('; ')
+        }));
+    }
+
+    function toJobExportRows(summary) {
+        return summary.jobs.map(job => ({ ...job, names: job.names.join('; ') }));
+    }
+
+    self.ExtractorClients = {
+        CLIENT_COLUMNS,
+        CLIENT_JOB_COLUMNS,
+        jobRef,
+        observe,
+        mergeObservation,
+        summarize,
+        toExportRows,
+        toJobExportRows
+    };
+})();
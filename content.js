@@ -1,4 +1,6 @@
 // content.js - Wrapped to prevent duplicate injection errors
+// Types the message built by background.js (prompt.js) into the chat and reads the reply
+// Needs schema.js (reply parsing + validation) and providers.js (chat site DOM) injected first
 
 // Guard: Only run if not already injected
 if (typeof window.__GEMINI_EXTRACTOR_LOADED__ === 'undefined') {
@@ -7,42 +9,22 @@ if (typeof window.__GEMINI_EXTRACTOR_LOADED__ === 'undefined') {
     // --- CONFIGURATION ---
     const MAX_WAIT_TIME = 90000; // 90 seconds max timeout per job
 
-    // --- SYSTEM PROMPT (sent with each job) ---
-    const SYSTEM_PROMPT = `You are an advanced Information Extraction AI with deep semantic understanding. Your goal is to read a job post and identify the **Identity of the Client** (Person/Company) and their **Owned Digital Assets** (Website). 
+    // Reply completion detection (set from each PROMPT_CHAT request, see settings.js)
+    // mode: 'observer' (MutationObserver + stop/send buttons + quiet window) or 'polling'
+    // fallbackMs: polling time left after the observer timed out (see waitForCompletion)
+    let completion = { mode: 'observer', quietMs: 1500, maxWaitMs: MAX_WAIT_TIME, fallbackMs: 15000 };
 
-You must distinguish between the **Subject** (the client hiring), the **Objects** (tools, targets, platforms being used), and the **Topic** (the work being done).
+    // Timing of the job being sent: first reply text and total reply time (all rounds)
+    let jobTiming = null;
 
-**Core Extraction Logic:**
+    // Adapter for the chat site in this tab (set from each PROMPT_CHAT request)
+    let provider = window.ExtractorProviders.detect(location.href) || window.ExtractorProviders.get();
 
-1. **Person Name (The "Who"):**
-   - **Goal:** Identify the specific human managing this project.
-   - **Intelligence Check:** Look for names used in a communicative context (e.g., "Thanks, Keith", "Contact Sarah", "I am David"). 
-   - **Avoid:** Famous figures mentioned as examples (e.g., "Write like Shakespeare") or personas (e.g., "Act like a customer").
+    // How the message gets into the input box (set from each PROMPT_CHAT request)
+    let preferredInsertion = 'typing';
 
-2. **Company Name (The "Entity"):**
-   - **Goal:** Extract the **explicit legal or trade name** of the hiring organization.
-   - **Intelligence Check (Agent vs. Instrument):** - "We are **Google**" -> EXTRACT (Agent).
-     - "We use **Slack**" -> IGNORE (Instrument/Tool).
-     - "We need an **SEO Expert**" -> IGNORE (Job Title/Topic).
-   - **CRITICAL ANTI-HALLUCINATION RULE:** Do not "summarize" the job into a company name. If the user says "I have a food blog," and never names it, the Company Name is \`""\`. **Do not** output "Food Blog Client" or "SEO Project Client". If the name is not explicitly written, return an empty string.
-
-3. **Client Website (The "Property"):**
-   - **Goal:** Extract the URL that belongs to the client.
-   - **Intelligence Check (Ownership vs. Target):**
-     - **Ownership Signals:** "My site", "Our portal", "Redesign [URL]", "Login to [URL]". -> EXTRACT.
-     - **Target Signals:** "Scrape [URL]", "Research [URL]", "Competitor is [URL]", "Leads from [URL]". -> IGNORE (This is a target, not the client).
-
-**Strict JSON Output:**
-
-{
-  "personName": ["Name1"], 
-  "companyName": "Explicit Name OR Empty String",
-  "clientWebsite": "URL OR Empty String",
-  "confidence": 0.0 to 1.0,
-  "reasoning": "Explain WHY you extracted these. Explicitly state why a URL was kept (Ownership) or rejected (Target). Explain why a text string was identified as a Company and not a Tool."
-}
-
-`;
+    // Current chat thread: an id for the results, and how many jobs were sent in it
+    let conversation = { id: newConversationId(), jobs: 0 };
 
     // --- HELPER FUNCTIONS ---
     function sendLog(msg) {
@@ -53,112 +35,262 @@ You must distinguish between the **Subject** (the client hiring), the **Objects*
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // --- SEND JOB DATA (prompt + data combined each time) ---
-    async function sendJobData(rawJobData, fileId) {
-        try {
-            sendLog(`📋 Processing: ${rawJobData.title?.substring(0, 25) || "Untitled"}...`);
+    function newConversationId() {
+        return `${provider.id}-${Date.now().toString(36)}`;
+    }
 
-            // Rename keys to match the prompt's expected format
-            const dataToSendToAI = {
-                jobTitle: rawJobData.title || "",
-                jobDescription: rawJobData.summary || "",
-                feedbackReceivedFromFreelancers: Array.isArray(rawJobData.feedback_received_From_Freelancer) 
-                    ? rawJobData.feedback_received_From_Freelancer 
-                    : []
-            };
+    // --- NEW CHAT ROTATION ---
+    // Start a fresh chat when the next message would go past everyJobs jobs in
+    // this thread, or when the page has more than maxDomNodes elements (0 = off)
+    async function rotateConversationIfNeeded({ everyJobs = 0, maxDomNodes = 0 } = {}, incomingJobs) {
+        const tooManyJobs = everyJobs > 0 && conversation.jobs > 0 && conversation.jobs + incomingJobs > everyJobs;
+        const domNodes = maxDomNodes > 0 ? document.getElementsByTagName('*').length : 0;
+        const tooLarge = maxDomNodes > 0 && domNodes > maxDomNodes;
+        if (!tooManyJobs && !tooLarge) return;
+
+        sendLog(tooManyJobs
+            ? `🆕 ${conversation.jobs} jobs in this chat - starting a new one...`
+            : `🆕 Page has ${domNodes} elements - starting a new chat...`);
+        await startNewChat();
+    }
 
-            // Combine prompt + data in every message
-            const fullMessage = `${SYSTEM_PROMPT}
-
---------------------------------------------------
-HERE IS THE NEW INPUT DATA:
-
-${JSON.stringify(dataToSendToAI, null, 2)}`;
-
-            // --- TYPE & SEND ---
-            const initialCount = document.querySelectorAll('.model-response-text').length;
-            await humanTypeAndSend(fullMessage, initialCount);
-            await waitForTextStability();
-
-            // --- EXTRACT RESPONSE ---
-            const responseContainers = document.querySelectorAll('.model-response-text');
-            if (responseContainers.length === 0) throw new Error("No response found");
-            
-            const lastResponse = responseContainers[responseContainers.length - 1];
-            let responseText = lastResponse.innerText;
-
-            // Clean Markdown
-            responseText = responseText.replace(/```json/g, "").replace(/```/g, "").trim();
-            
-            // Parse JSON
-            let parsedAI = {};
-            const jsonStart = responseText.indexOf('{');
-            const jsonEnd = responseText.lastIndexOf('}');
-            
-            if (jsonStart !== -1 && jsonEnd !== -1) {
-                try {
-                    parsedAI = JSON.parse(responseText.substring(jsonStart, jsonEnd + 1));
-                } catch (e) {
-                    parsedAI = { reasoning: "Error Parsing JSON: " + e.message };
-                }
-            } else {
-                parsedAI = { reasoning: "No JSON found in response" };
+    // Click the provider's "New chat" control and wait for the empty state.
+    // If that fails the queue keeps going in the current chat.
+    async function startNewChat() {
+        const button = provider.findNewChatButton();
+        if (!button) {
+            sendLog(`⚠️ "New chat" button not found - ${provider.name} UI may have changed. Staying in this chat.`);
+            return false;
+        }
+
+        button.click();
+        for (let waited = 0; waited < 15000; waited += 500) {
+            await delay(500);
+            if (provider.isEmptyConversation()) {
+                conversation = { id: newConversationId(), jobs: 0 };
+                await delay(1000); // let the editor settle
+                sendLog("✅ New chat ready");
+                return true;
             }
+        }
+        sendLog("⚠️ New chat did not open in 15s. Staying in this chat.");
+        return false;
+    }
+
+    // --- SEND JOB (message is the active prompt + job data, built in background.js) ---
+    async function sendJobData(request) {
+        const { job: rawJobData, fileId, jobIndex, leaseId, childJobs = [], message, promptInfo = null, schema, maxRepairAttempts = 0, providerId, selectorOverrides, jobKeys, insertionMode, newChat, completionDetection } = request;
+        try {
+            if (providerId) provider = window.ExtractorProviders.get(providerId, selectorOverrides);
+            if (insertionMode) preferredInsertion = insertionMode;
+            if (completionDetection) completion = { ...completion, ...completionDetection };
+            jobTiming = { firstTokenMs: null, completeMs: 0 };
+
+            // --- FRESH CHAT if this thread is too long or the page too heavy ---
+            const jobCount = jobKeys ? jobKeys.length : 1;
+            await rotateConversationIfNeeded(newChat, jobCount);
+            const conversationInfo = { id: conversation.id, firstJobNumber: conversation.jobs + 1 };
+            conversation.jobs += jobCount;
+
+            // --- BATCH: one message for several jobs, reply split by jobKey ---
+            if (jobKeys) {
+                sendLog(`📋 Processing batch of ${jobKeys.length} jobs...`);
+                const { results, missingKeys } = await window.ExtractorSchema.askBatchWithRepair({
+                    ask: askModel,
+                    message: message,
+                    schema: schema,
+                    jobKeys: jobKeys,
+                    maxRepairAttempts: maxRepairAttempts,
+                    log: sendLog
+                });
+                chrome.runtime.sendMessage({
+                    action: "BATCH_PROCESSED",
+                    results: results,
+                    missingKeys: missingKeys,
+                    promptInfo: promptInfo,
+                    schema: schema,
+                    conversation: conversationInfo,
+                    timing: jobTiming,
+                    fileId: fileId,
+                    jobIndex: jobIndex,
+                    leaseId: leaseId
+                });
+                return;
+            }
+
+            sendLog(`📋 Processing: ${rawJobData.title?.substring(0, 25) || "Untitled"}...`);
+
+            // --- TYPE, SEND & PARSE (auto-repair asks for corrected JSON in the same conversation) ---
+            const { aiResult, validation } = await window.ExtractorSchema.askWithRepair({
+                ask: askModel,
+                message: message,
+                schema: schema,
+                maxRepairAttempts: maxRepairAttempts,
+                log: sendLog
+            });
 
             // --- DONE ---
             chrome.runtime.sendMessage({
                 action: "JOB_PROCESSED",
-                aiResult: parsedAI,
+                aiResult: aiResult,
+                validation: validation,
                 originalJob: rawJobData,
-                fileId: fileId
+                childJobs: childJobs,
+                promptInfo: promptInfo,
+                schema: schema,
+                conversation: conversationInfo,
+                timing: jobTiming,
+                fileId: fileId,
+                jobIndex: jobIndex,
+                leaseId: leaseId
             });
 
         } catch (error) {
             sendLog("❌ Error: " + error.message);
-            // Still send JOB_PROCESSED so the loop continues
+            // Report the failure so background can retry it or mark it failed
             chrome.runtime.sendMessage({
-                action: "JOB_PROCESSED",
-                aiResult: { 
-                    personName: [],
-                    companyName: "",
-                    clientWebsite: "",
-                    confidence: 0,
-                    reasoning: "Script Error: " + error.message 
-                },
-                originalJob: rawJobData,
-                fileId: fileId
+                action: "JOB_FAILED",
+                error: error.message,
+                fileId: fileId,
+                jobIndex: jobIndex,
+                leaseId: leaseId
             });
         }
     }
 
-    // *** HUMAN TYPING SIMULATION ***
-    async function humanTypeAndSend(text, initialCount) {
-        // Try multiple selectors for Gemini input
-        const editor = document.querySelector('.ql-editor') || 
-                       document.querySelector('[contenteditable="true"]') ||
-                       document.querySelector('rich-textarea');
-        if (!editor) throw new Error("Input box not found - Gemini UI may have changed");
-        
-        // 1. CLEAR EDITOR
+    // Type one message into the current conversation and return the reply text
+    async function askModel(text) {
+        const initialCount = provider.getResponses().length;
+        const sentAt = await insertAndSend(text, initialCount);
+        const timing = await waitForCompletion(initialCount, sentAt);
+
+        if (provider.getResponses().length === 0) throw new Error("No response found");
+
+        // First token of the job's first message; completion time adds up repair rounds
+        if (jobTiming) {
+            if (jobTiming.firstTokenMs === null) jobTiming.firstTokenMs = timing.firstTokenMs;
+            jobTiming.completeMs += timing.completeMs;
+        }
+
+        return provider.readLastResponse();
+    }
+
+    // *** INPUT INSERTION STRATEGIES ***
+    // insertText: one execCommand for the whole message (fastest)
+    // paste:      a synthetic paste event carrying the text in a DataTransfer
+    // typing:     15-character chunks as beforeinput/input events with small random
+    //             delays (slowest, most human-like; no execCommand, so it still works
+    //             where the browser or the editor ignores it)
+    const INSERTION_ORDER = ['insertText', 'paste', 'typing'];
+
+    // Put text at the caret without execCommand. A caret outside the editor moves to the
+    // end of its last paragraph (an empty "<p><br></p>" loses its placeholder <br>).
+    function insertAtCaret(editor, text) {
+        if (typeof editor.setRangeText === 'function') {
+            editor.setRangeText(text, editor.selectionStart, editor.selectionEnd, 'end');
+            return;
+        }
+        const selection = window.getSelection();
+        if (selection.rangeCount === 0 || !editor.contains(selection.anchorNode)) {
+            const block = editor.lastElementChild || editor;
+            if (block.childNodes.length === 1 && block.firstChild.nodeName === 'BR') block.firstChild.remove();
+            const end = document.createRange();
+            end.selectNodeContents(block);
+            end.collapse(false);
+            selection.removeAllRanges();
+            selection.addRange(end);
+        }
+        const range = selection.getRangeAt(0);
+        range.deleteContents();
+        const node = document.createTextNode(text);
+        range.insertNode(node);
+        range.setStartAfter(node);
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    const INSERTION_STRATEGIES = {
+        async insertText(editor, text) {
+            document.execCommand('insertText', false, text);
+        },
+        async paste(editor, text) {
+            const data = new DataTransfer();
+            data.setData('text/plain', text);
+            editor.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+        },
+        // Each chunk is offered to the editor as a beforeinput event. Editors that handle
+        // input themselves cancel it and insert the chunk; otherwise it is put at the
+        // caret and announced with an input event, like a keystroke would be.
+        async typing(editor, text) {
+            editor.focus();
+            const chunks = text.match(/[\s\S]{1,15}/g) || [];
+            for (const chunk of chunks) {
+                const init = { inputType: 'insertText', data: chunk, bubbles: true, composed: true };
+                if (editor.dispatchEvent(new InputEvent('beforeinput', { ...init, cancelable: true }))) {
+                    insertAtCaret(editor, chunk);
+                    editor.dispatchEvent(new InputEvent('input', init));
+                }
+                await delay(Math.random() * 40 + 10);
+                editor.scrollTop = editor.scrollHeight;
+            }
+        }
+    };
+
+    function clearEditor(editor) {
         editor.focus();
         document.execCommand('selectAll', false, null);
         document.execCommand('delete', false, null);
         editor.innerHTML = '<p><br></p>'; 
-        await delay(800); 
+    }
 
-        // 2. TYPE THE TEXT (Chunked for speed + reliability)
-        const chunks = text.match(/.{1,15}/g) || [];
-        
-        for (const chunk of chunks) {
-            document.execCommand('insertText', false, chunk);
-            await delay(Math.random() * 40 + 10);
-            editor.scrollTop = editor.scrollHeight;
+    // The editor took the text if (almost) all non-space characters arrived;
+    // line breaks and spacing may be rewritten by the editor
+    function editorAccepted(editor, text) {
+        const expected = text.replace(/\s/g, '').length;
+        const actual = (editor.innerText || editor.textContent || editor.value || '').replace(/\s/g, '').length;
+        return actual >= expected * 0.95;
+    }
+
+    // Try the preferred strategy first, then the others in INSERTION_ORDER
+    async function insertMessage(editor, text) {
+        const order = [preferredInsertion, ...INSERTION_ORDER.filter(mode => mode !== preferredInsertion)]
+            .filter(mode => INSERTION_STRATEGIES[mode]);
+
+        for (const mode of order) {
+            const startedAt = performance.now();
+            await INSERTION_STRATEGIES[mode](editor, text);
+            await delay(300);
+
+            if (editorAccepted(editor, text)) {
+                const seconds = ((performance.now() - startedAt) / 1000).toFixed(1);
+                sendLog(`⌨️ Inserted ${text.length} chars via ${mode} in ${seconds}s`);
+                return;
+            }
+
+            sendLog(`⚠️ ${provider.name} didn't accept the text via ${mode}, trying the next method...`);
+            clearEditor(editor);
+            await delay(500);
         }
+        throw new Error(`${provider.name} input rejected every insertion method`);
+    }
+
+    async function insertAndSend(text, initialCount) {
+        const editor = provider.findInput();
+        if (!editor) throw new Error(`Input box not found - ${provider.name} UI may have changed`);
+        
+        // 1. CLEAR EDITOR
+        clearEditor(editor);
+        await delay(800); 
+
+        // 2. INSERT THE TEXT (falls back to other methods if the editor ignores it)
+        await insertMessage(editor, text);
 
         // 3. FINAL DELAY
         await delay(1000);
 
         // 4. PRESS ENTER
+        const sentAt = Date.now();
         const enterEvent = new KeyboardEvent('keydown', {
             bubbles: true, cancelable: true, keyCode: 13, key: 'Enter', code: 'Enter'
         });
@@ -169,22 +301,20 @@ ${JSON.stringify(dataToSendToAI, null, 2)}`;
         // 5. SAFETY CHECK: CLICK SEND BUTTON IF ENTER FAILED
         let attempts = 0;
         while (attempts < 15) {
-            const currentCount = document.querySelectorAll('.model-response-text').length;
+            const currentCount = provider.getResponses().length;
             if (currentCount > initialCount) {
-                sendLog("✅ Gemini started generating...");
-                return;
+                sendLog(`✅ ${provider.name} started generating...`);
+                return sentAt;
             }
 
-            const stopBtn = document.querySelector('button[aria-label="Stop response"]') ||
-                            document.querySelector('button[aria-label="Stop"]');
-            if (stopBtn) {
-                sendLog("✅ Gemini is generating (Stop button visible)...");
-                return;
+            if (provider.isGenerating()) {
+                sendLog(`✅ ${provider.name} is generating (Stop button visible)...`);
+                return sentAt;
             }
 
-            const sendBtn = document.querySelector('button[aria-label="Send message"]');
+            const sendBtn = provider.findSendButton();
                             
-            if (sendBtn && !sendBtn.disabled && sendBtn.getAttribute('aria-disabled') !== 'true') {
+            if (sendBtn) {
                 sendLog(`🔄 Attempt ${attempts + 1}: Clicking Send button...`);
                 sendBtn.click();
                 await delay(2000);
@@ -197,43 +327,171 @@ ${JSON.stringify(dataToSendToAI, null, 2)}`;
             attempts++;
         }
         
-        throw new Error("Failed to start Gemini response after 15 attempts.");
+        throw new Error(`Failed to start ${provider.name} response after 15 attempts.`);
+    }
+
+    // *** REPLY COMPLETION ***
+    // Resolves with { firstTokenMs, completeMs } measured from sentAt.
+    // The observer hands over to polling when it can't be trusted: no MutationObserver,
+    // no stop button seen (a pause can't be told from the end), or a timeout (the stop
+    // button may be stuck, so polling then only watches the text, for fallbackMs more).
+    async function waitForCompletion(initialCount, sentAt) {
+        if (completion.mode === 'observer') {
+            try {
+                return await waitForCompletionObserved(initialCount, sentAt);
+            } catch (error) {
+                if (error.name !== 'ObserverFallback') throw error;
+                sendLog(`⚠️ ${error.message} - falling back to polling`);
+                return waitForTextStability(initialCount, sentAt, error.polling);
+            }
+        }
+        return waitForTextStability(initialCount, sentAt);
+    }
+
+    // Error that makes waitForCompletion poll instead; polling: options for waitForTextStability
+    function observerFallback(message, polling = {}) {
+        const error = new Error(message);
+        error.name = 'ObserverFallback';
+        error.polling = polling;
+        return error;
     }
 
-    async function waitForTextStability() {
+    // Event-driven: re-checks on every DOM change (and on a short tick for the
+    // quiet window). Done when there is reply text, the model is no longer
+    // generating (stop button gone or send button enabled again), and the text
+    // hasn't changed for quietMs. A pause mid-stream keeps the stop button, so
+    // it doesn't end the reply early.
+    function waitForCompletionObserved(initialCount, sentAt) {
+        return new Promise((resolve, reject) => {
+            if (typeof MutationObserver === 'undefined' || !document.body) {
+                reject(observerFallback("MutationObserver not available"));
+                return;
+            }
+
+            const startedAt = Date.now();
+            let lastText = '';
+            let lastChangeAt = startedAt;
+            let firstTokenAt = null;
+            let sawStopButton = false;
+
+            const finish = (error, result) => {
+                observer.disconnect();
+                clearInterval(ticker);
+                clearTimeout(timeout);
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            const check = () => {
+                const now = Date.now();
+                const text = provider.getResponses().length > initialCount ? provider.readLastResponse() : '';
+                if (text !== lastText) {
+                    lastText = text;
+                    lastChangeAt = now;
+                    if (!firstTokenAt && text.length > 0) firstTokenAt = now;
+                }
+
+                const generating = provider.isGenerating();
+                if (generating) sawStopButton = true;
+                const idle = !generating || !!provider.findSendButton();
+                if (lastText.length > 0 && idle && now - lastChangeAt >= completion.quietMs) {
+                    if (!sawStopButton) {
+                        const maxWaitMs = Math.max(completion.fallbackMs, completion.maxWaitMs - (now - startedAt));
+                        finish(observerFallback(`No ${provider.name} Stop button seen`, { maxWaitMs }));
+                        return;
+                    }
+                    finish(null, { firstTokenMs: firstTokenAt - sentAt, completeMs: lastChangeAt - sentAt });
+                }
+            };
+
+            const observer = new MutationObserver(check);
+            observer.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['disabled', 'aria-disabled', 'aria-label', 'data-is-streaming'] });
+            const ticker = setInterval(check, 250);
+            const timeout = setTimeout(() => finish(observerFallback("Timeout waiting for the reply to complete",
+                { maxWaitMs: completion.fallbackMs, ignoreStopButton: true })), completion.maxWaitMs);
+
+            sendLog("Waiting for reply to complete...");
+            check();
+        });
+    }
+
+    // Polling fallback: three unchanged lengths one second apart.
+    // ignoreStopButton: a Stop button that never went away doesn't hold it up.
+    async function waitForTextStability(initialCount, sentAt, { maxWaitMs = completion.maxWaitMs, ignoreStopButton = false } = {}) {
         sendLog("Waiting for text to complete...");
         
         let stableCount = 0;
         let lastLength = 0;
         let timeElapsed = 0;
+        let firstTokenAt = null;
+        let lastChangeAt = Date.now();
 
-        while (timeElapsed < MAX_WAIT_TIME) {
+        while (timeElapsed < maxWaitMs) {
             await delay(1000);
             timeElapsed += 1000;
 
-            const responses = document.querySelectorAll('.model-response-text');
-            if (responses.length === 0) continue;
+            if (provider.getResponses().length === 0) continue;
 
-            const lastResponse = responses[responses.length - 1];
-            const currentLength = lastResponse.innerText.length;
+            const currentLength = provider.readLastResponse().length;
+            if (!firstTokenAt && currentLength > 0 && provider.getResponses().length > initialCount) {
+                firstTokenAt = Date.now();
+            }
 
-            if (currentLength > 0 && currentLength === lastLength) {
+            // Still streaming: don't count a pause as finished
+            if (currentLength > 0 && currentLength === lastLength && (ignoreStopButton || !provider.isGenerating())) {
                 stableCount++;
                 if (stableCount >= 3) {
-                    return;
+                    return { firstTokenMs: (firstTokenAt || lastChangeAt) - sentAt, completeMs: lastChangeAt - sentAt };
                 }
             } else {
                 stableCount = 0;
                 lastLength = currentLength;
+                lastChangeAt = Date.now();
             }
         }
         throw new Error("Timeout waiting for text stability.");
     }
 
+    // --- DIAGNOSTICS (side panel "Run Diagnostics") ---
+    // Reports how many elements each selector matches, then sends a tiny prompt
+    // and checks that a reply comes back and parses as JSON
+    async function runDiagnostics({ providerId, selectorOverrides, dryRun = true }) {
+        if (providerId) provider = window.ExtractorProviders.get(providerId, selectorOverrides);
+        const report = {
+            provider: provider.name,
+            url: location.href,
+            selectors: provider.checkSelectors(),
+            dryRun: null
+        };
+        if (!dryRun) return report;
+
+        jobTiming = { firstTokenMs: null, completeMs: 0 };
+        try {
+            const reply = await askModel('Reply with exactly this JSON and nothing else: {"ok": true}');
+            const parsed = window.ExtractorSchema.parseReply(reply);
+            report.dryRun = {
+                ok: !!parsed.value && parsed.value.ok === true,
+                error: parsed.error,
+                reply: reply.substring(0, 200),
+                firstTokenMs: jobTiming.firstTokenMs,
+                completeMs: jobTiming.completeMs
+            };
+        } catch (error) {
+            report.dryRun = { ok: false, error: error.message };
+        }
+        conversation.jobs++;
+        return report;
+    }
+
     // --- MESSAGE LISTENER (only set up once) ---
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-        if (request.action === "PROMPT_GEMINI") {
-            sendJobData(request.job, request.fileId);
+        if (request.action === "PROMPT_CHAT") {
+            sendJobData(request);
+            // Acknowledge right away so background knows this tab is listening
+            sendResponse({ received: true });
+        } else if (request.action === "RUN_DIAGNOSTICS") {
+            runDiagnostics(request).then(sendResponse);
+            return true; // reply is sent asynchronously
         }
     });
 
@@ -1,12 +1,16 @@
 // db.js - IndexedDB Helper for Large Data Storage
 
 const DB_NAME = 'GeminiExtractorDB';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 
 // Store names
 const STORES = {
     JOB_DATA: 'jobData',      // Actual job arrays (large)
-    RESULTS: 'results'         // Extracted results (large)
+    RESULTS: 'results',        // Extracted results (large)
+    PROMPTS: 'prompts',        // Prompt library (versioned templates)
+    OUTBOX: 'outbox',          // Results waiting for webhook delivery (written by background.js)
+    CACHE: 'cache',            // Model answers reused across files and runs (written by background.js)
+    CLIENTS: 'clients'         // Client knowledge base (see clients.js; merged by background.js)
 };
 
 let dbInstance = null;
@@ -48,27 +52,48 @@ function initDB() {
                 });
                 resultsStore.createIndex('fileId', 'fileId', { unique: false });
             }
+
+            // Store for prompt templates: auto-increment key, edits bump `version`
+            if (!db.objectStoreNames.contains(STORES.PROMPTS)) {
+                db.createObjectStore(STORES.PROMPTS, { keyPath: 'id', autoIncrement: true });
+            }
+
+            // Store for the webhook outbox: auto-increment key, one entry per undelivered result
+            if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+                db.createObjectStore(STORES.OUTBOX, { keyPath: 'id', autoIncrement: true });
+            }
+
+            // Store for the result cache: key = job identity + prompt version + schema
+            if (!db.objectStoreNames.contains(STORES.CACHE)) {
+                db.createObjectStore(STORES.CACHE, { keyPath: 'key' });
+            }
+
+            // Store for clients: auto-increment key, one record per client with its jobs
+            if (!db.objectStoreNames.contains(STORES.CLIENTS)) {
+                db.createObjectStore(STORES.CLIENTS, { keyPath: 'id', autoIncrement: true });
+            }
         };
     });
 }
 
 // ============ JOB DATA OPERATIONS ============
 
-// Save job data for a file
-async function saveJobData(fileId, jobs) {
+// Save job data for a file: the rows as uploaded and the field mapping that
+// turns them into jobs (null = rows already in the scraper's format, see input.js)
+async function saveJobData(fileId, jobs, mapping = null) {
     const db = await initDB();
     return new Promise((resolve, reject) => {
         const tx = db.transaction(STORES.JOB_DATA, 'readwrite');
         const store = tx.objectStore(STORES.JOB_DATA);
         
-        const request = store.put({ fileId, jobs, savedAt: Date.now() });
+        const request = store.put({ fileId, jobs, mapping, savedAt: Date.now() });
         
         request.onsuccess = () => resolve(true);
         request.onerror = () => reject(request.error);
     });
 }
 
-// Get job data for a file
+// Get the jobs of a file (field mapping applied)
 async function getJobData(fileId) {
     const db = await initDB();
     return new Promise((resolve, reject) => {
@@ -78,7 +103,7 @@ async function getJobData(fileId) {
         const request = store.get(fileId);
         
         request.onsuccess = () => {
-            resolve(request.result ? request.result.jobs : null);
+            resolve(request.result ? window.ExtractorInput.applyMapping(request.result.jobs, request.result.mapping) : null);
         };
         request.onerror = () => reject(request.error);
     });
@@ -142,6 +167,34 @@ async function getAllResults() {
     });
 }
 
+// Get a single result
+async function getResult(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.RESULTS, 'readonly');
+        const store = tx.objectStore(STORES.RESULTS);
+        
+        const request = store.get(id);
+        
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Replace a stored result (keeps its id)
+async function updateResult(result) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.RESULTS, 'readwrite');
+        const store = tx.objectStore(STORES.RESULTS);
+        
+        const request = store.put(result);
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // Get results count
 async function getResultsCount() {
     const db = await initDB();
@@ -170,6 +223,110 @@ async function clearAllResults() {
     });
 }
 
+// ============ RESULT CACHE OPERATIONS ============
+
+// Number of cached answers
+async function getCacheCount() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.CACHE, 'readonly');
+        const store = tx.objectStore(STORES.CACHE);
+        
+        const request = store.count();
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Forget every cached answer (results are kept)
+async function clearCache() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.CACHE, 'readwrite');
+        const store = tx.objectStore(STORES.CACHE);
+        
+        const request = store.clear();
+        
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ============ CLIENT KNOWLEDGE BASE OPERATIONS ============
+
+// Get all clients
+async function getAllClients() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.CLIENTS, 'readonly');
+        const store = tx.objectStore(STORES.CLIENTS);
+        
+        const request = store.getAll();
+        
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ============ PROMPT LIBRARY OPERATIONS ============
+
+// Get all prompt templates
+async function getAllPrompts() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.PROMPTS, 'readonly');
+        const store = tx.objectStore(STORES.PROMPTS);
+        
+        const request = store.getAll();
+        
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Get a single prompt template
+async function getPrompt(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.PROMPTS, 'readonly');
+        const store = tx.objectStore(STORES.PROMPTS);
+        
+        const request = store.get(id);
+        
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Create or update a prompt template (resolves with its id)
+async function savePrompt(prompt) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.PROMPTS, 'readwrite');
+        const store = tx.objectStore(STORES.PROMPTS);
+        
+        const request = store.put(prompt);
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Delete a prompt template
+async function deletePrompt(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.PROMPTS, 'readwrite');
+        const store = tx.objectStore(STORES.PROMPTS);
+        
+        const request = store.delete(id);
+        
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // ============ UTILITY ============
 
 // Get storage usage estimate
@@ -196,8 +353,17 @@ window.ExtractorDB = {
     clearAllJobData,
     addResult,
     getAllResults,
+    getResult,
+    updateResult,
     getResultsCount,
     clearAllResults,
+    getCacheCount,
+    clearCache,
+    getAllClients,
+    getAllPrompts,
+    getPrompt,
+    savePrompt,
+    deletePrompt,
     getStorageEstimate
 };
 
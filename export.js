@@ -0,0 +1,323 @@
+// export.js - Result export formats (CSV, JSON, NDJSON, XLSX) and export presets
+// Used by the side panel for the Export button and the auto-export at the end of a run
+
+(function () {
+    const FORMATS = {
+        csv: { name: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;' },
+        json: { name: 'JSON', extension: 'json', mimeType: 'application/json' },
+        ndjson: { name: 'NDJSON (one JSON object per line)', extension: 'ndjson', mimeType: 'application/x-ndjson' },
+        xlsx: { name: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+    };
+
+    const DELIMITERS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+
+    // Built-in preset: the CSV layout the extension has always produced
+    // (columns: null = every column in the default order)
+    const DEFAULT_PRESET = {
+        id: 'default',
+        name: 'Default CSV',
+        format: 'csv',
+        columns: null,
+        delimiter: ',',
+        bom: false
+    };
+
+    // Columns copied from the input job (and run metadata) after the schema fields
+    const PASSTHROUGH_COLUMNS = [
+        { header: 'Job URL', key: 'job_url' },
+        { header: 'Job ID', key: 'job_id' },
+        { header: 'Parent ID', key: 'parent_id' },
+        { header: 'Client Country', key: 'client_country' },
+        { header: 'Client Location', key: 'client_location' },
+        { header: 'Client Member Since', key: 'client_member_since' },
+        { header: 'Client Total Spent', key: 'client_total_spent' },
+        { header: 'Client Hires', key: 'client_hires' },
+        { header: 'Skills', key: 'skills' },
+        { header: 'Job Category', key: 'job_category' },
+        { header: 'Posted Online At', key: 'posted_online_at' },
+        { header: 'Prompt', key: 'promptName' },
+        { header: 'Prompt Version', key: 'promptVersion' },
+        { header: 'Repaired', key: 'repaired' },
+        { header: 'Validation Issues', key: 'validationIssues' },
+        { header: 'Conversation', key: 'conversationId' },
+        { header: 'Job # in Conversation', key: 'conversationJobNumber' },
+        { header: 'Time to First Token (ms)', key: 'timeToFirstTokenMs' },
+        { header: 'Time to Complete (ms)', key: 'timeToCompleteMs' },
+        { header: 'Edited', key: 'edited' },
+        { header: 'Review Status', key: 'review_status' },
+        { header: 'Reviewer Correction', key: 'review_correction' },
+        { header: 'Cache Hit', key: 'cacheHit' },
+        { header: 'Company Name (normalized)', key: 'companyNameNormalized' },
+        { header: 'Client Website (raw)', key: 'clientWebsiteRaw' },
+        { header: 'Normalization Notes', key: 'normalizationNotes' },
+        // Rule-based candidates (see rules.js), stored together under `rules`
+        { header: 'Rules Only', key: 'rulesOnly' },
+        { header: 'Rule Names', key: 'ruleNames', value: row => ruleList(row, 'names') },
+        { header: 'Rule Companies', key: 'ruleCompanies', value: row => ruleList(row, 'companies') },
+        { header: 'Rule Websites', key: 'ruleWebsites', value: row => ruleList(row, 'websites') },
+        { header: 'Rule Target Websites', key: 'ruleTargetWebsites', value: row => ruleList(row, 'targetWebsites') },
+        { header: 'Rule Emails', key: 'ruleEmails', value: row => ruleList(row, 'emails') }
+    ];
+
+    function ruleList(row, key) {
+        return (row.rules?.[key] || []).join('; ');
+    }
+
+    // Columns with a value() read it from the row; the rest are stored under their key
+    function cellValue(row, column) {
+        return column.value ? column.value(row) : row[column.key];
+    }
+
+    // Source fields mapped as pass-through at upload (see input.js), in first-seen order
+    function listPassthroughFields(rows) {
+        const fields = new Set();
+        for (const row of rows) Object.keys(row.passthrough || {}).forEach(field => fields.add(field));
+        return Array.from(fields);
+    }
+
+    function getPassthroughFieldColumns(fields) {
+        return fields.map(field => ({ header: field, key: `passthrough.${field}`, value: row => row.passthrough?.[field] ?? '' }));
+    }
+
+    // Every exportable column: the output schema's fields, then the pass-through fields,
+    // then the upload's pass-through source fields (passthroughFields: their names)
+    function getAvailableColumns(schema, passthroughFields = []) {
+        return [...self.ExtractorSchema.getColumns(schema), ...PASSTHROUGH_COLUMNS, ...getPassthroughFieldColumns(passthroughFields)];
+    }
+
+    // Columns of a preset, in its order. Keys that no longer exist (e.g. a removed
+    // schema field) are skipped.
+    function resolveColumns(preset, schema, passthroughFields = []) {
+        const available = getAvailableColumns(schema, passthroughFields);
+        if (!Array.isArray(preset.columns)) return available;
+        const byKey = new Map(available.map(column => [column.key, column]));
+        return preset.columns.map(key => byKey.get(key)).filter(Boolean);
+    }
+
+    // Saved presets after the built-in one
+    function listPresets(settings) {
+        return [DEFAULT_PRESET, ...(settings.exportPresets || [])];
+    }
+
+    function findPreset(settings, id) {
+        return listPresets(settings).find(preset => preset.id === id) || DEFAULT_PRESET;
+    }
+
+    // ============ FORMATS ============
+
+    // Always quoted, for Google Sheets compatibility
+    function escapeCsv(value) {
+        const str = (value === null || value === undefined) ? '' : String(value);
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+
+    function toCsv(rows, columns, { delimiter = ',', bom = false } = {}) {
+        let content = bom ? '\uFEFF' : '';
+        content += columns.map(column => escapeCsv(column.header)).join(delimiter) + '\n';
+        for (const row of rows) {
+            content += columns.map(column => escapeCsv(cellValue(row, column))).join(delimiter) + '\n';
+        }
+        return content;
+    }
+
+    // JSON formats use the stored keys (stable for code), not the CSV headers
+    function pickColumns(row, columns) {
+        const picked = {};
+        for (const column of columns) picked[column.key] = cellValue(row, column) ?? null;
+        return picked;
+    }
+
+    function toJson(rows, columns) {
+        return JSON.stringify(rows.map(row => pickColumns(row, columns)), null, 2);
+    }
+
+    function toNdjson(rows, columns) {
+        return rows.map(row => JSON.stringify(pickColumns(row, columns))).join('\n') + '\n';
+    }
+
+    // Build the export file: { content (string, or bytes for XLSX), extension, mimeType, count }
+    function build(rows, columns, preset) {
+        const format = FORMATS[preset.format] ? preset.format : 'csv';
+        const builders = {
+            csv: () => toCsv(rows, columns, preset),
+            json: () => toJson(rows, columns),
+            ndjson: () => toNdjson(rows, columns),
+            xlsx: () => toXlsx(rows, columns)
+        };
+        return { content: builders[format](), ...FORMATS[format], count: rows.length };
+    }
+
+    // ============ XLSX ============
+    // A minimal single-sheet workbook: inline strings, no styles, packed in a store-only zip
+
+    // Characters XML 1.0 does not allow, even escaped
+    const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+    function escapeXml(value) {
+        return String(value)
+            .replace(INVALID_XML_CHARS, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // 0 -> A, 25 -> Z, 26 -> AA
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    function xlsxCell(value, ref) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"><v>${value}</v></c>`;
+        }
+        if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+        if (value === null || value === undefined || value === '') return '';
+        // Excel caps a cell at 32767 characters
+        const text = String(value).substring(0, 32767);
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    }
+
+    function buildSheetXml(rows, columns) {
+        const lines = [columns.map(column => column.header), ...rows.map(row => columns.map(column => cellValue(row, column)))];
+        const sheetRows = lines.map((values, r) =>
+            `<row r="${r + 1}">${values.map((value, c) => xlsxCell(value, `${columnName(c)}${r + 1}`)).join('')}</row>`);
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`;
+    }
+
+    function toXlsx(rows, columns) {
+        const files = {
+            '[Content_Types].xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>',
+            '_rels/.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets><sheet name="Results" sheetId="1" r:id="rId1"/></sheets></workbook>',
+            'xl/_rels/workbook.xml.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>',
+            'xl/worksheets/sheet1.xml': buildSheetXml(rows, columns)
+        };
+        return zipStore(files);
+    }
+
+    // ============ ZIP (store only, no compression) ============
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // files: { path: string content } -> Uint8Array of the zip archive
+    function zipStore(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const [path, text] of Object.entries(files)) {
+            const name = encoder.encode(path);
+            const data = encoder.encode(text);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);  // local file header signature
+            local.setUint16(4, 20, true);          // version needed
+            local.setUint16(6, 0x0800, true);      // flags: UTF-8 names
+            local.setUint16(8, 0, true);           // method: store
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true); // compressed size
+            local.setUint32(22, data.length, true); // uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);          // extra field length
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true); // central directory signature
+            central.setUint16(4, 20, true);        // version made by
+            central.setUint16(6, 20, true);        // version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            // extra, comment, disk number, attributes: all 0
+            central.setUint32(42, offset, true);   // offset of the local header
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);         // end of central directory signature
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            zip.set(part, position);
+            position += part.length;
+        }
+        return zip;
+    }
+
+    self.ExtractorExport = {
+        FORMATS,
+        DELIMITERS,
+        DEFAULT_PRESET,
+        PASSTHROUGH_COLUMNS,
+        listPassthroughFields,
+        getAvailableColumns,
+        resolveColumns,
+        listPresets,
+        findPreset,
+        escapeCsv,
+        build
+    };
+})();
@@ -0,0 +1,425 @@
+// input.js - Upload formats (JSON, NDJSON, CSV) and the field mapping to job roles
+// Used by the side panel (parsing + mapping screen) and background.js (mapping jobs
+// before prompts are built). Files keep their rows as uploaded; the mapping chosen at
+// upload is stored next to them and turns each row into the job shape the prompt uses.
+
+(function () {
+    // Roles a source field can fill. `path` is where the value lands in the job the
+    // rest of the extension reads (prompt.js, result rows, parent/child grouping).
+    const ROLES = [
+        { role: 'title', label: 'Title', path: 'title', required: true },
+        { role: 'summary', label: 'Description', path: 'summary', required: true },
+        { role: 'feedback', label: 'Reviews', path: 'feedback_received_From_Freelancer', multiple: true },
+        { role: 'job_url', label: 'Job URL', path: 'job_url' },
+        { role: 'job_id', label: 'Job ID', path: 'job_id' },
+        { role: 'parent_id', label: 'Parent ID', path: 'parent_id' },
+        { role: 'client_country', label: 'Client Country', path: 'about_the_client.country' },
+        { role: 'client_location', label: 'Client Location', path: 'about_the_client.location' },
+        { role: 'client_member_since', label: 'Client Member Since', path: 'about_the_client.member_since' },
+        { role: 'client_total_spent', label: 'Client Total Spent', path: 'about_the_client.total_spent' },
+        { role: 'client_hires', label: 'Client Hires', path: 'about_the_client.client_hires' },
+        { role: 'skills', label: 'Skills', path: 'skills' },
+        { role: 'job_category', label: 'Job Category', path: 'job_category' },
+        { role: 'posted_online_at', label: 'Posted Online At', path: 'posted_online_at' },
+        // Links to the client's other jobs: ties them to one client (see clients.js)
+        { role: 'client_job_links', label: 'Client Job History', path: 'all_past_jobs_links', multiple: true },
+        // Any other source fields (budget, owner, CRM id...): not sent to the model, copied
+        // as { source field: value } onto the result row and offered as export columns
+        { role: 'passthrough', label: 'Pass-through', path: 'passthrough', multiple: true, passthrough: true }
+    ];
+
+    // The scraper's own keys: { role: source path } (feedback: list of paths)
+    const DEFAULT_MAPPING = {};
+    for (const { role, path, multiple, passthrough } of ROLES) {
+        DEFAULT_MAPPING[role] = passthrough ? [] : multiple ? [path] : path;
+    }
+
+    // Built-in profile for the scraper's JSON array; saved profiles come after it
+    const DEFAULT_PROFILE = { id: 'default', name: 'Scraper JSON (default)', format: 'json', rootPath: '', mapping: DEFAULT_MAPPING };
+
+    // Other names the same data goes by in other scrapers' exports (lowercase, no separators)
+    const ROLE_SYNONYMS = {
+        title: ['title', 'jobtitle', 'name', 'headline', 'subject'],
+        summary: ['summary', 'description', 'jobdescription', 'body', 'text', 'content', 'details'],
+        feedback: ['feedbackreceivedfromfreelancer', 'feedback', 'reviews', 'review', 'comments', 'clientfeedback'],
+        job_url: ['joburl', 'url', 'link', 'href', 'permalink'],
+        job_id: ['jobid', 'id', 'uid', 'ciphertext'],
+        parent_id: ['parentid', 'parenturl', 'parent'],
+        client_country: ['abouttheclientcountry', 'clientcountry', 'country'],
+        client_location: ['abouttheclientlocation', 'clientlocation', 'location', 'city'],
+        client_member_since: ['abouttheclientmembersince', 'clientmembersince', 'membersince'],
+        client_total_spent: ['abouttheclienttotalspent', 'clienttotalspent', 'totalspent', 'spent'],
+        client_hires: ['abouttheclientclienthires', 'clienthires', 'hires'],
+        skills: ['skills', 'tags', 'skill'],
+        job_category: ['jobcategory', 'category'],
+        posted_online_at: ['postedonlineat', 'postedat', 'posted', 'publishedat', 'createdat', 'date'],
+        client_job_links: ['allpastjobslinks', 'pastjobslinks', 'pastjobs', 'clientjobs', 'clienthistorylinks']
+    };
+
+    // ============ PARSING ============
+
+    // 'json' | 'ndjson' | 'csv', from the extension, then from the content
+    function detectFormat(filename, text) {
+        const name = filename.toLowerCase();
+        if (name.endsWith('.csv') || name.endsWith('.tsv')) return 'csv';
+        if (name.endsWith('.ndjson') || name.endsWith('.jsonl')) return 'ndjson';
+        const start = text.trimStart();
+        if (!start.startsWith('{') && !start.startsWith('[')) return 'csv';
+        try {
+            JSON.parse(text);
+            return 'json';
+        } catch (e) {
+            return start.startsWith('{') ? 'ndjson' : 'json';
+        }
+    }
+
+    // Parse a file into { rows, rootPath }. For JSON, rootPath selects the job array
+    // ('' = the document itself, or the first array found inside an object).
+    // Rows that aren't objects are kept so validateRows can report them by row number.
+    function parseFile(text, format, rootPath = '') {
+        if (format === 'csv') return { rows: parseCsv(text), rootPath: '' };
+        if (format === 'ndjson') return { rows: parseNdjson(text), rootPath: '' };
+
+        const data = JSON.parse(text);
+        const path = rootPath || (Array.isArray(data) ? '' : findArrayPath(data));
+        const rows = path ? queryJsonPath(data, path) : data;
+        if (!Array.isArray(rows)) {
+            throw new Error(path ? `"${path}" is not an array of jobs` : 'No array of jobs found - set the JSON root (e.g. $.jobs)');
+        }
+        return { rows, rootPath: path };
+    }
+
+    function parseNdjson(text) {
+        return text.split(/\r?\n/).map((line, i) => {
+            if (!line.trim()) return null;
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                throw new Error(`Line ${i + 1} is not valid JSON: ${e.message}`);
+            }
+        }).filter(row => row !== null);
+    }
+
+    // RFC 4180 CSV (quoted fields, "" escapes, newlines inside quotes). The delimiter
+    // is the most common of , ; tab | in the header line. The first row is the header.
+    function parseCsv(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const headerLine = source.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t', '|']
+            .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else field += char;
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const [header = [], ...body] = records.filter(fields => fields.some(value => value.trim() !== ''));
+        const keys = header.map((key, i) => key.trim() || `column_${i + 1}`);
+        return body.map(fields => Object.fromEntries(keys.map((key, i) => [key, fields[i] ?? ''])));
+    }
+
+    // Minimal JSONPath: $, .name, ['name'], [0], [*] - e.g. $.data.jobs or $['results'][*]
+    function queryJsonPath(data, path) {
+        const tokens = [];
+        const pattern = /\.([A-Za-z_$][\w$-]*)|\[\s*'([^']*)'\s*\]|\[\s*"([^"]*)"\s*\]|\[\s*(\d+)\s*\]|\[\s*\*\s*\]|\.\*/g;
+        const body = path.trim().replace(/^\$/, '');
+        const normalized = body && !body.startsWith('.') && !body.startsWith('[') ? `.${body}` : body;
+        let consumed = 0;
+        for (const match of normalized.matchAll(pattern)) {
+            if (match.index !== consumed) throw new Error(`Can't read JSON root "${path}"`);
+            consumed = match.index + match[0].length;
+            tokens.push(match[1] ?? match[2] ?? match[3] ?? (match[4] !== undefined ? Number(match[4]) : '*'));
+        }
+        if (consumed !== normalized.length) throw new Error(`Can't read JSON root "${path}"`);
+
+        let current = data;
+        for (const token of tokens) {
+            if (token === '*') {
+                current = Array.isArray(current) ? current : Object.values(current || {});
+                continue;
+            }
+            current = current?.[token];
+            if (current === undefined) return undefined;
+        }
+        return current;
+    }
+
+    // First array of objects inside an object, as a JSONPath ('' if none)
+    function findArrayPath(data, prefix = '$', depth = 0) {
+        if (!data || typeof data !== 'object' || depth > 3) return '';
+        for (const [key, value] of Object.entries(data)) {
+            const path = /^[A-Za-z_$][\w$]*$/.test(key) ? `${prefix}.${key}` : `${prefix}['${key}']`;
+            if (Array.isArray(value) && value.some(item => item && typeof item === 'object')) return path;
+        }
+        for (const [key, value] of Object.entries(data)) {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                const found = findArrayPath(value, `${prefix}.${key}`, depth + 1);
+                if (found) return found;
+            }
+        }
+        return '';
+    }
+
+    // ============ FIELDS & MAPPING ============
+
+    // Source field paths in the first rows (nested objects as dot paths)
+    function listFields(rows, sampleSize = 50) {
+        const fields = new Set();
+        const visit = (value, prefix, depth) => {
+            for (const [key, child] of Object.entries(value)) {
+                const path = prefix ? `${prefix}.${key}` : key;
+                if (child && typeof child === 'object' && !Array.isArray(child) && depth < 2) visit(child, path, depth + 1);
+                else fields.add(path);
+            }
+        };
+        rows.slice(0, sampleSize).filter(isObject).forEach(row => visit(row, '', 0));
+        return Array.from(fields);
+    }
+
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function getPath(object, path) {
+        if (!path) return undefined;
+        if (object && path in object) return object[path]; // keys that contain dots (CSV headers)
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+    }
+
+    function setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        let target = object;
+        for (const key of keys) target = target[key] = target[key] || {};
+        target[last] = value;
+    }
+
+    // Best source field for every role, by name
+    function guessMapping(fields) {
+        const simplify = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const mapping = {};
+        const used = new Set();
+        for (const { role, multiple, passthrough } of ROLES) {
+            // Pass-through fields are picked by hand
+            if (passthrough) {
+                mapping[role] = [];
+                continue;
+            }
+            const wanted = ROLE_SYNONYMS[role];
+            const matches = fields
+                .filter(field => !used.has(field))
+                .map(field => ({ field, rank: wanted.indexOf(simplify(field)), tail: wanted.indexOf(simplify(field.split('.').pop())) }))
+                .filter(match => match.rank !== -1 || match.tail !== -1)
+                .sort((a, b) => (a.rank === -1 ? 100 + a.tail : a.rank) - (b.rank === -1 ? 100 + b.tail : b.rank));
+            if (multiple) {
+                // Numbered columns (Review 1, Review 2...) all count
+                const numbered = fields.filter(field => !used.has(field) &&
+                    wanted.some(name => new RegExp(`^${name}\\d+$`).test(simplify(field))));
+                mapping[role] = [...new Set([...matches.map(match => match.field), ...numbered])];
+            } else {
+                mapping[role] = matches[0]?.field || '';
+            }
+            (multiple ? mapping[role] : [mapping[role]]).filter(Boolean).forEach(field => used.add(field));
+        }
+        return mapping;
+    }
+
+    // Turn source rows into jobs. null mapping = rows already in the scraper's format.
+    function applyMapping(rows, mapping) {
+        if (!mapping) return rows;
+        return rows.map(row => mapRow(row, mapping));
+    }
+
+    function mapRow(row, mapping) {
+        const job = {};
+        if (!isObject(row)) return job;
+        for (const { role, path, multiple, passthrough } of ROLES) {
+            if (passthrough) {
+                const fields = {};
+                for (const source of mapping[role] || []) {
+                    const value = getPath(row, source);
+                    if (value === undefined || value === null) continue;
+                    fields[source] = typeof value === 'object' ? JSON.stringify(value) : value;
+                }
+                if (Object.keys(fields).length > 0) job[path] = fields;
+                continue;
+            }
+            if (multiple) {
+                const items = (mapping[role] || []).flatMap(source => toList(getPath(row, source)));
+                if (items.length > 0) setPath(job, path, items);
+                continue;
+            }
+            const value = getPath(row, mapping[role]);
+            if (value === undefined || value === null || value === '') continue;
+            if (role === 'skills') setPath(job, path, typeof value === 'string' ? value.split(/[;,]/).map(skill => skill.trim()).filter(Boolean) : value);
+            else setPath(job, path, typeof value === 'object' ? value : String(value).trim());
+        }
+        return job;
+    }
+
+    // Lists (reviews, links) come as an array, one string, or an array of objects with a text field
+    function toList(value) {
+        if (value === undefined || value === null || value === '') return [];
+        const items = Array.isArray(value) ? value : [value];
+        return items
+            .map(item => (item && typeof item === 'object' ? item.text || item.comment || item.feedback || JSON.stringify(item) : String(item)))
+            .map(text => text.trim())
+            .filter(Boolean);
+    }
+
+    // Roles the mapping leaves empty that a job can't do without
+    function missingRequired(mapping) {
+        return ROLES.filter(({ role, required }) => required && !mapping[role]).map(({ label }) => label);
+    }
+
+    // ============ VALIDATION ============
+
+    // Problems with the rows of a file, before it is queued: one entry per row with
+    // issues, { index, issues: [{ level: 'error' | 'warning', code, message }] }.
+    //   not_object        the row isn't a JSON object (error, can only be dropped)
+    //   missing_text      no title and no description (error)
+    //   missing_title / missing_summary   one of the two is empty (warning)
+    //   duplicate_id      job ID or job URL already used by an earlier row (warning)
+    //   oversized         the mapped job is longer than maxChars (warning)
+    function validateRows(rows, mapping, maxChars) {
+        const jobs = applyMapping(rows, mapping);
+        const seen = new Map();
+        const report = [];
+        rows.forEach((row, index) => {
+            const issues = [];
+            const add = (level, code, message) => issues.push({ level, code, message });
+            if (!isObject(row)) {
+                add('error', 'not_object', `Not a JSON object (${Array.isArray(row) ? 'array' : typeof row})`);
+            } else {
+                const job = jobs[index];
+                const hasTitle = !!String(job.title ?? '').trim();
+                const hasSummary = !!String(job.summary ?? '').trim();
+                if (!hasTitle && !hasSummary) add('error', 'missing_text', 'No title and no description');
+                else if (!hasTitle) add('warning', 'missing_title', 'No title');
+                else if (!hasSummary) add('warning', 'missing_summary', 'No description');
+
+                for (const key of ['job_id', 'job_url']) {
+                    if (!job[key]) continue;
+                    const id = `${key}:${job[key]}`;
+                    if (seen.has(id)) add('warning', 'duplicate_id', `Same ${key} as row ${seen.get(id) + 1}: ${job[key]}`);
+                    else seen.set(id, index);
+                }
+
+                const size = JSON.stringify(job).length;
+                if (maxChars > 0 && size > maxChars) add('warning', 'oversized', `${size.toLocaleString()} characters (limit ${maxChars.toLocaleString()})`);
+            }
+            if (issues.length > 0) report.push({ index, issues });
+        });
+        return report;
+    }
+
+    // Source path a role is read from (null mapping = the scraper's own key)
+    function sourcePath(mapping, role) {
+        if (!mapping) return ROLES.find(item => item.role === role).path;
+        return [mapping[role]].flat().filter(Boolean)[0] || '';
+    }
+
+    // Fill in a role's value on a raw row (fixing a row from the validation report)
+    function setRowValue(row, mapping, role, value) {
+        const path = sourcePath(mapping, role);
+        if (!path) return;
+        if (path in row || !path.includes('.')) row[path] = value;
+        else setPath(row, path, value);
+    }
+
+    // Shorten the description and reviews of a raw row so its job fits in maxChars
+    function trimRow(row, mapping, maxChars) {
+        const summaryPath = sourcePath(mapping, 'summary');
+        const summary = getPath(row, summaryPath);
+        if (typeof summary === 'string') setRowValue(row, mapping, 'summary', summary.slice(0, Math.floor(maxChars / 2)));
+
+        // Reviews share a quarter of the limit, oldest first
+        let budget = Math.floor(maxChars / 4);
+        const reviewPaths = mapping ? (mapping.feedback || []) : [sourcePath(null, 'feedback')];
+        for (const path of reviewPaths) {
+            const value = getPath(row, path);
+            if (value === undefined || value === null) continue;
+            const kept = [];
+            for (const text of toList(value)) {
+                if (budget <= 0) break;
+                kept.push(text.slice(0, budget));
+                budget -= text.length;
+            }
+            const trimmed = Array.isArray(value) ? kept : kept.join(' ');
+            if (path in row || !path.includes('.')) row[path] = trimmed;
+            else setPath(row, path, trimmed);
+        }
+    }
+
+    // ============ PROFILES ============
+
+    function listProfiles(settings) {
+        return [DEFAULT_PROFILE, ...(settings.inputProfiles || [])];
+    }
+
+    function findProfile(settings, id) {
+        return listProfiles(settings).find(profile => profile.id === id) || null;
+    }
+
+    // The profile whose mapped fields all exist in this file (most mapped fields wins)
+    function matchProfile(settings, format, fields) {
+        const available = new Set(fields);
+        const score = (profile) => {
+            const sources = Object.values(profile.mapping).flat().filter(Boolean);
+            if (!sources.includes(profile.mapping.title) || !sources.includes(profile.mapping.summary)) return -1;
+            const hits = sources.filter(source => available.has(source)).length;
+            return available.has(profile.mapping.title) && available.has(profile.mapping.summary) ? hits : -1;
+        };
+        const candidates = listProfiles(settings)
+            .filter(profile => profile.format === format)
+            .map(profile => ({ profile, score: score(profile) }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score);
+        return candidates[0]?.profile || null;
+    }
+
+    self.ExtractorInput = {
+        ROLES,
+        DEFAULT_MAPPING,
+        DEFAULT_PROFILE,
+        detectFormat,
+        parseFile,
+        queryJsonPath,
+        listFields,
+        guessMapping,
+        applyMapping,
+        missingRequired,
+        validateRows,
+        setRowValue,
+        trimRow,
+        listProfiles,
+        findProfile,
+        matchProfile
+    };
+})();
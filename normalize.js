@@ -0,0 +1,164 @@
+// normalize.js - Clean up companyName and clientWebsite after extraction
+// Loaded by background.js (applied to every reply before it is saved) and the side panel
+// (blocklist setting), before clients.js, which groups clients by the same rules.
+// The model's own values are kept next to the normalized ones.
+
+(function () {
+    // Platform and social sites that are never the client's own website
+    const DEFAULT_BLOCKLIST = [
+        'upwork.com', 'freelancer.com', 'fiverr.com', 'linkedin.com', 'facebook.com',
+        'instagram.com', 'twitter.com', 'x.com', 'youtube.com', 'google.com', 'gmail.com',
+        'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com', 'github.com', 'bit.ly', 'linktr.ee'
+    ];
+
+    // Two-label public suffixes, so shop.acme.co.uk -> acme.co.uk (not co.uk)
+    const MULTI_LABEL_SUFFIXES = [
+        'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+        'com.au', 'net.au', 'org.au', 'co.nz', 'co.za', 'co.in', 'co.jp', 'co.kr', 'co.il',
+        'co.id', 'co.th', 'com.br', 'net.br', 'com.mx', 'com.ar', 'com.sg', 'com.my',
+        'com.tr', 'com.cn', 'com.hk', 'com.tw', 'com.pk', 'com.ng', 'com.eg', 'com.sa', 'com.ua'
+    ];
+
+    // Hosting platforms that give every customer a subdomain, so acme.github.io stays
+    // acme.github.io (otherwise every client there would share one "website")
+    const PRIVATE_SUFFIXES = [
+        'github.io', 'gitlab.io', 'herokuapp.com', 'myshopify.com', 'wixsite.com', 'vercel.app',
+        'netlify.app', 'pages.dev', 'web.app', 'firebaseapp.com', 'appspot.com', 'azurewebsites.net',
+        'blogspot.com', 'wordpress.com', 'squarespace.com', 'webflow.io', 'carrd.co', 'glitch.me'
+    ];
+
+    // Legal forms stripped from the end of a company name (matched case-insensitively,
+    // dots and spaces ignored: "L.L.C." = "LLC", "Pty. Ltd" = "Pty Ltd")
+    const LEGAL_SUFFIXES = [
+        'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'pty ltd', 'pvt ltd',
+        'private limited', 'corp', 'corporation', 'co', 'company', 'plc', 'gmbh', 'ag', 'kg',
+        'sa', 'sas', 'sarl', 'srl', 'sl', 'spa', 'bv', 'nv', 'oy', 'ab', 'as', 'a/s', 'aps'
+    ];
+
+    // Legal forms that are also everyday words ("Day Spa", "Known As", "The Company"): only
+    // stripped after a comma, when dotted ("S.p.A.", "Co.") or in their legal casing
+    const AMBIGUOUS_SUFFIXES = {
+        spa: ['SpA'],
+        as: ['AS'],
+        ag: ['AG'],
+        sa: ['SA'],
+        ab: ['AB'],
+        co: ['Co', 'CO'],
+        company: [],
+        sl: ['SL'],
+        kg: ['KG']
+    };
+
+    const LEADING_JUNK = /^[\s(<[{"'«“‘]+/;
+    const TRAILING_JUNK = /[\s.,;:!?)>\]}"'»”’]+$/;
+
+    // ============ WEBSITES ============
+
+    // The longest known suffix the hostname ends with, plus one label
+    function registrableDomain(hostname) {
+        const labels = hostname.split('.');
+        const suffix = [...MULTI_LABEL_SUFFIXES, ...PRIVATE_SUFFIXES]
+            .filter(candidate => hostname.endsWith(`.${candidate}`))
+            .sort((a, b) => b.split('.').length - a.split('.').length)[0];
+        return labels.slice(-((suffix ? suffix.split('.').length : 1) + 1)).join('.');
+    }
+
+    function isBlocked(domain, blocklist) {
+        return blocklist.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+    }
+
+    // Canonical form: registrable domain plus the path, if any (no scheme, www, query or hash).
+    // Returns { website, note }; website is '' when the value is not usable (note says why).
+    function normalizeWebsite(raw, blocklist = DEFAULT_BLOCKLIST) {
+        let text = String(raw ?? '').trim().replace(LEADING_JUNK, '').replace(TRAILING_JUNK, '');
+        if (!text) return { website: '', note: '' };
+
+        // An email address stands for its domain
+        const email = text.match(/^[^\s@/]+@([^\s@/]+)$/);
+        if (email) text = email[1];
+
+        let url;
+        try {
+            url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+        } catch (e) {
+            return { website: '', note: `clientWebsite "${raw}" is not a URL` };
+        }
+        const hostname = url.hostname.toLowerCase().replace(/^www\d*\./, '').replace(/\.$/, '');
+        if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(hostname) && !/^xn--/.test(hostname.split('.').pop())) {
+            return { website: '', note: `clientWebsite "${raw}" is not a domain` };
+        }
+
+        const domain = registrableDomain(hostname);
+        if (isBlocked(domain, blocklist)) {
+            return { website: '', note: `clientWebsite ${domain} is a blocked platform domain` };
+        }
+        const path = url.pathname.replace(/\/+$/, '');
+        return { website: `${domain}${path}`, note: '' };
+    }
+
+    // ============ COMPANY NAMES ============
+
+    const suffixKey = text => text.toLowerCase().replace(/[.\s]/g, '');
+    const SUFFIX_KEYS = new Set(LEGAL_SUFFIXES.map(suffixKey));
+
+    // Are the last `take` words a legal form? endsWithDot: the raw name ended in a dot
+    // that the clean-up removed ("Acme Co." -> "Acme Co")
+    function isLegalSuffix(words, take, endsWithDot) {
+        const written = words.slice(-take).join(' ');
+        const key = suffixKey(written);
+        if (!SUFFIX_KEYS.has(key)) return false;
+        if (!(key in AMBIGUOUS_SUFFIXES)) return true;
+        const afterComma = words[words.length - take - 1].endsWith(',');
+        const dotted = endsWithDot || written.includes('.');
+        return afterComma || dotted || AMBIGUOUS_SUFFIXES[key].includes(written);
+    }
+
+    // Name without its legal form: "Acme Widgets, Inc." -> "Acme Widgets"
+    function normalizeCompanyName(raw) {
+        const text = String(raw ?? '').trim();
+        const endsWithDot = /\.[\s)>\]}"'»”’]*$/.test(text);
+        let name = text.replace(LEADING_JUNK, '').replace(TRAILING_JUNK, '').replace(/\s+/g, ' ');
+        // Strip stacked legal forms too: "Acme GmbH & Co. KG" -> "Acme"
+        for (let round = 0; round < 3; round++) {
+            const words = name.split(' ');
+            let stripped = false;
+            for (let take = Math.min(3, words.length - 1); take >= 1; take--) {
+                if (isLegalSuffix(words, take, round === 0 && endsWithDot)) {
+                    name = words.slice(0, -take).join(' ').replace(/[\s,&-]+$/, '');
+                    stripped = true;
+                    break;
+                }
+            }
+            if (!stripped) break;
+        }
+        return name;
+    }
+
+    // ============ RESULT ============
+
+    // Normalized copies of the schema's companyName / clientWebsite (when the schema has
+    // them) for the result row: the website field gets the canonical value, the raw one
+    // moves to clientWebsiteRaw; the company name gets a suffix-free companyNameNormalized.
+    function normalizeResult(aiResult, blocklist = DEFAULT_BLOCKLIST) {
+        const fields = {};
+        const notes = [];
+        if (typeof aiResult.clientWebsite === 'string') {
+            const { website, note } = normalizeWebsite(aiResult.clientWebsite, blocklist);
+            fields.clientWebsite = website;
+            fields.clientWebsiteRaw = aiResult.clientWebsite;
+            if (note) notes.push(note);
+        }
+        if (typeof aiResult.companyName === 'string') {
+            fields.companyNameNormalized = normalizeCompanyName(aiResult.companyName);
+        }
+        fields.normalizationNotes = notes.join('; ');
+        return fields;
+    }
+
+    self.ExtractorNormalize = {
+        DEFAULT_BLOCKLIST,
+        normalizeWebsite,
+        normalizeCompanyName,
+        normalizeResult
+    };
+})();
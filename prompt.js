@@ -0,0 +1,160 @@
+// prompt.js - Default prompt template and job message builder
+// Shared by the side panel (seeds the prompt library) and background.js (builds each message)
+
+(function () {
+    const OUTPUT_SCHEMA_PLACEHOLDER = '{{OUTPUT_SCHEMA}}';
+
+    // The reply format the built-in prompt spelled out before the output schema existed.
+    // Library copies seeded back then still end with it (see upgradeLegacyPrompt).
+    const LEGACY_OUTPUT_BLOCK = `**Strict JSON Output:**
+
+{
+  "personName": ["Name1"], 
+  "companyName": "Explicit Name OR Empty String",
+  "clientWebsite": "URL OR Empty String",
+  "confidence": 0.0 to 1.0,
+  "reasoning": "Explain WHY you extracted these. Explicitly state why a URL was kept (Ownership) or rejected (Target). Explain why a text string was identified as a Company and not a Tool."
+}`;
+
+    // --- DEFAULT PROMPT (seeded into the prompt library on first run) ---
+    const DEFAULT_PROMPT = `You are an advanced Information Extraction AI with deep semantic understanding. Your goal is to read a job post and identify the **Identity of the Client** (Person/Company) and their **Owned Digital Assets** (Website). 
+
+You must distinguish between the **Subject** (the client hiring), the **Objects** (tools, targets, platforms being used), and the **Topic** (the work being done).
+
+**Core Extraction Logic:**
+
+1. **Person Name (The "Who"):**
+   - **Goal:** Identify the specific human managing this project.
+   - **Intelligence Check:** Look for names used in a communicative context (e.g., "Thanks, Keith", "Contact Sarah", "I am David"). 
+   - **Avoid:** Famous figures mentioned as examples (e.g., "Write like Shakespeare") or personas (e.g., "Act like a customer").
+
+2. **Company Name (The "Entity"):**
+   - **Goal:** Extract the **explicit legal or trade name** of the hiring organization.
+   - **Intelligence Check (Agent vs. Instrument):** - "We are **Google**" -> EXTRACT (Agent).
+     - "We use **Slack**" -> IGNORE (Instrument/Tool).
+     - "We need an **SEO Expert**" -> IGNORE (Job Title/Topic).
+   - **CRITICAL ANTI-HALLUCINATION RULE:** Do not "summarize" the job into a company name. If the user says "I have a food blog," and never names it, the Company Name is \`""\`. **Do not** output "Food Blog Client" or "SEO Project Client". If the name is not explicitly written, return an empty string.
+
+3. **Client Website (The "Property"):**
+   - **Goal:** Extract the URL that belongs to the client.
+   - **Intelligence Check (Ownership vs. Target):**
+     - **Ownership Signals:** "My site", "Our portal", "Redesign [URL]", "Login to [URL]". -> EXTRACT.
+     - **Target Signals:** "Scrape [URL]", "Research [URL]", "Competitor is [URL]", "Leads from [URL]". -> IGNORE (This is a target, not the client).
+
+4. **Other Jobs by the Same Client (Context Only):**
+   - If \`otherJobsPostedByThisClient\` is present, it lists titles of other jobs posted by this same client.
+   - Use them only to understand who the client is. They are not separate clients.
+
+5. **Client Metadata (Context Only):**
+   - \`clientInfo\`, \`skills\`, \`jobCategory\` and \`postedOnlineAt\` come from the job board, not from the client's own words.
+   - Use them to disambiguate (e.g., a company's country or size). Never extract a name or website from them.
+
+{{OUTPUT_SCHEMA}}
+`;
+
+    // Sent next to the data whenever it carries hints, so every template explains them
+    const PATTERN_HINTS_NOTE = `NOTE: \`patternHints\` lists names, companies, websites and emails found in the job text by simple pattern matching (\`targetWebsites\` followed words like "scrape" or "leads from", so they are most likely not the client's). They are unverified and can be wrong (a target URL, a tool, a famous name). Apply the rules above to each one before extracting it; they are not answers.`;
+
+    // Rename the scraper's keys to match the prompt's expected format.
+    // hints: the rule-based candidates for this job (see rules.js), null = none
+    function buildJobInput(rawJobData, childJobs = [], hints = null) {
+        const dataToSendToAI = {
+            jobTitle: rawJobData.title || "",
+            jobDescription: rawJobData.summary || "",
+            feedbackReceivedFromFreelancers: Array.isArray(rawJobData.feedback_received_From_Freelancer) 
+                ? rawJobData.feedback_received_From_Freelancer 
+                : []
+        };
+
+        // Structured metadata from the scraper (only sent when present)
+        const client = rawJobData.about_the_client;
+        if (client && typeof client === 'object') {
+            dataToSendToAI.clientInfo = {
+                country: client.country || "",
+                location: client.location || "",
+                memberSince: client.member_since || "",
+                totalSpent: client.total_spent || "",
+                hires: client.client_hires || ""
+            };
+        }
+        if (Array.isArray(rawJobData.skills) && rawJobData.skills.length > 0) {
+            dataToSendToAI.skills = rawJobData.skills;
+        }
+        if (rawJobData.job_category) dataToSendToAI.jobCategory = rawJobData.job_category;
+        if (rawJobData.posted_online_at) dataToSendToAI.postedOnlineAt = rawJobData.posted_online_at;
+
+        // Parent/child mode: the children's titles describe the same client
+        if (childJobs.length > 0) {
+            dataToSendToAI.otherJobsPostedByThisClient = childJobs.map(job => job.title || "").filter(Boolean);
+        }
+
+        if (hints) dataToSendToAI.patternHints = hints;
+
+        return dataToSendToAI;
+    }
+
+    // Templates place the schema's JSON instructions with {{OUTPUT_SCHEMA}};
+    // templates written without the placeholder get them appended
+    function applyOutputSchema(promptText, outputInstructions) {
+        if (!outputInstructions) return promptText;
+        if (promptText.includes(OUTPUT_SCHEMA_PLACEHOLDER)) {
+            return promptText.split(OUTPUT_SCHEMA_PLACEHOLDER).join(outputInstructions);
+        }
+        return `${promptText.trimEnd()}
+
+${outputInstructions}`;
+    }
+
+    // Swap the old hard-coded JSON block for the placeholder, so the saved schema
+    // decides the reply format. Other text is returned unchanged.
+    function upgradeLegacyPrompt(promptText) {
+        if (promptText.includes(OUTPUT_SCHEMA_PLACEHOLDER) || !promptText.includes(LEGACY_OUTPUT_BLOCK)) {
+            return promptText;
+        }
+        return promptText.replace(LEGACY_OUTPUT_BLOCK, OUTPUT_SCHEMA_PLACEHOLDER);
+    }
+
+    // Warning for the prompt editor, '' when the template places the schema itself
+    function checkOutputPlacement(promptText) {
+        if (promptText.includes(OUTPUT_SCHEMA_PLACEHOLDER)) return '';
+        return `No ${OUTPUT_SCHEMA_PLACEHOLDER} placeholder: the output schema's JSON instructions are appended at the end. ` +
+            'A reply format written in the prompt itself will contradict them.';
+    }
+
+    // The hints note followed by a blank line, or '' when no input has hints
+    function hintsNote(jobInputs) {
+        return jobInputs.some(input => input.patternHints) ? `${PATTERN_HINTS_NOTE}\n\n` : '';
+    }
+
+    // Combine prompt + data in every message
+    function buildJobMessage(promptText, jobInput, outputInstructions = '') {
+        return `${applyOutputSchema(promptText, outputInstructions)}
+
+--------------------------------------------------
+HERE IS THE NEW INPUT DATA:
+
+${hintsNote([jobInput])}${JSON.stringify(jobInput, null, 2)}`;
+    }
+
+    // Several jobs in one message. batchInputs: [{ jobKey, ...jobInput }]
+    function buildBatchMessage(promptText, batchInputs, outputInstructions = '') {
+        return `${applyOutputSchema(promptText, outputInstructions)}
+
+--------------------------------------------------
+HERE IS THE NEW INPUT DATA: ${batchInputs.length} SEPARATE JOBS.
+Apply the rules to each job on its own - never carry names, companies or websites from one job to another.
+
+${hintsNote(batchInputs)}${JSON.stringify(batchInputs, null, 2)}`;
+    }
+
+    self.ExtractorPrompt = {
+        DEFAULT_PROMPT,
+        OUTPUT_SCHEMA_PLACEHOLDER,
+        applyOutputSchema,
+        upgradeLegacyPrompt,
+        checkOutputPlacement,
+        buildJobInput,
+        buildJobMessage,
+        buildBatchMessage
+    };
+})();
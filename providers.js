@@ -0,0 +1,179 @@
+// providers.js - Chat provider adapters (where to type, how to send, how to read the reply)
+// Injected before content.js, and loaded by background.js to match tabs to a provider.
+// Every DOM lookup takes a root (document by default) so an adapter can be run against saved HTML.
+
+(function () {
+    // Selector registry: for each role, selectors are tried in order and the first
+    // that matches wins. Users can override any role per provider (settings.selectorOverrides).
+    const SELECTOR_ROLES = ['input', 'send', 'stop', 'response', 'newChat'];
+
+    const PROVIDER_DEFINITIONS = {
+        gemini: {
+            id: 'gemini',
+            name: 'Gemini',
+            urlPatterns: ['https://gemini.google.com/*'],
+            hosts: ['gemini.google.com'],
+            selectors: {
+                input: ['.ql-editor', 'rich-textarea [contenteditable="true"]', '[contenteditable="true"]', 'rich-textarea'],
+                send: ['button[aria-label="Send message"]'],
+                stop: ['button[aria-label="Stop response"]', 'button[aria-label="Stop"]'],
+                response: ['.model-response-text'],
+                newChat: ['[data-test-id="new-chat-button"] button', 'button[aria-label="New chat"]', 'a[aria-label="New chat"]', 'a[href="/app"]']
+            }
+        },
+        chatgpt: {
+            id: 'chatgpt',
+            name: 'ChatGPT',
+            urlPatterns: ['https://chatgpt.com/*', 'https://chat.openai.com/*'],
+            hosts: ['chatgpt.com', 'chat.openai.com'],
+            selectors: {
+                input: ['#prompt-textarea[contenteditable="true"]', '#prompt-textarea', 'div.ProseMirror[contenteditable="true"]'],
+                send: ['button[data-testid="send-button"]', 'button[aria-label="Send prompt"]'],
+                stop: ['button[data-testid="stop-button"]', 'button[aria-label="Stop streaming"]'],
+                response: ['[data-message-author-role="assistant"]'],
+                newChat: ['a[data-testid="create-new-chat-button"]', 'button[data-testid="create-new-chat-button"]', 'a[aria-label="New chat"]', 'a[href="/"]']
+            }
+        },
+        claude: {
+            id: 'claude',
+            name: 'Claude',
+            urlPatterns: ['https://claude.ai/*'],
+            hosts: ['claude.ai'],
+            selectors: {
+                input: ['div.ProseMirror[contenteditable="true"]', '[contenteditable="true"]'],
+                send: ['button[aria-label="Send message"]', 'button[aria-label="Send Message"]'],
+                stop: ['button[aria-label="Stop response"]', '[data-is-streaming="true"]'],
+                response: ['.font-claude-message'],
+                newChat: ['a[aria-label="New chat"]', 'button[aria-label="New chat"]', 'a[href="/new"]']
+            }
+        }
+    };
+
+    const DEFAULT_PROVIDER = 'gemini';
+
+    function firstMatch(root, selectors) {
+        for (const selector of selectors) {
+            const element = root.querySelector(selector);
+            if (element) return element;
+        }
+        return null;
+    }
+
+    // All elements of the first selector that matches anything
+    function firstMatchAll(root, selectors) {
+        for (const selector of selectors) {
+            const elements = root.querySelectorAll(selector);
+            if (elements.length > 0) return Array.from(elements);
+        }
+        return [];
+    }
+
+    function isEnabled(button) {
+        return !!button && !button.disabled && button.getAttribute('aria-disabled') !== 'true';
+    }
+
+    // Registry selectors with the user's overrides on top (a non-empty list replaces the role)
+    function resolveSelectors(definition, overrides = {}) {
+        const selectors = {};
+        for (const role of SELECTOR_ROLES) {
+            const custom = overrides[role];
+            selectors[role] = Array.isArray(custom) && custom.length > 0 ? custom : definition.selectors[role];
+        }
+        return selectors;
+    }
+
+    // Build an adapter from its selectors. Every adapter exposes:
+    //   findInput(root)           -> the message box, or null
+    //   findSendButton(root)      -> an enabled send button, or null
+    //   isGenerating(root)        -> true while a reply is streaming
+    //   getResponses(root)        -> reply elements, oldest first
+    //   readLastResponse(root)    -> text of the newest reply ('' if none)
+    //   findNewChatButton(root)   -> the "New chat" control, or null
+    //   isEmptyConversation(root) -> true on a fresh chat (input shown, no replies)
+    //   checkSelectors(root)      -> per role, how many elements each selector matches
+    function createAdapter({ id, name, urlPatterns, hosts }, selectors) {
+        return {
+            id,
+            name,
+            urlPatterns,
+            selectors,
+            matchesUrl(url) {
+                try {
+                    return hosts.includes(new URL(url).hostname);
+                } catch (e) {
+                    return false;
+                }
+            },
+            findInput(root = document) {
+                return firstMatch(root, selectors.input);
+            },
+            findSendButton(root = document) {
+                const button = firstMatch(root, selectors.send);
+                return isEnabled(button) ? button : null;
+            },
+            isGenerating(root = document) {
+                return !!firstMatch(root, selectors.stop);
+            },
+            getResponses(root = document) {
+                return firstMatchAll(root, selectors.response);
+            },
+            readLastResponse(root = document) {
+                const responses = this.getResponses(root);
+                return responses.length > 0 ? responses[responses.length - 1].innerText || responses[responses.length - 1].textContent : '';
+            },
+            findNewChatButton(root = document) {
+                return firstMatch(root, selectors.newChat);
+            },
+            isEmptyConversation(root = document) {
+                return this.getResponses(root).length === 0 && !!this.findInput(root);
+            },
+            checkSelectors(root = document) {
+                const report = {};
+                for (const role of SELECTOR_ROLES) {
+                    report[role] = selectors[role].map((selector) => {
+                        try {
+                            return { selector, count: root.querySelectorAll(selector).length };
+                        } catch (e) {
+                            return { selector, count: 0, error: e.message };
+                        }
+                    });
+                }
+                return report;
+            }
+        };
+    }
+
+    const PROVIDERS = {};
+    for (const definition of Object.values(PROVIDER_DEFINITIONS)) {
+        PROVIDERS[definition.id] = createAdapter(definition, resolveSelectors(definition));
+    }
+
+    // Unknown ids fall back to Gemini (settings saved before providers existed).
+    // overrides: { input: [...], ... } for this provider (see settings.selectorOverrides)
+    function getProvider(id, overrides = null) {
+        const provider = PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+        if (!overrides) return provider;
+        const definition = PROVIDER_DEFINITIONS[provider.id];
+        return createAdapter(definition, resolveSelectors(definition, overrides));
+    }
+
+    // Provider whose site is open in this tab, or null
+    function detectProvider(url) {
+        return Object.values(PROVIDERS).find(provider => provider.matchesUrl(url)) || null;
+    }
+
+    // Built-in selectors of a provider, before any user override
+    function getDefaultSelectors(id) {
+        return PROVIDER_DEFINITIONS[getProvider(id).id].selectors;
+    }
+
+    self.ExtractorProviders = {
+        PROVIDERS,
+        DEFAULT_PROVIDER,
+        SELECTOR_ROLES,
+        get: getProvider,
+        detect: detectProvider,
+        list: () => Object.values(PROVIDERS),
+        defaultSelectors: getDefaultSelectors
+    };
+})();
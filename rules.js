@@ -0,0 +1,163 @@
+// rules.js - Rule-based pre-extractor: URLs, email addresses and sign-off names
+// Loaded by background.js after normalize.js. Runs on every job before it is sent: the
+// candidates go into the prompt as unverified hints and are saved with the result as
+// `rules`. With the "Rules only" backend they are the answer and no model is asked.
+
+(function () {
+    // A name is one or two capitalized words: "Keith", "Sarah Connor"
+    const NAME = "([A-Z][a-zà-ÿ'’-]+(?: [A-Z][a-zà-ÿ'’-]+)?)";
+
+    // Communicative patterns from the default prompt ("Thanks, Keith", "Contact Sarah",
+    // "I am David"). Sign-offs need punctuation or a line break before the name.
+    const NAME_PATTERNS = [
+        new RegExp(`(?:[Tt]hanks|[Tt]hank you|[Rr]egards|[Cc]heers|[Bb]est|[Ss]incerely|[Ww]armly)[,!.]\\s*[-–—]?\\s*${NAME}`, 'g'),
+        new RegExp(`(?:[Tt]hanks|[Rr]egards|[Cc]heers|[Ss]incerely)\\s*\\n\\s*[-–—]?\\s*${NAME}`, 'g'),
+        new RegExp(`\\b(?:I am|I'm|I’m|[Mm]y name is)\\s+${NAME}`, 'g'),
+        new RegExp(`\\b[Cc]ontact(?: me,)?\\s+${NAME}`, 'g')
+    ];
+
+    // "We are Acme Labs" (agent, not instrument: "We use Slack" is not matched)
+    const COMPANY_PATTERN = /\b(?:[Ww]e are|[Ww]e're|[Ww]e’re|[Oo]ur company is|[Oo]ur company,)\s+((?:[A-Z0-9][\w&.'’-]*)(?: (?:[A-Z0-9][\w&.'’-]*|&|of|and))*)/g;
+
+    // Capitalized words that follow those phrases without being a name
+    const NOT_NAMES = new Set([
+        'a', 'an', 'the', 'we', 'i', 'our', 'my', 'me', 'us', 'you', 'your', 'it', 'this', 'that',
+        'looking', 'seeking', 'hiring', 'searching', 'interested', 'available', 'currently', 'ready',
+        'happy', 'excited', 'new', 'not', 'also', 'very', 'here', 'working', 'building', 'based',
+        'in', 'for', 'from', 'and', 'please', 'thanks', 'regards', 'best', 'kind', 'warm', 'hello', 'hi', 'team', 'support',
+        'sales', 'admin', 'info', 'upwork', 'google', 'form', 'details', 'soon', 'again', 'advance',
+        'all', 'everyone', 'guys', 'freelancer', 'freelancers', 'client', 'owner', 'ceo', 'founder',
+        // "I am American", "I'm Glad": nationalities and adjectives after an introduction
+        'american', 'canadian', 'british', 'english', 'irish', 'scottish', 'australian', 'european',
+        'german', 'french', 'dutch', 'italian', 'spanish', 'portuguese', 'swiss', 'swedish', 'norwegian',
+        'danish', 'finnish', 'polish', 'russian', 'ukrainian', 'turkish', 'greek', 'israeli', 'arab',
+        'indian', 'pakistani', 'chinese', 'japanese', 'korean', 'filipino', 'asian', 'african',
+        'nigerian', 'mexican', 'brazilian', 'latino', 'native', 'local',
+        'glad', 'pleased', 'sure', 'able', 'open', 'aware', 'eager', 'passionate', 'experienced',
+        'responsible', 'just', 'still', 'only', 'one', 'two', 'retired', 'self', 'solo', 'small',
+        'planning', 'trying', 'hoping', 'reaching', 'posting', 'starting', 'running', 'launching',
+        'creating', 'developing', 'writing', 'needing', 'wanting', 'going', 'doing', 'using'
+    ]);
+
+    const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'()[\]{}]+/gi;
+    const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi;
+
+    // Bare domains ("acme.com/shop") only with common endings, so "Node.js" is not a website
+    const BARE_DOMAIN_PATTERN = /\b(?:www\.)?[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|ai|app|dev|biz|info|shop|store|online|site|tech|agency|us|uk|ca|au|de|fr|nl|es|it|in)\b(?:\/[^\s<>"'()[\]{}]*)?/gi;
+
+    // Technologies written like domains
+    const NOT_DOMAINS = ['asp.net', 'vb.net', 'ado.net', 'dot.net'];
+
+    // A site right after these words (same sentence, at most three words between) is
+    // what the work is about, not the client's own: "Scrape product data from amazon.com"
+    const TARGET_BEFORE = /\b(?:scrap(?:e|es|ed|ing|er)|crawl(?:s|ed|ing)?|research(?:ing)?|leads? from|competitors?)\b(?:\s+[\w'’-]+){0,3}[\s:]*$/i;
+
+    // Confidence of a rules-only answer: pattern matches are never verified
+    const RULES_CONFIDENCE = 0.3;
+
+    function unique(values) {
+        const seen = new Set();
+        return values.filter(value => {
+            const key = value.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // "Keith Looking" -> "Keith"; "I am Looking" -> ''
+    function cleanName(match) {
+        const [first, second] = match.split(' ');
+        if (NOT_NAMES.has(first.toLowerCase())) return '';
+        return second && !NOT_NAMES.has(second.toLowerCase()) ? match : first;
+    }
+
+    // "Acme Widgets Inc. Please call" -> "Acme Widgets Inc" (stops at the sentence end)
+    function cleanCompany(match) {
+        const all = match.split(' ');
+        const end = all.findIndex(word => /[.,]$/.test(word));
+        const words = (end === -1 ? all : all.slice(0, end + 1)).join(' ').replace(/[.,]+$/, '').split(' ');
+        while (words.length > 0 && ['&', 'of', 'and'].includes(words[words.length - 1])) words.pop();
+        return NOT_NAMES.has((words[0] || '').toLowerCase()) ? '' : words.join(' ');
+    }
+
+    // Matches of pattern in text, each with whether a target word comes before it
+    function siteMatches(text, pattern) {
+        return Array.from(text.matchAll(pattern), match => {
+            const before = text.slice(0, match.index).split(/[.!?\n](?:\s|$)/).pop();
+            return { value: match[0], target: TARGET_BEFORE.test(before) };
+        });
+    }
+
+    // Candidates in the job's own words (title and description; reviews are written by
+    // freelancers, so names there are not the client's). Each list keeps the order found.
+    // Returns { names, companies, websites, targetWebsites, emails }; websites are
+    // normalized (see normalize.js), email domains first since an address is the strongest
+    // ownership signal. Sites after "scrape", "research", "leads from", ... are targetWebsites.
+    function extract(job, blocklist = self.ExtractorNormalize.DEFAULT_BLOCKLIST) {
+        const text = [job?.title, job?.summary].filter(value => typeof value === 'string').join('\n');
+
+        const names = [];
+        for (const pattern of NAME_PATTERNS) {
+            for (const match of text.matchAll(pattern)) names.push(cleanName(match[1]));
+        }
+        const companies = Array.from(text.matchAll(COMPANY_PATTERN), match => cleanCompany(match[1]));
+
+        const emails = Array.from(text.matchAll(EMAIL_PATTERN), match => match[0]);
+        const withoutEmails = text.replace(EMAIL_PATTERN, ' ');
+        const urls = siteMatches(withoutEmails, URL_PATTERN);
+        const bareDomains = siteMatches(withoutEmails.replace(URL_PATTERN, ' '), BARE_DOMAIN_PATTERN)
+            .filter(site => !NOT_DOMAINS.includes(site.value.toLowerCase()));
+
+        const sites = [...emails.map(value => ({ value, target: false })), ...urls, ...bareDomains]
+            .map(site => ({ ...site, website: self.ExtractorNormalize.normalizeWebsite(site.value, blocklist).website }))
+            .filter(site => site.website);
+        const targetWebsites = unique(sites.filter(site => site.target).map(site => site.website));
+        const targets = new Set(targetWebsites.map(site => site.toLowerCase()));
+
+        return {
+            names: unique(names.filter(Boolean)),
+            companies: unique(companies.filter(Boolean)),
+            // A site named as a target and elsewhere as the client's counts as a target
+            websites: unique(sites.map(site => site.website)).filter(site => !targets.has(site.toLowerCase())),
+            targetWebsites,
+            emails: unique(emails)
+        };
+    }
+
+    function isEmpty(candidates) {
+        return Object.values(candidates).every(list => list.length === 0);
+    }
+
+    // Hints for the prompt (see prompt.js); null when nothing was found
+    function toHints(candidates) {
+        if (isEmpty(candidates)) return null;
+        const hints = {};
+        for (const [key, list] of Object.entries(candidates)) {
+            if (list.length > 0) hints[key] = list;
+        }
+        return hints;
+    }
+
+    // The candidates as a reply in the built-in fields (rules-only mode). The first
+    // company and the first website not named as a target are taken; they are guesses.
+    function toResult(candidates) {
+        const found = Object.entries(candidates).filter(([, list]) => list.length > 0)
+            .map(([key, list]) => `${key}: ${list.join(', ')}`);
+        return {
+            personName: candidates.names,
+            companyName: candidates.companies[0] || '',
+            clientWebsite: candidates.websites[0] || '',
+            confidence: isEmpty(candidates) ? 0 : RULES_CONFIDENCE,
+            reasoning: found.length > 0
+                ? `Rules only (no model, unverified): ${found.join('; ')}`
+                : 'Rules only (no model): no URLs, emails or sign-off names found'
+        };
+    }
+
+    self.ExtractorRules = {
+        extract,
+        toHints,
+        toResult
+    };
+})();
@@ -0,0 +1,395 @@
+// schema.js - Output schema: the fields the model must return
+// Drives the JSON instructions in the prompt, reply validation, which keys are stored, and the CSV columns
+
+(function () {
+    const FIELD_TYPES = ['string', 'number', 'boolean'];
+
+    // The extraction fields the extension has always produced
+    const DEFAULT_SCHEMA = [
+        {
+            name: 'personName',
+            label: 'Person Name(s)',
+            type: 'string',
+            isArray: true,
+            description: 'Names of the specific people managing this project. Empty array if none.'
+        },
+        {
+            name: 'companyName',
+            label: 'Company Name',
+            type: 'string',
+            isArray: false,
+            description: 'Explicit name of the hiring company OR empty string.'
+        },
+        {
+            name: 'clientWebsite',
+            label: 'Client Website',
+            type: 'string',
+            isArray: false,
+            description: 'URL owned by the client OR empty string.'
+        },
+        {
+            name: 'confidence',
+            label: 'Confidence',
+            type: 'number',
+            isArray: false,
+            description: '0.0 to 1.0'
+        },
+        {
+            name: 'reasoning',
+            label: 'Reasoning',
+            type: 'string',
+            isArray: false,
+            description: 'Explain WHY you extracted these. Explicitly state why a URL was kept (Ownership) or rejected (Target). Explain why a text string was identified as a Company and not a Tool.'
+        }
+    ];
+
+    // Keys the extension writes on every result row - schema fields can't reuse them
+    const RESERVED_KEYS = [
+        'id', 'fileId', 'timestamp', 'jobTitle', 'job_url', 'job_id', 'parent_id',
+        'client_country', 'client_location', 'client_member_since', 'client_total_spent',
+        'client_hires', 'skills', 'job_category', 'posted_online_at',
+        'promptId', 'promptName', 'promptVersion', 'resolvedFromParent',
+        'repaired', 'repairAttempts', 'validationIssues', 'jobKey',
+        'conversationId', 'conversationJobNumber', 'timeToFirstTokenMs', 'timeToCompleteMs',
+        'edited', 'editedAt', 'review_status', 'review_correction', 'reviewedAt',
+        'cacheHit', 'cachedAt', 'clientWebsiteRaw', 'companyNameNormalized', 'normalizationNotes',
+        'rules', 'rulesOnly', 'passthrough'
+    ];
+
+    // Key that ties each object of a batch reply to its job
+    const BATCH_KEY = 'jobKey';
+
+    // Saved schema, or the default one when nothing valid is saved
+    function resolveSchema(savedSchema) {
+        return Array.isArray(savedSchema) && savedSchema.length > 0 ? savedSchema : DEFAULT_SCHEMA;
+    }
+
+    // Returns a list of problems (empty when the schema can be saved)
+    function validateSchema(schema) {
+        const errors = [];
+        const seen = new Set();
+
+        if (!Array.isArray(schema) || schema.length === 0) {
+            return ['Add at least one field.'];
+        }
+
+        schema.forEach((field, index) => {
+            const where = `Field ${index + 1}`;
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(field.name || '')) {
+                errors.push(`${where}: name must be letters, digits or _ (and not start with a digit).`);
+            } else if (RESERVED_KEYS.includes(field.name)) {
+                errors.push(`${where}: "${field.name}" is used by the extension itself.`);
+            } else if (seen.has(field.name)) {
+                errors.push(`${where}: "${field.name}" is defined twice.`);
+            }
+            if (!FIELD_TYPES.includes(field.type)) {
+                errors.push(`${where}: type must be one of ${FIELD_TYPES.join(', ')}.`);
+            }
+            seen.add(field.name);
+        });
+
+        return errors;
+    }
+
+    function buildExampleLines(schema, indent) {
+        return schema.map((field) => {
+            const typeName = field.type === 'string' ? '"string"' : field.type;
+            const value = field.isArray ? `[${typeName}]` : typeName;
+            return `${indent}"${field.name}": ${value}`;
+        }).join(',\n');
+    }
+
+    function buildFieldRules(schema) {
+        return schema.map((field) => {
+            const typeName = field.isArray ? `array of ${field.type}s` : field.type;
+            return `- ${field.name} (${typeName}): ${field.description || ''}`.trimEnd();
+        }).join('\n');
+    }
+
+    // JSON instructions inserted into the prompt ({{OUTPUT_SCHEMA}} or appended)
+    function buildSchemaInstructions(schema) {
+        const example = buildExampleLines(schema, '  ');
+        const rules = buildFieldRules(schema);
+
+        return `**Strict JSON Output:**
+
+Reply with ONLY this JSON object, using exactly these keys:
+
+{
+${example}
+}
+
+${rules}
+`;
+    }
+
+    // Same as buildSchemaInstructions, for a message that carries several jobs
+    function buildBatchInstructions(schema) {
+        const example = buildExampleLines(schema, '    ');
+        const rules = buildFieldRules(schema);
+
+        return `**Strict JSON Output (several jobs):**
+
+Reply with ONLY a JSON array with one object per job. Every object must have "${BATCH_KEY}" copied exactly from that job's input, plus exactly these keys:
+
+[
+  {
+    "${BATCH_KEY}": "string",
+${example}
+  }
+]
+
+${rules}
+`;
+    }
+
+    // Pull the JSON object out of a chat reply (markdown fences, surrounding prose)
+    function parseModelReply(responseText) {
+        const text = (responseText || '').replace(/```json/g, "").replace(/```/g, "").trim();
+        const jsonStart = text.indexOf('{');
+        const jsonEnd = text.lastIndexOf('}');
+
+        if (jsonStart === -1 || jsonEnd === -1) {
+            return { value: null, error: "No JSON found in response" };
+        }
+        try {
+            return { value: JSON.parse(text.substring(jsonStart, jsonEnd + 1)), error: null };
+        } catch (e) {
+            return { value: null, error: "Error Parsing JSON: " + e.message };
+        }
+    }
+
+    // Pull the JSON array out of a batch reply
+    function parseBatchReply(responseText) {
+        const text = (responseText || '').replace(/```json/g, "").replace(/```/g, "").trim();
+        const arrayStart = text.indexOf('[');
+        const arrayEnd = text.lastIndexOf(']');
+
+        if (arrayStart === -1 || arrayEnd === -1) {
+            return { value: null, error: "No JSON array found in response" };
+        }
+        try {
+            const value = JSON.parse(text.substring(arrayStart, arrayEnd + 1));
+            return Array.isArray(value) ? { value, error: null } : { value: null, error: "Reply must be a JSON array" };
+        } catch (e) {
+            return { value: null, error: "Error Parsing JSON: " + e.message };
+        }
+    }
+
+    // Fields that must hold a URL when not empty
+    function isUrlField(field) {
+        return field.name === 'clientWebsite' || /(Url|URL|Website)$/.test(field.name);
+    }
+
+    function looksLikeUrl(value) {
+        return /^(https?:\/\/)?([a-z0-9-]+\.)+[a-z]{2,}(:\d+)?(\/\S*)?$/i.test(value.trim());
+    }
+
+    function checkScalar(value, field) {
+        if (field.type === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `"${field.name}" must be a number`;
+            if (field.name === 'confidence' && (value < 0 || value > 1)) return `"confidence" must be between 0 and 1`;
+            return null;
+        }
+        if (field.type === 'boolean') {
+            return typeof value === 'boolean' ? null : `"${field.name}" must be true or false`;
+        }
+        if (typeof value !== 'string') return `"${field.name}" must be a string`;
+        if (value && isUrlField(field) && !looksLikeUrl(value)) return `"${field.name}" must be a URL or an empty string`;
+        return null;
+    }
+
+    // Check a parsed reply against the schema; returns a list of problems (empty = valid)
+    function validateModelResult(parsed, schema) {
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return ['Reply must be a single JSON object'];
+        }
+
+        const issues = [];
+        for (const field of schema) {
+            if (!(field.name in parsed)) {
+                issues.push(`Missing key "${field.name}"`);
+                continue;
+            }
+            const value = parsed[field.name];
+            if (field.isArray) {
+                if (!Array.isArray(value)) {
+                    issues.push(`"${field.name}" must be an array`);
+                    continue;
+                }
+                const itemIssue = value.map(item => checkScalar(item, field)).find(Boolean);
+                if (itemIssue) issues.push(`${itemIssue} (in every array item)`);
+            } else {
+                const issue = checkScalar(value, field);
+                if (issue) issues.push(issue);
+            }
+        }
+        return issues;
+    }
+
+    // Short follow-up asking the model to fix its previous reply in the same chat
+    function buildRepairMessage(issues, schema) {
+        return `Your previous reply did not match the required JSON format:
+${issues.map(issue => `- ${issue}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object (keys: ${schema.map(field => field.name).join(', ')}). No explanation, no markdown.`;
+    }
+
+    // Send a message, then ask for corrections until the reply passes validation.
+    // ask(text) must resolve with the reply text from the same conversation.
+    // Resolves with { aiResult, validation } in the shape background.js stores.
+    async function askWithRepair({ ask, message, schema, maxRepairAttempts = 0, log = () => {} }) {
+        let reply = parseModelReply(await ask(message));
+        let issues = reply.error ? [reply.error] : validateModelResult(reply.value, schema);
+
+        let repairAttempts = 0;
+        while (issues.length > 0 && repairAttempts < maxRepairAttempts) {
+            repairAttempts++;
+            log(`🔧 Reply invalid (${issues[0]}). Repair ${repairAttempts}/${maxRepairAttempts}...`);
+            reply = parseModelReply(await ask(buildRepairMessage(issues, schema)));
+            issues = reply.error ? [reply.error] : validateModelResult(reply.value, schema);
+        }
+
+        if (repairAttempts > 0 && issues.length === 0) log("✅ Reply repaired.");
+
+        return {
+            // Keep whatever was parsed; the error becomes the reasoning when nothing was
+            aiResult: reply.value || { reasoning: reply.error },
+            validation: {
+                repaired: repairAttempts > 0 && issues.length === 0,
+                repairAttempts: repairAttempts,
+                issues: issues
+            }
+        };
+    }
+
+    // Split a batch reply into one entry per expected key. Unknown and
+    // duplicate keys are ignored; each item is validated on its own.
+    function splitBatchReply(items, schema, jobKeys) {
+        const byKey = {};
+        for (const item of items || []) {
+            const key = item && typeof item === 'object' ? String(item[BATCH_KEY] ?? '') : '';
+            if (!jobKeys.includes(key) || byKey[key]) continue;
+            const { [BATCH_KEY]: _, ...result } = item;
+            byKey[key] = { value: result, issues: validateModelResult(result, schema) };
+        }
+        return byKey;
+    }
+
+    // Batch version of askWithRepair. Follow-ups ask for the whole array again,
+    // listing the problems per job; items that were already valid are kept.
+    // Resolves with { results: { [jobKey]: { aiResult, validation } }, missingKeys: [...] }
+    async function askBatchWithRepair({ ask, message, schema, jobKeys, maxRepairAttempts = 0, log = () => {} }) {
+        const readReply = (text) => {
+            const reply = parseBatchReply(text);
+            return reply.error ? { byKey: {}, error: reply.error } : { byKey: splitBatchReply(reply.value, schema, jobKeys), error: null };
+        };
+        const listIssues = (byKey, error) => {
+            const issues = error ? [error] : [];
+            for (const key of jobKeys) {
+                if (!byKey[key]) issues.push(`No object with "${BATCH_KEY}": "${key}"`);
+                else byKey[key].issues.forEach(issue => issues.push(`${key}: ${issue}`));
+            }
+            return issues;
+        };
+
+        const first = readReply(await ask(message));
+        const byKey = first.byKey;
+        let issues = listIssues(byKey, first.error);
+
+        let repairAttempts = 0;
+        while (issues.length > 0 && repairAttempts < maxRepairAttempts) {
+            repairAttempts++;
+            log(`🔧 Batch reply invalid (${issues[0]}). Repair ${repairAttempts}/${maxRepairAttempts}...`);
+            const next = readReply(await ask(`Your previous reply did not match the required JSON format:
+${issues.map(issue => `- ${issue}`).join('\n')}
+
+Reply again with ONLY the corrected JSON array: one object per job (${BATCH_KEY}s: ${jobKeys.join(', ')}), each with "${BATCH_KEY}" and the keys ${schema.map(field => field.name).join(', ')}. No explanation, no markdown.`));
+
+            for (const key of jobKeys) {
+                const item = next.byKey[key];
+                if (item && (!byKey[key] || byKey[key].issues.length > 0)) {
+                    byKey[key] = { ...item, repaired: item.issues.length === 0 };
+                }
+            }
+            issues = listIssues(byKey, next.error);
+        }
+
+        if (repairAttempts > 0 && issues.length === 0) log("✅ Batch reply repaired.");
+
+        const results = {};
+        const missingKeys = [];
+        for (const key of jobKeys) {
+            if (!byKey[key]) {
+                missingKeys.push(key);
+                continue;
+            }
+            results[key] = {
+                aiResult: byKey[key].value,
+                validation: {
+                    repaired: !!byKey[key].repaired,
+                    repairAttempts: repairAttempts,
+                    issues: byKey[key].issues
+                }
+            };
+        }
+        return { results, missingKeys };
+    }
+
+    function formatFieldValue(value, field) {
+        if (field.isArray) {
+            const items = Array.isArray(value) ? value : (value === null || value === undefined || value === '' ? [] : [value]);
+            return items.map(item => formatScalar(item, field.type)).join('; ');
+        }
+        if (Array.isArray(value)) {
+            return formatScalar(value.join('; '), field.type);
+        }
+        return formatScalar(value, field.type);
+    }
+
+    function formatScalar(value, type) {
+        if (type === 'number') {
+            const num = typeof value === 'number' ? value : parseFloat(value);
+            return Number.isFinite(num) ? num : 0;
+        }
+        if (type === 'boolean') {
+            return value === true || value === 'true';
+        }
+        if (value === null || value === undefined) return '';
+        return typeof value === 'string' ? value : String(value);
+    }
+
+    // Keep only the schema's keys from the model's reply, stored in flat, CSV-ready form
+    function pickSchemaFields(aiResult, schema) {
+        const fields = {};
+        for (const field of schema) {
+            fields[field.name] = formatFieldValue(aiResult ? aiResult[field.name] : undefined, field);
+        }
+        return fields;
+    }
+
+    // CSV columns for the schema fields, in schema order
+    function getSchemaColumns(schema) {
+        return schema.map(field => ({ header: field.label || field.name, key: field.name }));
+    }
+
+    self.ExtractorSchema = {
+        FIELD_TYPES,
+        DEFAULT_SCHEMA,
+        RESERVED_KEYS,
+        resolve: resolveSchema,
+        validate: validateSchema,
+        BATCH_KEY,
+        buildInstructions: buildSchemaInstructions,
+        buildBatchInstructions,
+        parseReply: parseModelReply,
+        parseBatchReply,
+        splitBatchReply,
+        validateResult: validateModelResult,
+        buildRepairMessage,
+        askWithRepair,
+        askBatchWithRepair,
+        pickFields: pickSchemaFields,
+        getColumns: getSchemaColumns
+    };
+})();
@@ -0,0 +1,128 @@
+// settings.js - User settings shared by the side panel and the background worker
+
+(function () {
+    const SETTINGS_KEY = 'extractorSettings';
+
+    const DEFAULT_SETTINGS = {
+        // Where jobs are sent: 'chat' (browser tabs) | 'gemini-api' (REST, no tab needed)
+        // | 'local' (a model on this machine) | 'rules' (no model: rules.js candidates only)
+        backend: 'chat',
+
+        // Gemini API backend. The base URL can point at a local mock server.
+        geminiApiKey: '',
+        geminiApiModel: 'gemini-2.0-flash',
+        geminiApiBaseUrl: 'https://generativelanguage.googleapis.com',
+        apiRequestsPerMinute: 10,
+
+        // Local model backend: 'ollama' (/api/chat) or 'openai' (/v1/chat/completions)
+        localApiFormat: 'ollama',
+        localBaseUrl: 'http://localhost:11434',
+        localModel: 'llama3.1',
+        localTemperature: 0,
+        localJsonMode: true,
+
+        // Chat site the jobs are typed into (see providers.js): gemini | chatgpt | claude
+        provider: 'gemini',
+
+        // Per-provider selector overrides, e.g. { gemini: { send: ['button.send'] } }.
+        // A non-empty list replaces that role's built-in selectors (see providers.js).
+        selectorOverrides: {},
+
+        // Parent/child mode: run the parent job once with its children's titles
+        // as context, then copy the resolved client onto every child row
+        groupChildJobs: false,
+
+        // Prompt library template used for new jobs (null = built-in prompt)
+        activePromptId: null,
+
+        // Output fields (see schema.js); null = the built-in schema
+        outputSchema: null,
+
+        // Follow-up messages asking Gemini to fix a reply that fails schema validation
+        maxRepairAttempts: 2,
+
+        // Tries per job (errors + timeouts) before it is marked failed
+        maxJobAttempts: 3,
+
+        // Jobs packed into one message (1 = one job per message)
+        batchSize: 1,
+
+        // How content.js puts the message into the chat box: 'typing' (15-char chunks),
+        // 'insertText' (all at once) or 'paste'. Falls back to the others if the editor ignores it.
+        insertionMode: 'typing',
+
+        // Start a new chat after this many jobs in one thread, or when the page
+        // has more than this many elements (0 = never)
+        newChatEveryJobs: 0,
+        newChatMaxDomNodes: 0,
+
+        // Reply completion detection in chat tabs: 'observer' (DOM events + stop/send
+        // buttons + quiet window) or 'polling' (three unchanged lengths, 1s apart)
+        completionMode: 'observer',
+        completionQuietMs: 1500,
+        completionMaxWaitMs: 90000,
+
+        // Human review queue: results below this confidence, or with any of these
+        // output fields empty, wait for Approve / Edit / Reject in the side panel
+        reviewConfidenceThreshold: 0.6,
+        reviewEmptyFields: ['companyName'],
+
+        // Saved export layouts (see export.js; the built-in "Default CSV" is not stored here),
+        // the one selected in the side panel and the one the end-of-run auto-export uses
+        exportPresets: [],
+        exportPresetId: 'default',
+        autoExportPresetId: 'default',
+
+        // Webhook: POST every saved result to this URL (n8n, Zapier, custom), up to
+        // webhookBatchSize results per request. With a secret, the body is signed with
+        // HMAC-SHA256 in the X-Extractor-Signature header. Headers: { name: value }.
+        webhookEnabled: false,
+        webhookUrl: '',
+        webhookHeaders: {},
+        webhookSecret: '',
+        webhookBatchSize: 1,
+
+        // Post-processing of replies (see normalize.js): canonical clientWebsite (registrable
+        // domain + path, blocked platform domains removed) and companyNameNormalized without
+        // the legal form. The model's values are kept. Blocklist null = the built-in list.
+        normalizeResults: true,
+        websiteBlocklist: null,
+
+        // Rule-based pre-extraction (see rules.js): send the URLs, emails and sign-off
+        // names it finds with each job as unverified hints
+        ruleHints: true,
+
+        // Upload validation: jobs longer than this (characters of mapped JSON) are
+        // flagged as oversized in the upload report (0 = no limit)
+        maxJobChars: 20000,
+
+        // Saved upload field mappings (see input.js; the built-in scraper JSON profile is
+        // not stored here). A file whose fields match a profile gets it preselected.
+        inputProfiles: []
+    };
+
+    // Read settings merged over defaults (new settings get their default value)
+    function getSettings() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get([SETTINGS_KEY], (result) => {
+                resolve({ ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) });
+            });
+        });
+    }
+
+    // Save a partial settings object
+    async function saveSettings(updates) {
+        const current = await getSettings();
+        const newSettings = { ...current, ...updates };
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ [SETTINGS_KEY]: newSettings }, () => resolve(newSettings));
+        });
+    }
+
+    // Attached to self so it works in the side panel (window) and the service worker
+    self.ExtractorSettings = {
+        DEFAULTS: DEFAULT_SETTINGS,
+        get: getSettings,
+        save: saveSettings
+    };
+})();
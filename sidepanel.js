@@ -16,6 +16,89 @@ const stopBtn = document.getElementById('stopBtn');
 const parentJobsCount = document.getElementById('parentJobsCount');
 const childJobsCount = document.getElementById('childJobsCount');
 const totalJobsCount = document.getElementById('totalJobsCount');
+const groupChildJobsToggle = document.getElementById('groupChildJobsToggle');
+const maxRepairAttemptsInput = document.getElementById('maxRepairAttemptsInput');
+const maxJobAttemptsInput = document.getElementById('maxJobAttemptsInput');
+const batchSizeInput = document.getElementById('batchSizeInput');
+const insertionModeSelect = document.getElementById('insertionModeSelect');
+const completionModeSelect = document.getElementById('completionModeSelect');
+const completionQuietMsInput = document.getElementById('completionQuietMsInput');
+const completionMaxWaitMsInput = document.getElementById('completionMaxWaitMsInput');
+const newChatEveryJobsInput = document.getElementById('newChatEveryJobsInput');
+const newChatMaxDomNodesInput = document.getElementById('newChatMaxDomNodesInput');
+const throughputInfo = document.getElementById('throughputInfo');
+const failedJobsBody = document.getElementById('failedJobsBody');
+const failedJobsInfo = document.getElementById('failedJobsInfo');
+const promptSelect = document.getElementById('promptSelect');
+const promptMeta = document.getElementById('promptMeta');
+const promptNameInput = document.getElementById('promptNameInput');
+const promptTextInput = document.getElementById('promptTextInput');
+const schemaFieldsBox = document.getElementById('schemaFields');
+const chatTabList = document.getElementById('chatTabList');
+const providerSelect = document.getElementById('providerSelect');
+const backendSelect = document.getElementById('backendSelect');
+const geminiApiFields = document.getElementById('geminiApiFields');
+const geminiApiKeyInput = document.getElementById('geminiApiKeyInput');
+const geminiApiModelInput = document.getElementById('geminiApiModelInput');
+const geminiApiBaseUrlInput = document.getElementById('geminiApiBaseUrlInput');
+const apiRequestsPerMinuteInput = document.getElementById('apiRequestsPerMinuteInput');
+const localLlmFields = document.getElementById('localLlmFields');
+const localApiFormatSelect = document.getElementById('localApiFormatSelect');
+const localBaseUrlInput = document.getElementById('localBaseUrlInput');
+const localModelInput = document.getElementById('localModelInput');
+const localTemperatureInput = document.getElementById('localTemperatureInput');
+const localJsonModeToggle = document.getElementById('localJsonModeToggle');
+const workerTable = document.getElementById('workerTable');
+const workerTableBody = document.getElementById('workerTableBody');
+const selectorsInput = document.getElementById('selectorsInput');
+const resultsBrowserPanel = document.getElementById('resultsBrowserPanel');
+const resultsSearchInput = document.getElementById('resultsSearchInput');
+const resultsFileFilter = document.getElementById('resultsFileFilter');
+const resultsSortSelect = document.getElementById('resultsSortSelect');
+const resultsTableBody = document.getElementById('resultsTableBody');
+const resultsPageInfo = document.getElementById('resultsPageInfo');
+const resultDetail = document.getElementById('resultDetail');
+const reviewPanel = document.getElementById('reviewPanel');
+const reviewCount = document.getElementById('reviewCount');
+const reviewCard = document.getElementById('reviewCard');
+const reviewThresholdInput = document.getElementById('reviewThresholdInput');
+const reviewEmptyFieldsInput = document.getElementById('reviewEmptyFieldsInput');
+const exportPanel = document.getElementById('exportPanel');
+const exportPresetSelect = document.getElementById('exportPresetSelect');
+const exportPresetNameInput = document.getElementById('exportPresetNameInput');
+const exportFormatSelect = document.getElementById('exportFormatSelect');
+const exportDelimiterSelect = document.getElementById('exportDelimiterSelect');
+const exportBomToggle = document.getElementById('exportBomToggle');
+const exportColumnsList = document.getElementById('exportColumnsList');
+const exportAutoInfo = document.getElementById('exportAutoInfo');
+const webhookEnabledToggle = document.getElementById('webhookEnabledToggle');
+const webhookUrlInput = document.getElementById('webhookUrlInput');
+const webhookHeadersInput = document.getElementById('webhookHeadersInput');
+const webhookSecretInput = document.getElementById('webhookSecretInput');
+const webhookBatchSizeInput = document.getElementById('webhookBatchSizeInput');
+const webhookStatusInfo = document.getElementById('webhookStatusInfo');
+const clientsPanel = document.getElementById('clientsPanel');
+const clientsSearchInput = document.getElementById('clientsSearchInput');
+const clientsConflictsToggle = document.getElementById('clientsConflictsToggle');
+const clientsTableBody = document.getElementById('clientsTableBody');
+const clientsInfo = document.getElementById('clientsInfo');
+const clientDetail = document.getElementById('clientDetail');
+const mappingPanel = document.getElementById('mappingPanel');
+const mappingFileName = document.getElementById('mappingFileName');
+const mappingProfileSelect = document.getElementById('mappingProfileSelect');
+const mappingRootRow = document.getElementById('mappingRootRow');
+const mappingRootInput = document.getElementById('mappingRootInput');
+const mappingFields = document.getElementById('mappingFields');
+const mappingPreview = document.getElementById('mappingPreview');
+const mappingProfileNameInput = document.getElementById('mappingProfileNameInput');
+const maxJobCharsInput = document.getElementById('maxJobCharsInput');
+const normalizeResultsToggle = document.getElementById('normalizeResultsToggle');
+const ruleHintsToggle = document.getElementById('ruleHintsToggle');
+const websiteBlocklistInput = document.getElementById('websiteBlocklistInput');
+const validationPanel = document.getElementById('validationPanel');
+const validationFileName = document.getElementById('validationFileName');
+const validationSummary = document.getElementById('validationSummary');
+const validationList = document.getElementById('validationList');
 
 // --- 1. Initialize on Startup ---
 document.addEventListener('DOMContentLoaded', async () => {
@@ -26,6 +109,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     updateStorageInfo();
     updateResultsInfo();
     updateJobStats();
+    updateFailedJobs();
+    loadSettings();
+    loadPromptLibrary();
+    loadSchemaEditor();
+    loadChatTabs();
+    loadSelectorEditor();
+    loadReviewQueue();
+    loadExportEditor();
+    updateWebhookStatus();
+    updateWorkers();
 });
 
 // --- 2. Button Logic ---
@@ -41,8 +134,12 @@ startBtn.addEventListener('click', () => {
         log("⚠️ No jobs loaded yet.");
         return;
     }
-    log("🚀 Start button clicked. Sending signal to Background...");
-    chrome.runtime.sendMessage({ action: "START_PROCESSING" });
+    const tabIds = getSelectedTabIds();
+    log(tabIds.length > 1
+        ? `🚀 Start button clicked. Running on ${tabIds.length} chat tabs...`
+        : "🚀 Start button clicked. Sending signal to Background...");
+    const forceRefresh = document.getElementById('forceRefreshToggle').checked;
+    chrome.runtime.sendMessage({ action: "START_PROCESSING", tabIds: tabIds, forceRefresh: forceRefresh });
 });
 
 // B2. Stop Button Logic
@@ -100,7 +197,7 @@ if (clearCompletedBtn) {
 // E. Export CSV Button
 if (exportCsvBtn) {
     exportCsvBtn.addEventListener('click', () => {
-        exportResultsAsCsv();
+        exportResults();
     });
 }
 
@@ -115,7 +212,281 @@ if (clearResultsBtn) {
     });
 }
 
+// F0. Clear Cache Button
+const clearCacheBtn = document.getElementById('clearCacheBtn');
+if (clearCacheBtn) {
+    clearCacheBtn.addEventListener('click', async () => {
+        if (confirm("Forget all cached answers? Every job will be sent to the model again.")) {
+            await window.ExtractorDB.clearCache();
+            log('♻️ Cache cleared.');
+            updateStorageInfo();
+        }
+    });
+}
+
+// F1. Results Browser (loaded when the panel is opened)
+if (resultsBrowserPanel) {
+    resultsBrowserPanel.addEventListener('toggle', () => {
+        if (resultsBrowserPanel.open) loadResultsBrowser();
+    });
+    let searchTimer = null;
+    resultsSearchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => { resultsBrowser.page = 0; renderResultsBrowser(); }, 250);
+    });
+    resultsFileFilter.addEventListener('change', () => { resultsBrowser.page = 0; renderResultsBrowser(); });
+    resultsSortSelect.addEventListener('change', () => { resultsBrowser.page = 0; renderResultsBrowser(); });
+    document.getElementById('resultsPrevBtn').addEventListener('click', () => {
+        resultsBrowser.page = Math.max(0, resultsBrowser.page - 1);
+        renderResultsBrowser();
+    });
+    document.getElementById('resultsNextBtn').addEventListener('click', () => {
+        resultsBrowser.page++;
+        renderResultsBrowser();
+    });
+}
+
+// F1a. Clients (loaded when the panel is opened)
+if (clientsPanel) {
+    clientsPanel.addEventListener('toggle', () => {
+        if (clientsPanel.open) loadClients();
+    });
+    let clientsSearchTimer = null;
+    clientsSearchInput.addEventListener('input', () => {
+        clearTimeout(clientsSearchTimer);
+        clientsSearchTimer = setTimeout(renderClients, 250);
+    });
+    clientsConflictsToggle.addEventListener('change', renderClients);
+    document.getElementById('clientsExportBtn').addEventListener('click', () => exportClients());
+    document.getElementById('clientsRebuildBtn').addEventListener('click', () => rebuildClients());
+    document.getElementById('clientsClearBtn').addEventListener('click', () => {
+        if (!confirm('Forget every client? Results are kept, and 🔄 Rebuild from Results groups them again.')) return;
+        chrome.runtime.sendMessage({ action: "CLIENTS_CLEAR" }, () => {
+            log('🗑️ Clients cleared.');
+            loadClients();
+        });
+    });
+    updateClientsRebuildBtn();
+}
+
+// F1b. Review Queue
+if (reviewPanel) {
+    reviewThresholdInput.addEventListener('change', async () => {
+        let value = parseFloat(reviewThresholdInput.value);
+        if (!Number.isFinite(value)) value = window.ExtractorSettings.DEFAULTS.reviewConfidenceThreshold;
+        value = Math.min(1, Math.max(0, value));
+        reviewThresholdInput.value = value;
+        await window.ExtractorSettings.save({ reviewConfidenceThreshold: value });
+        log(`🧑‍⚖️ Results below ${value} confidence go to review`);
+        loadReviewQueue();
+    });
+    reviewEmptyFieldsInput.addEventListener('change', async () => {
+        const fields = reviewEmptyFieldsInput.value.split(',').map(name => name.trim()).filter(Boolean);
+        await window.ExtractorSettings.save({ reviewEmptyFields: fields });
+        log(fields.length > 0
+            ? `🧑‍⚖️ Results with an empty ${fields.join(' / ')} go to review`
+            : '🧑‍⚖️ Empty fields no longer send results to review');
+        loadReviewQueue();
+    });
+    document.addEventListener('keydown', handleReviewShortcut);
+}
+
+// F1c. Export Options (presets)
+if (exportPanel) {
+    for (const [id, format] of Object.entries(window.ExtractorExport.FORMATS)) {
+        exportFormatSelect.add(new Option(format.name, id));
+    }
+    for (const [delimiter, name] of Object.entries(window.ExtractorExport.DELIMITERS)) {
+        exportDelimiterSelect.add(new Option(name, delimiter));
+    }
+    // Reload when opened so new schema fields show up as columns
+    exportPanel.addEventListener('toggle', () => {
+        if (exportPanel.open) loadExportEditor(exportPresetSelect.value);
+    });
+    exportPresetSelect.addEventListener('change', async () => {
+        await window.ExtractorSettings.save({ exportPresetId: exportPresetSelect.value });
+        loadExportEditor(exportPresetSelect.value);
+    });
+    exportFormatSelect.addEventListener('change', () => showExportFormatOptions());
+    document.getElementById('exportPresetSaveBtn').addEventListener('click', () => saveExportPreset(false));
+    document.getElementById('exportPresetNewBtn').addEventListener('click', () => saveExportPreset(true));
+    document.getElementById('exportPresetDeleteBtn').addEventListener('click', () => deleteExportPreset());
+    document.getElementById('exportPresetAutoBtn').addEventListener('click', async () => {
+        await window.ExtractorSettings.save({ autoExportPresetId: exportPresetSelect.value });
+        log(`⭐ Auto-export will use "${escapeHtml(exportPresetSelect.options[exportPresetSelect.selectedIndex].text)}"`);
+        loadExportEditor(exportPresetSelect.value);
+    });
+}
+
+// F2. Failed Jobs Buttons
+const retryFailedBtn = document.getElementById('retryFailedBtn');
+if (retryFailedBtn) {
+    retryFailedBtn.addEventListener('click', () => retryFailedJobs());
+}
+const exportFailedBtn = document.getElementById('exportFailedBtn');
+if (exportFailedBtn) {
+    exportFailedBtn.addEventListener('click', () => exportFailedJobs());
+}
+
+// G0. Processing Options
+if (groupChildJobsToggle) {
+    groupChildJobsToggle.addEventListener('change', async () => {
+        await window.ExtractorSettings.save({ groupChildJobs: groupChildJobsToggle.checked });
+        log(groupChildJobsToggle.checked
+            ? '👨‍👧 Parent/child mode ON - child jobs will inherit their parent\'s client'
+            : '👨‍👧 Parent/child mode OFF - every job is sent on its own');
+    });
+}
+bindNumberSetting(maxRepairAttemptsInput, 'maxRepairAttempts', (value) => `🔧 Repair attempts set to ${value}`);
+bindNumberSetting(maxJobAttemptsInput, 'maxJobAttempts', (value) => `🔁 Jobs are marked failed after ${value} attempt(s)`);
+bindNumberSetting(completionQuietMsInput, 'completionQuietMs', (value) => `⏱️ A reply is complete after ${value} ms without changes`);
+bindNumberSetting(completionMaxWaitMsInput, 'completionMaxWaitMs', (value) => `⏱️ Replies time out after ${Math.round(value / 1000)}s`);
+if (completionModeSelect) {
+    completionModeSelect.addEventListener('change', async () => {
+        await window.ExtractorSettings.save({ completionMode: completionModeSelect.value });
+        log(`⏱️ Reply detection: ${completionModeSelect.options[completionModeSelect.selectedIndex].text}`);
+    });
+}
+bindNumberSetting(newChatEveryJobsInput, 'newChatEveryJobs', (value) => value > 0
+    ? `🆕 A new chat is started every ${value} job(s)`
+    : '🆕 No new chats by job count');
+bindNumberSetting(newChatMaxDomNodesInput, 'newChatMaxDomNodes', (value) => value > 0
+    ? `🆕 A new chat is started when the page has more than ${value} elements`
+    : '🆕 No new chats by page size');
+bindNumberSetting(batchSizeInput, 'batchSize', (value) => value > 1
+    ? `📦 ${value} jobs will be sent per message`
+    : '📦 One job per message');
+if (normalizeResultsToggle) {
+    normalizeResultsToggle.addEventListener('change', async () => {
+        await window.ExtractorSettings.save({ normalizeResults: normalizeResultsToggle.checked });
+        log(normalizeResultsToggle.checked
+            ? '🧽 Websites and company names will be normalized (raw values kept)'
+            : '🧽 Websites and company names are saved as the model returns them');
+    });
+    websiteBlocklistInput.addEventListener('change', async () => {
+        const domains = websiteBlocklistInput.value.split(',')
+            .map(domain => domain.trim().toLowerCase().replace(/^www\./, ''))
+            .filter(Boolean);
+        await window.ExtractorSettings.save({ websiteBlocklist: domains.length > 0 ? domains : null });
+        websiteBlocklistInput.value = (domains.length > 0 ? domains : window.ExtractorNormalize.DEFAULT_BLOCKLIST).join(', ');
+        log(domains.length > 0
+            ? `🧽 ${domains.length} blocked website domain(s)`
+            : '🧽 Using the built-in website blocklist');
+    });
+}
+if (ruleHintsToggle) {
+    ruleHintsToggle.addEventListener('change', async () => {
+        await window.ExtractorSettings.save({ ruleHints: ruleHintsToggle.checked });
+        log(ruleHintsToggle.checked
+            ? '🔎 URLs, emails and sign-off names found by rules will be sent as hints'
+            : '🔎 Rule hints are no longer sent (still saved with each result)');
+    });
+}
+bindNumberSetting(maxJobCharsInput, 'maxJobChars', (value) => value > 0
+    ? `📏 Uploaded jobs over ${value.toLocaleString()} characters will be flagged`
+    : '📏 No size limit for uploaded jobs');
+
+if (insertionModeSelect) {
+    insertionModeSelect.addEventListener('change', async () => {
+        await window.ExtractorSettings.save({ insertionMode: insertionModeSelect.value });
+        log(`⌨️ Input method: ${insertionModeSelect.options[insertionModeSelect.selectedIndex].text}`);
+    });
+}
+
+// G1. Prompt Library
+if (promptSelect) {
+    promptSelect.addEventListener('change', () => {
+        loadPromptLibrary(parseInt(promptSelect.value, 10));
+    });
+
+    document.getElementById('promptSaveBtn').addEventListener('click', () => savePromptVersion());
+    document.getElementById('promptActivateBtn').addEventListener('click', () => activateSelectedPrompt());
+    document.getElementById('promptNewBtn').addEventListener('click', () => {
+        createPrompt('Untitled prompt', window.ExtractorPrompt.DEFAULT_PROMPT);
+    });
+    document.getElementById('promptDuplicateBtn').addEventListener('click', () => {
+        createPrompt(`${promptNameInput.value.trim() || 'Untitled prompt'} (copy)`, promptTextInput.value);
+    });
+    document.getElementById('promptDeleteBtn').addEventListener('click', () => deleteSelectedPrompt());
+}
+
+// G2. Output Schema
+if (schemaFieldsBox) {
+    document.getElementById('schemaAddFieldBtn').addEventListener('click', () => {
+        addSchemaFieldRow({ name: '', type: 'string', isArray: false, description: '' });
+    });
+    document.getElementById('schemaSaveBtn').addEventListener('click', () => saveSchemaFromEditor());
+    document.getElementById('schemaResetBtn').addEventListener('click', async () => {
+        if (!confirm("Reset the output schema to the built-in fields?")) return;
+        await window.ExtractorSettings.save({ outputSchema: null });
+        log('↩️ Output schema reset to default.');
+        loadSchemaEditor();
+    });
+}
+
+// G3. Chat Tabs (provider + workers)
+const refreshTabsBtn = document.getElementById('refreshTabsBtn');
+if (refreshTabsBtn) {
+    refreshTabsBtn.addEventListener('click', () => loadChatTabs());
+}
+if (providerSelect) {
+    for (const provider of window.ExtractorProviders.list()) {
+        providerSelect.add(new Option(provider.name, provider.id));
+    }
+    providerSelect.addEventListener('change', async () => {
+        await window.ExtractorSettings.save({ provider: providerSelect.value });
+        log(`🤖 Provider set to ${window.ExtractorProviders.get(providerSelect.value).name}`);
+        loadChatTabs();
+        loadSelectorEditor();
+    });
+}
+
+// G3b. Selectors (overrides per provider + diagnostics)
+if (selectorsInput) {
+    document.getElementById('selectorsSaveBtn').addEventListener('click', () => saveSelectorsFromEditor());
+    document.getElementById('selectorsResetBtn').addEventListener('click', async () => {
+        const settings = await window.ExtractorSettings.get();
+        const provider = window.ExtractorProviders.get(settings.provider);
+        if (!confirm(`Reset the ${provider.name} selectors to the built-in ones?`)) return;
+        const selectorOverrides = { ...settings.selectorOverrides };
+        delete selectorOverrides[provider.id];
+        await window.ExtractorSettings.save({ selectorOverrides });
+        log(`↩️ ${provider.name} selectors reset to default.`);
+        loadSelectorEditor();
+    });
+    document.getElementById('diagnosticsBtn').addEventListener('click', () => runDiagnostics());
+}
+
+// G4. Backend (chat tabs, Gemini API or local model)
+if (backendSelect) {
+    backendSelect.addEventListener('change', () => showBackendFields());
+    document.getElementById('backendSaveBtn').addEventListener('click', () => saveBackendSettings());
+}
+
+// G5. Webhook
+if (webhookEnabledToggle) {
+    document.getElementById('webhookSaveBtn').addEventListener('click', () => saveWebhookSettings());
+    document.getElementById('webhookTestBtn').addEventListener('click', () => {
+        log('🧪 Sending a test payload to the webhook...');
+        chrome.runtime.sendMessage({ action: "WEBHOOK_TEST" }, (response) => {
+            if (response?.ok) log('✅ Webhook test delivered.');
+            else log(`❌ Webhook test failed: ${escapeHtml(response?.error || chrome.runtime.lastError?.message || 'no reply')}`);
+        });
+    });
+    document.getElementById('webhookRetryBtn').addEventListener('click', () => {
+        log('🔁 Retrying webhook deliveries...');
+        chrome.runtime.sendMessage({ action: "WEBHOOK_FLUSH" });
+    });
+    document.getElementById('webhookClearBtn').addEventListener('click', () => {
+        if (!confirm("Drop every undelivered result from the webhook outbox? The results themselves are kept.")) return;
+        chrome.runtime.sendMessage({ action: "WEBHOOK_CLEAR" });
+        log('🗑️ Webhook outbox cleared.');
+    });
+}
+
 // G. Handle File Selection - UPDATED to use IndexedDB
+// JSON, NDJSON and CSV. Files in the scraper's own JSON format are imported as they
+// are; others go through the field mapping screen first (see input.js).
 hiddenInput.addEventListener('change', async (event) => {
     const files = Array.from(event.target.files);
     if (files.length === 0) return;
@@ -125,7 +496,44 @@ hiddenInput.addEventListener('change', async (event) => {
     for (const file of files) {
         try {
             const text = await readFileAsText(file);
-            const jsonData = JSON.parse(text);
+            const format = window.ExtractorInput.detectFormat(file.name, text);
+            const parsed = window.ExtractorInput.parseFile(text, format);
+            if (parsed.rows.length === 0) {
+                log(`⚠️ No jobs found in ${escapeHtml(file.name)}`);
+                continue;
+            }
+
+            const settings = await window.ExtractorSettings.get();
+            const fields = window.ExtractorInput.listFields(parsed.rows);
+            const profile = window.ExtractorInput.matchProfile(settings, format, fields);
+            const isNative = profile?.id === window.ExtractorInput.DEFAULT_PROFILE.id && !parsed.rootPath;
+
+            // Raw rows + mapping are stored; null mapping = already in the scraper's format
+            let rows = parsed.rows;
+            let mapping = null;
+            if (!isNative) {
+                const mapped = await showMappingScreen(file.name, text, format, parsed, profile, settings);
+                if (!mapped) {
+                    log(`⏭️ Skipped ${escapeHtml(file.name)}`);
+                    continue;
+                }
+                ({ rows, mapping } = mapped);
+            }
+
+            // Drop or fix problem rows before anything is queued
+            const report = window.ExtractorInput.validateRows(rows, mapping, settings.maxJobChars);
+            if (report.length > 0) {
+                rows = await showValidationReport(file.name, rows, mapping, report, settings.maxJobChars);
+                if (!rows) {
+                    log(`⏭️ Skipped ${escapeHtml(file.name)}`);
+                    continue;
+                }
+            }
+            if (rows.length === 0) {
+                log(`⚠️ No rows left to queue in ${escapeHtml(file.name)}`);
+                continue;
+            }
+            const jsonData = window.ExtractorInput.applyMapping(rows, mapping);
             
             // Extract name from filename
             let extractedName = "Unknown";
@@ -159,15 +567,15 @@ hiddenInput.addEventListener('change', async (event) => {
             };
 
             // Store actual JOB DATA in IndexedDB (large)
-            await window.ExtractorDB.saveJobData(fileId, jsonData);
+            await window.ExtractorDB.saveJobData(fileId, rows, mapping);
 
             // Save metadata to chrome.storage
             await addFileMetadata(fileMetadata);
 
-            log(`✅ Saved "${file.name}" (${jsonData.length} jobs: ${parentCount} parent, ${childCount} child)`);
+            log(`✅ Saved "${escapeHtml(file.name)}" (${jsonData.length} jobs: ${parentCount} parent, ${childCount} child)`);
 
         } catch (err) {
-            log(`❌ Error reading ${file.name}: ${err.message}`);
+            log(`❌ Error reading ${escapeHtml(file.name)}: ${escapeHtml(err.message)}`);
         }
     }
 
@@ -177,6 +585,307 @@ hiddenInput.addEventListener('change', async (event) => {
     hiddenInput.value = '';
 });
 
+// --- Field Mapping: assign a file's fields to job roles before it is imported ---
+
+// The file on the mapping screen: { text, format, rows, fields, resolve }
+let pendingMapping = null;
+
+// Resolves with { rows, mapping } on Import, or null on Skip File
+function showMappingScreen(filename, text, format, parsed, profile, settings) {
+    return new Promise((resolve) => {
+        pendingMapping = { text, format, rows: parsed.rows, fields: [], resolve };
+
+        mappingFileName.textContent = `${filename} (${format.toUpperCase()})`;
+        mappingProfileSelect.innerHTML = '';
+        const guessed = document.createElement('option');
+        guessed.value = '';
+        guessed.textContent = '✨ Guess from field names';
+        mappingProfileSelect.appendChild(guessed);
+        for (const item of window.ExtractorInput.listProfiles(settings)) {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = `${item.name} (${item.format.toUpperCase()})`;
+            mappingProfileSelect.appendChild(option);
+        }
+        mappingProfileSelect.value = profile ? profile.id : '';
+        mappingRootRow.style.display = format === 'json' ? '' : 'none';
+        mappingRootInput.value = profile?.rootPath || parsed.rootPath;
+        mappingProfileNameInput.value = '';
+
+        if (profile?.rootPath && profile.rootPath !== parsed.rootPath) {
+            reparseMappingFile();
+        } else {
+            pendingMapping.fields = window.ExtractorInput.listFields(parsed.rows);
+        }
+        renderMappingFields(profile ? profile.mapping : window.ExtractorInput.guessMapping(pendingMapping.fields));
+        mappingPanel.style.display = '';
+        mappingPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        log(`🧭 Map the fields of ${escapeHtml(filename)}, then click ✅ Import`);
+    });
+}
+
+// One select per role (Reviews takes several fields)
+function renderMappingFields(mapping) {
+    mappingFields.innerHTML = '';
+    for (const { role, label, required, multiple, passthrough } of window.ExtractorInput.ROLES) {
+        const row = document.createElement('label');
+        row.className = 'mapping-row';
+        if (passthrough) row.title = 'Copied onto the result row and offered as export columns; not sent to the model';
+        const name = document.createElement('span');
+        name.textContent = required ? `${label} *` : label;
+        const select = document.createElement('select');
+        select.dataset.role = role;
+        select.multiple = !!multiple;
+        if (multiple) {
+            select.size = Math.min(4, Math.max(2, pendingMapping.fields.length));
+        } else {
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = '— none —';
+            select.appendChild(none);
+        }
+        const selected = [mapping[role]].flat().filter(Boolean);
+        for (const field of new Set([...pendingMapping.fields, ...selected])) {
+            const option = document.createElement('option');
+            option.value = field;
+            option.textContent = pendingMapping.fields.includes(field) ? field : `${field} (not in file)`;
+            option.selected = selected.includes(field);
+            select.appendChild(option);
+        }
+        select.addEventListener('change', updateMappingPreview);
+        row.append(name, select);
+        mappingFields.appendChild(row);
+    }
+    updateMappingPreview();
+}
+
+function readMappingFields() {
+    const mapping = {};
+    for (const select of mappingFields.querySelectorAll('select')) {
+        mapping[select.dataset.role] = select.multiple
+            ? Array.from(select.selectedOptions).map(option => option.value)
+            : select.value;
+    }
+    return mapping;
+}
+
+// Row count and the first job as it will reach the prompt
+function updateMappingPreview() {
+    const mapping = readMappingFields();
+    const missing = window.ExtractorInput.missingRequired(mapping);
+    const [first] = window.ExtractorInput.applyMapping(pendingMapping.rows.slice(0, 1), mapping);
+    const title = first?.title ? `First job: "${escapeHtml(String(first.title).slice(0, 60))}"` : 'First job has no title';
+    mappingPreview.innerHTML = `${pendingMapping.rows.length} rows. ${title}` +
+        (missing.length > 0 ? `<br>⚠️ Map ${escapeHtml(missing.join(', '))} to import.` : '');
+}
+
+// JSON root changed: read the job array again from the new root
+function reparseMappingFile() {
+    try {
+        const parsed = window.ExtractorInput.parseFile(pendingMapping.text, pendingMapping.format, mappingRootInput.value.trim());
+        pendingMapping.rows = parsed.rows;
+        pendingMapping.fields = window.ExtractorInput.listFields(parsed.rows);
+        mappingRootInput.value = parsed.rootPath;
+        return true;
+    } catch (err) {
+        log(`⚠️ ${escapeHtml(err.message)}`);
+        return false;
+    }
+}
+
+function closeMappingScreen(importIt) {
+    const { resolve, rows } = pendingMapping;
+    const result = importIt ? { rows, mapping: readMappingFields() } : null;
+    pendingMapping = null;
+    mappingPanel.style.display = 'none';
+    resolve(result);
+}
+
+mappingProfileSelect.addEventListener('change', async () => {
+    const settings = await window.ExtractorSettings.get();
+    const profile = window.ExtractorInput.findProfile(settings, mappingProfileSelect.value);
+    if (profile && pendingMapping.format === 'json' && profile.rootPath !== mappingRootInput.value) {
+        mappingRootInput.value = profile.rootPath;
+        reparseMappingFile();
+    }
+    renderMappingFields(profile ? profile.mapping : window.ExtractorInput.guessMapping(pendingMapping.fields));
+});
+
+mappingRootInput.addEventListener('change', () => {
+    if (reparseMappingFile()) renderMappingFields(readMappingFields());
+});
+
+document.getElementById('mappingImportBtn').addEventListener('click', async () => {
+    const mapping = readMappingFields();
+    const missing = window.ExtractorInput.missingRequired(mapping);
+    if (missing.length > 0) {
+        log(`⚠️ Map ${escapeHtml(missing.join(', '))} before importing.`);
+        return;
+    }
+
+    const name = mappingProfileNameInput.value.trim();
+    if (name) {
+        const settings = await window.ExtractorSettings.get();
+        const profile = {
+            id: `input-${Date.now()}`,
+            name,
+            format: pendingMapping.format,
+            rootPath: pendingMapping.format === 'json' ? mappingRootInput.value.trim() : '',
+            mapping
+        };
+        await window.ExtractorSettings.save({ inputProfiles: [...settings.inputProfiles, profile] });
+        log(`💾 Mapping profile "${escapeHtml(name)}" saved - files with the same fields will use it`);
+    }
+    closeMappingScreen(true);
+});
+
+document.getElementById('mappingSkipBtn').addEventListener('click', () => {
+    closeMappingScreen(false);
+});
+
+// --- Validation Report: rows with problems are dropped or fixed before queueing ---
+
+// Rows listed at once; decisions for the rest keep their defaults (or Drop All Flagged)
+const VALIDATION_ROWS_SHOWN = 100;
+
+// The file being checked: { rows, mapping, maxChars, report, decisions, resolve }
+let pendingValidation = null;
+
+// Resolves with the rows to queue (fixed, dropped ones removed), or null on Skip File
+function showValidationReport(filename, rows, mapping, report, maxChars) {
+    return new Promise((resolve) => {
+        // Errors and duplicates are dropped by default, oversized rows are trimmed
+        const decisions = report.map(({ issues }) => ({
+            drop: issues.some(issue => issue.level === 'error' || issue.code === 'duplicate_id'),
+            trim: issues.some(issue => issue.code === 'oversized'),
+            values: {}
+        }));
+        pendingValidation = { rows, mapping, maxChars, report, decisions, resolve };
+
+        const errors = report.filter(entry => entry.issues.some(issue => issue.level === 'error')).length;
+        validationFileName.textContent = filename;
+        validationSummary.textContent = `${rows.length} rows: ${errors} with errors, ${report.length - errors} with warnings. ` +
+            'Errors must be fixed or dropped.';
+        renderValidationReport();
+        validationPanel.style.display = '';
+        validationPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        log(`🧪 ${report.length} row(s) of ${escapeHtml(filename)} need a look before queueing`);
+    });
+}
+
+function renderValidationReport() {
+    const { rows, mapping, report, decisions } = pendingValidation;
+    const jobs = window.ExtractorInput.applyMapping(rows, mapping);
+    validationList.innerHTML = '';
+
+    report.slice(0, VALIDATION_ROWS_SHOWN).forEach(({ index, issues }, i) => {
+        const decision = decisions[i];
+        const item = document.createElement('div');
+        item.className = `validation-row${issues.some(issue => issue.level === 'error') ? ' error' : ''}`;
+
+        const heading = document.createElement('div');
+        const job = jobs[index] || {};
+        heading.innerHTML = `<strong>Row ${index + 1}</strong> ${escapeHtml(String(job.title || job.job_id || job.job_url || '').slice(0, 50))}`;
+        const messages = document.createElement('div');
+        messages.className = 'validation-issues';
+        messages.textContent = issues.map(issue => `${issue.level === 'error' ? '❌' : '⚠️'} ${issue.message}`).join('  ');
+        item.append(heading, messages);
+
+        // Inputs for the missing text roles
+        const codes = issues.map(issue => issue.code);
+        const fillable = [
+            ['title', 'Title', codes.includes('missing_text') || codes.includes('missing_title')],
+            ['summary', 'Description', codes.includes('missing_text') || codes.includes('missing_summary')]
+        ];
+        for (const [role, label, show] of fillable) {
+            if (!show) continue;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = `${label} (fill in to fix)`;
+            input.value = decision.values[role] || '';
+            input.addEventListener('input', () => { decision.values[role] = input.value; });
+            item.appendChild(input);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'validation-actions';
+        const addToggle = (label, key) => {
+            const toggle = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = decision[key];
+            checkbox.addEventListener('change', () => { decision[key] = checkbox.checked; });
+            toggle.append(checkbox, ` ${label}`);
+            actions.appendChild(toggle);
+        };
+        addToggle('🗑️ Drop', 'drop');
+        if (codes.includes('oversized')) addToggle('✂️ Trim', 'trim');
+        item.appendChild(actions);
+        validationList.appendChild(item);
+    });
+
+    if (report.length > VALIDATION_ROWS_SHOWN) {
+        const more = document.createElement('div');
+        more.className = 'prompt-meta';
+        more.textContent = `…and ${report.length - VALIDATION_ROWS_SHOWN} more rows (errors and duplicates are dropped, oversized rows trimmed).`;
+        validationList.appendChild(more);
+    }
+}
+
+function closeValidationReport(result) {
+    const { resolve } = pendingValidation;
+    pendingValidation = null;
+    validationPanel.style.display = 'none';
+    validationList.innerHTML = '';
+    resolve(result);
+}
+
+document.getElementById('validationQueueBtn').addEventListener('click', () => {
+    const { rows, mapping, maxChars, report, decisions } = pendingValidation;
+    const dropped = new Set();
+    const fixed = structuredClone(rows);
+    let fixCount = 0;
+    report.forEach(({ index }, i) => {
+        const decision = decisions[i];
+        if (decision.drop) {
+            dropped.add(index);
+            return;
+        }
+        for (const [role, value] of Object.entries(decision.values)) {
+            if (!value.trim()) continue;
+            window.ExtractorInput.setRowValue(fixed[index], mapping, role, value.trim());
+            fixCount++;
+        }
+        if (decision.trim) {
+            window.ExtractorInput.trimRow(fixed[index], mapping, maxChars);
+            fixCount++;
+        }
+    });
+
+    // Kept rows must be free of errors now
+    const kept = fixed.filter((row, index) => !dropped.has(index));
+    const keptIndexes = fixed.map((row, index) => index).filter(index => !dropped.has(index));
+    const stillBad = window.ExtractorInput.validateRows(kept, mapping, maxChars)
+        .filter(entry => entry.issues.some(issue => issue.level === 'error'))
+        .map(entry => keptIndexes[entry.index] + 1);
+    if (stillBad.length > 0) {
+        log(`⚠️ Fix or drop row(s) ${stillBad.slice(0, 10).join(', ')}${stillBad.length > 10 ? '…' : ''} before queueing.`);
+        return;
+    }
+
+    log(`🧪 ${dropped.size} row(s) dropped, ${fixCount} fix(es) applied`);
+    closeValidationReport(kept);
+});
+
+document.getElementById('validationDropAllBtn').addEventListener('click', () => {
+    pendingValidation.decisions.forEach(decision => { decision.drop = true; });
+    renderValidationReport();
+});
+
+document.getElementById('validationSkipBtn').addEventListener('click', () => {
+    closeValidationReport(null);
+});
+
 // --- 3. Helper Functions ---
 
 function readFileAsText(file) {
@@ -188,18 +897,401 @@ function readFileAsText(file) {
     });
 }
 
-// Save file METADATA only (not the actual data)
-function addFileMetadata(metadata) {
-    return new Promise((resolve) => {
-        chrome.storage.local.get(['fileQueue'], (result) => {
-            const queue = result.fileQueue || [];
-            queue.push(metadata);
-            
-            chrome.storage.local.set({ fileQueue: queue }, resolve);
+// Reflect saved settings in the options panel
+async function loadSettings() {
+    const settings = await window.ExtractorSettings.get();
+    if (groupChildJobsToggle) groupChildJobsToggle.checked = settings.groupChildJobs;
+    if (maxRepairAttemptsInput) maxRepairAttemptsInput.value = settings.maxRepairAttempts;
+    if (maxJobAttemptsInput) maxJobAttemptsInput.value = settings.maxJobAttempts;
+    if (batchSizeInput) batchSizeInput.value = settings.batchSize;
+    if (insertionModeSelect) insertionModeSelect.value = settings.insertionMode;
+    if (newChatEveryJobsInput) newChatEveryJobsInput.value = settings.newChatEveryJobs;
+    if (completionModeSelect) completionModeSelect.value = settings.completionMode;
+    if (completionQuietMsInput) completionQuietMsInput.value = settings.completionQuietMs;
+    if (completionMaxWaitMsInput) completionMaxWaitMsInput.value = settings.completionMaxWaitMs;
+    if (newChatMaxDomNodesInput) newChatMaxDomNodesInput.value = settings.newChatMaxDomNodes;
+    if (maxJobCharsInput) maxJobCharsInput.value = settings.maxJobChars;
+    if (normalizeResultsToggle) {
+        normalizeResultsToggle.checked = settings.normalizeResults;
+        websiteBlocklistInput.value = (settings.websiteBlocklist || window.ExtractorNormalize.DEFAULT_BLOCKLIST).join(', ');
+    }
+    if (ruleHintsToggle) ruleHintsToggle.checked = settings.ruleHints;
+    if (reviewThresholdInput) reviewThresholdInput.value = settings.reviewConfidenceThreshold;
+    if (reviewEmptyFieldsInput) reviewEmptyFieldsInput.value = settings.reviewEmptyFields.join(', ');
+    if (webhookEnabledToggle) {
+        webhookEnabledToggle.checked = settings.webhookEnabled;
+        webhookUrlInput.value = settings.webhookUrl;
+        webhookHeadersInput.value = Object.entries(settings.webhookHeaders).map(([name, value]) => `${name}: ${value}`).join('\n');
+        webhookSecretInput.value = settings.webhookSecret;
+        webhookBatchSizeInput.value = settings.webhookBatchSize;
+    }
+    if (backendSelect) {
+        backendSelect.value = settings.backend;
+        geminiApiKeyInput.value = settings.geminiApiKey;
+        geminiApiModelInput.value = settings.geminiApiModel;
+        geminiApiBaseUrlInput.value = settings.geminiApiBaseUrl;
+        apiRequestsPerMinuteInput.value = settings.apiRequestsPerMinute;
+        localApiFormatSelect.value = settings.localApiFormat;
+        localBaseUrlInput.value = settings.localBaseUrl;
+        localModelInput.value = settings.localModel;
+        localTemperatureInput.value = settings.localTemperature;
+        localJsonModeToggle.checked = settings.localJsonMode;
+        showBackendFields();
+    }
+}
+
+function showBackendFields() {
+    geminiApiFields.style.display = backendSelect.value === 'gemini-api' ? '' : 'none';
+    localLlmFields.style.display = backendSelect.value === 'local' ? '' : 'none';
+}
+
+async function saveWebhookSettings() {
+    const url = webhookUrlInput.value.trim();
+    const enabled = webhookEnabledToggle.checked;
+
+    // "Name: value" per line
+    const headers = {};
+    for (const line of webhookHeadersInput.value.split('\n')) {
+        if (!line.trim()) continue;
+        const separator = line.indexOf(':');
+        if (separator < 1) {
+            log(`⚠️ Header line "${escapeHtml(line.trim())}" needs the form Name: value`);
+            return;
+        }
+        headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+
+    if (enabled && !url) {
+        log('⚠️ Enter the webhook URL first.');
+        return;
+    }
+    if (url && !(await requestEndpointPermission(url))) {
+        log('⚠️ Access to the webhook URL was not granted. Webhook not saved.');
+        return;
+    }
+
+    await window.ExtractorSettings.save({
+        webhookEnabled: enabled,
+        webhookUrl: url,
+        webhookHeaders: headers,
+        webhookSecret: webhookSecretInput.value,
+        webhookBatchSize: Math.min(500, Math.max(1, parseInt(webhookBatchSizeInput.value, 10) || 1))
+    });
+    loadSettings();
+    updateWebhookStatus();
+    log(enabled
+        ? `🪝 Webhook ON: results go to ${escapeHtml(url)}${webhookSecretInput.value ? ' (signed)' : ''}`
+        : '🪝 Webhook OFF');
+}
+
+// Delivery indicator under the results count (written by background on every delivery)
+async function updateWebhookStatus() {
+    if (!webhookStatusInfo) return;
+    const settings = await window.ExtractorSettings.get();
+    const { webhookStatus: status = {} } = await chrome.storage.local.get(['webhookStatus']);
+    const pending = status.pending || 0;
+
+    if (!settings.webhookEnabled && pending === 0) {
+        webhookStatusInfo.textContent = '';
+        return;
+    }
+    const delivered = `${status.delivered || 0} delivered`;
+    if (pending === 0) {
+        webhookStatusInfo.textContent = `🟢 Webhook: ${delivered}, outbox empty`;
+    } else if (status.lastError) {
+        const retryIn = status.nextAttemptAt ? Math.max(0, Math.round((status.nextAttemptAt - Date.now()) / 60000)) : null;
+        webhookStatusInfo.textContent = `🔴 Webhook: ${pending} waiting (${status.lastError})` +
+            (retryIn !== null ? ` - retry in ${retryIn} min` : '');
+    } else {
+        webhookStatusInfo.textContent = `🟠 Webhook: ${delivered}, ${pending} waiting to send`;
+    }
+    webhookStatusInfo.title = status.lastDeliveredAt ? `Last delivery: ${new Date(status.lastDeliveredAt).toLocaleString()}` : '';
+}
+
+// Ask for access to a custom endpoint (e.g. a local mock server) before saving it
+async function requestEndpointPermission(baseUrl) {
+    let origin;
+    try {
+        origin = new URL(baseUrl).origin;
+    } catch (e) {
+        log(`⚠️ "${baseUrl}" is not a valid URL.`);
+        return false;
+    }
+    // Must run straight from the click (user gesture); resolves true if already granted
+    const origins = [`${origin}/*`];
+    try {
+        return await chrome.permissions.request({ origins });
+    } catch (e) {
+        log(`⚠️ Can't request access to ${origin}: ${e.message}`);
+        return false;
+    }
+}
+
+async function saveBackendSettings() {
+    const defaults = window.ExtractorSettings.DEFAULTS;
+    const temperature = parseFloat(localTemperatureInput.value);
+    const updates = {
+        backend: backendSelect.value,
+        geminiApiKey: geminiApiKeyInput.value.trim(),
+        geminiApiModel: geminiApiModelInput.value.trim() || defaults.geminiApiModel,
+        geminiApiBaseUrl: geminiApiBaseUrlInput.value.trim() || defaults.geminiApiBaseUrl,
+        apiRequestsPerMinute: Math.max(1, parseInt(apiRequestsPerMinuteInput.value, 10) || defaults.apiRequestsPerMinute),
+        localApiFormat: localApiFormatSelect.value,
+        localBaseUrl: localBaseUrlInput.value.trim() || defaults.localBaseUrl,
+        localModel: localModelInput.value.trim(),
+        localTemperature: Number.isFinite(temperature) ? Math.min(2, Math.max(0, temperature)) : defaults.localTemperature,
+        localJsonMode: localJsonModeToggle.checked
+    };
+
+    if (updates.backend === 'gemini-api') {
+        if (!updates.geminiApiKey) {
+            log('⚠️ Enter a Gemini API key to use the API backend.');
+            return;
+        }
+        if (!(await requestEndpointPermission(updates.geminiApiBaseUrl))) {
+            log('⚠️ Access to the API endpoint was not granted. Backend not saved.');
+            return;
+        }
+    }
+
+    if (updates.backend === 'local') {
+        if (!updates.localModel) {
+            log('⚠️ Enter the local model name to use the local backend.');
+            return;
+        }
+        if (!(await requestEndpointPermission(updates.localBaseUrl))) {
+            log('⚠️ Access to the local endpoint was not granted. Backend not saved.');
+            return;
+        }
+    }
+
+    await window.ExtractorSettings.save(updates);
+    loadSettings();
+    if (updates.backend === 'gemini-api') {
+        log(`🔌 Backend: Gemini API (${updates.geminiApiModel}, ${updates.apiRequestsPerMinute} requests/min)`);
+    } else if (updates.backend === 'local') {
+        log(`🔌 Backend: local model ${updates.localModel} at ${updates.localBaseUrl}`);
+    } else if (updates.backend === 'rules') {
+        log('🔌 Backend: rules only (no model is asked)');
+    } else {
+        log('🔌 Backend: chat tabs');
+    }
+}
+
+// Save a whole-number setting when its input changes (clamped to the input's min/max)
+function bindNumberSetting(input, key, describe) {
+    if (!input) return;
+    input.addEventListener('change', async () => {
+        const min = input.min === '' ? -Infinity : Number(input.min);
+        const max = input.max === '' ? Infinity : Number(input.max);
+        let value = parseInt(input.value, 10);
+        if (!Number.isFinite(value)) value = window.ExtractorSettings.DEFAULTS[key];
+        value = Math.min(max, Math.max(min, value));
+        input.value = value;
+
+        await window.ExtractorSettings.save({ [key]: value });
+        log(describe(value));
+    });
+}
+
+// --- PROMPT LIBRARY ---
+
+// Render the template picker and load one template into the editor.
+// Seeds the library with the built-in prompt the first time it is opened.
+async function loadPromptLibrary(selectedId = null) {
+    if (!promptSelect) return;
+
+    let prompts = await window.ExtractorDB.getAllPrompts();
+    const settings = await window.ExtractorSettings.get();
+
+    if (prompts.length === 0) {
+        const id = await window.ExtractorDB.savePrompt(newPromptRecord('Default', window.ExtractorPrompt.DEFAULT_PROMPT));
+        await window.ExtractorSettings.save({ activePromptId: id });
+        settings.activePromptId = id;
+        prompts = await window.ExtractorDB.getAllPrompts();
+    }
+
+    // Copies of the built-in prompt from before the output schema kept its
+    // hard-coded JSON block; they get the placeholder as a new version
+    for (const prompt of prompts) {
+        const text = window.ExtractorPrompt.upgradeLegacyPrompt(prompt.text);
+        if (text === prompt.text) continue;
+        addPromptVersion(prompt, prompt.name, text);
+        await window.ExtractorDB.savePrompt(prompt);
+        log(`🔄 "${prompt.name}" now takes its reply format from the output schema (v${prompt.version}).`);
+    }
+
+    const selected = prompts.find(p => p.id === selectedId) ||
+                     prompts.find(p => p.id === settings.activePromptId) ||
+                     prompts[0];
+
+    promptSelect.innerHTML = '';
+    for (const prompt of prompts) {
+        const option = document.createElement('option');
+        option.value = prompt.id;
+        option.textContent = `${prompt.id === settings.activePromptId ? '✅ ' : ''}${prompt.name} (v${prompt.version})`;
+        option.selected = prompt.id === selected.id;
+        promptSelect.appendChild(option);
+    }
+
+    promptNameInput.value = selected.name;
+    promptTextInput.value = selected.text;
+    const savedAt = new Date(selected.updatedAt).toLocaleString();
+    promptMeta.textContent = `Version ${selected.version} · saved ${savedAt}` +
+        (selected.id === settings.activePromptId ? ' · used for runs' : '') +
+        (window.ExtractorPrompt.checkOutputPlacement(selected.text) ? ` · ⚠️ no ${window.ExtractorPrompt.OUTPUT_SCHEMA_PLACEHOLDER}` : '');
+}
+
+function newPromptRecord(name, text) {
+    const now = Date.now();
+    return { name, text, version: 1, history: [], createdAt: now, updatedAt: now };
+}
+
+async function createPrompt(name, text) {
+    const id = await window.ExtractorDB.savePrompt(newPromptRecord(name, text));
+    log(`📝 Created prompt "${name}".`);
+    loadPromptLibrary(id);
+}
+
+// Every save keeps the previous text in `history` and bumps the version,
+// so results can be traced back to the exact wording that produced them
+async function savePromptVersion() {
+    const prompt = await window.ExtractorDB.getPrompt(parseInt(promptSelect.value, 10));
+    if (!prompt) return;
+
+    const name = promptNameInput.value.trim() || prompt.name;
+    const text = promptTextInput.value;
+    if (!text.trim()) {
+        log('⚠️ Prompt text cannot be empty.');
+        return;
+    }
+    if (name === prompt.name && text === prompt.text) {
+        log('ℹ️ No changes to save.');
+        return;
+    }
+    const placementWarning = window.ExtractorPrompt.checkOutputPlacement(text);
+    if (placementWarning && !confirm(`${placementWarning}\n\nSave anyway?`)) return;
+
+    addPromptVersion(prompt, name, text);
+    await window.ExtractorDB.savePrompt(prompt);
+    log(`💾 Saved "${prompt.name}" as version ${prompt.version}.`);
+    loadPromptLibrary(prompt.id);
+}
+
+function addPromptVersion(prompt, name, text) {
+    prompt.history = [...(prompt.history || []), {
+        version: prompt.version,
+        name: prompt.name,
+        text: prompt.text,
+        savedAt: prompt.updatedAt
+    }];
+    prompt.version += 1;
+    prompt.name = name;
+    prompt.text = text;
+    prompt.updatedAt = Date.now();
+}
+
+async function activateSelectedPrompt() {
+    const id = parseInt(promptSelect.value, 10);
+    const prompt = await window.ExtractorDB.getPrompt(id);
+    if (!prompt) return;
+
+    await window.ExtractorSettings.save({ activePromptId: id });
+    log(`✅ New jobs will use "${prompt.name}" (v${prompt.version}).`);
+    loadPromptLibrary(id);
+}
+
+async function deleteSelectedPrompt() {
+    const id = parseInt(promptSelect.value, 10);
+    const settings = await window.ExtractorSettings.get();
+    if (id === settings.activePromptId) {
+        log('⚠️ This prompt is used for runs. Activate another one before deleting it.');
+        return;
+    }
+    if (!confirm("Delete this prompt template and all its versions?")) return;
+
+    await window.ExtractorDB.deletePrompt(id);
+    log('🗑️ Prompt deleted.');
+    loadPromptLibrary();
+}
+
+// --- OUTPUT SCHEMA EDITOR ---
+
+async function loadSchemaEditor() {
+    if (!schemaFieldsBox) return;
+    const settings = await window.ExtractorSettings.get();
+    const schema = window.ExtractorSchema.resolve(settings.outputSchema);
+
+    schemaFieldsBox.innerHTML = '';
+    schema.forEach(field => addSchemaFieldRow(field));
+}
+
+function addSchemaFieldRow(field) {
+    const row = document.createElement('div');
+    row.className = 'schema-row';
+    // Keep the built-in CSV header while the field keeps its name
+    row.dataset.name = field.name;
+    row.dataset.label = field.label || '';
+
+    const typeOptions = window.ExtractorSchema.FIELD_TYPES
+        .map(type => `<option value="${type}" ${type === field.type ? 'selected' : ''}>${type}</option>`)
+        .join('');
+
+    row.innerHTML = `
+        <input type="text" class="schema-name" placeholder="fieldName" title="JSON key the model must return">
+        <select class="schema-type" title="Value type">${typeOptions}</select>
+        <label class="schema-array" title="The model returns a list of values"><input type="checkbox" class="schema-is-array"> []</label>
+        <button class="outline-btn schema-remove" title="Remove field">✖</button>
+        <input type="text" class="schema-description" placeholder="What the model should put here">
+    `;
+    row.querySelector('.schema-name').value = field.name;
+    row.querySelector('.schema-is-array').checked = !!field.isArray;
+    row.querySelector('.schema-description').value = field.description || '';
+    row.querySelector('.schema-remove').addEventListener('click', () => row.remove());
+
+    schemaFieldsBox.appendChild(row);
+}
+
+async function saveSchemaFromEditor() {
+    const schema = Array.from(schemaFieldsBox.querySelectorAll('.schema-row')).map((row) => {
+        const name = row.querySelector('.schema-name').value.trim();
+        const field = {
+            name,
+            type: row.querySelector('.schema-type').value,
+            isArray: row.querySelector('.schema-is-array').checked,
+            description: row.querySelector('.schema-description').value.trim()
+        };
+        if (row.dataset.label && row.dataset.name === name) field.label = row.dataset.label;
+        return field;
+    });
+
+    const errors = window.ExtractorSchema.validate(schema);
+    if (errors.length > 0) {
+        errors.forEach(error => log(`⚠️ Schema: ${error}`));
+        return;
+    }
+
+    await window.ExtractorSettings.save({ outputSchema: schema });
+    log(`🧩 Output schema saved (${schema.length} fields). New jobs and exports will use it.`);
+    loadSchemaEditor();
+}
+
+// fileQueue is shared with the workers: every change runs in background inside its
+// queue lock (see FILE_QUEUE_OPERATIONS there). Resolves with the operation's outcome.
+function updateFileQueue(operation, args = {}) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ action: "FILE_QUEUE_UPDATE", operation, args }, (response) => {
+            if (response?.ok) resolve(response.outcome);
+            else reject(new Error(response?.error || chrome.runtime.lastError?.message || 'no reply from background'));
         });
     });
 }
 
+// Save file METADATA only (not the actual data)
+function addFileMetadata(metadata) {
+    return updateFileQueue('add', { file: metadata });
+}
+
 // --- 4. Render Table ---
 function loadTableFromStorage() {
     chrome.storage.local.get(['fileQueue'], (result) => {
@@ -220,9 +1312,11 @@ function loadTableFromStorage() {
             let statusColor = 'red';
             let statusText = 'Pending';
             
+            const failedCount = (file.failedJobs || []).length;
+
             if (file.status === 'complete') {
-                statusColor = 'green';
-                statusText = 'Complete';
+                statusColor = failedCount > 0 ? 'orange' : 'green';
+                statusText = failedCount > 0 ? `Complete (${failedCount} failed)` : 'Complete';
             } else if (file.status === 'processing') {
                 statusColor = 'orange';
                 statusText = 'Running...';
@@ -242,14 +1336,14 @@ function loadTableFromStorage() {
         });
 
         // Attach event listeners
-        document.querySelectorAll('.delete-btn').forEach(btn => {
+        jobTableBody.querySelectorAll('.delete-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const idToDelete = parseFloat(e.target.getAttribute('data-id'));
                 deleteFile(idToDelete);
             });
         });
 
-        document.querySelectorAll('.reset-btn').forEach(btn => {
+        jobTableBody.querySelectorAll('.reset-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const idToReset = parseFloat(e.target.getAttribute('data-id'));
                 resetFile(idToReset);
@@ -259,87 +1353,278 @@ function loadTableFromStorage() {
 }
 
 // --- DELETE FILE ---
+// Off the queue first (no worker starts it), then its job data
 async function deleteFile(id) {
-    // Delete from IndexedDB
-    await window.ExtractorDB.deleteJobData(id);
-    
-    // Delete from chrome.storage
-    chrome.storage.local.get(['fileQueue'], (result) => {
-        const files = result.fileQueue || [];
-        const newFiles = files.filter(f => f.id !== id);
-        
-        chrome.storage.local.set({ fileQueue: newFiles }, () => {
-            log('🗑️ File removed.');
-            loadTableFromStorage();
-            updateStorageInfo();
-            updateJobStats();
-        });
+    try {
+        await updateFileQueue('remove', { ids: [id] });
+        await window.ExtractorDB.deleteJobData(id);
+        log('🗑️ File removed.');
+    } catch (error) {
+        log(`❌ Could not remove file: ${error.message}`);
+    }
+    loadTableFromStorage();
+    updateStorageInfo();
+    updateJobStats();
+}
+
+// --- RESET SINGLE FILE ---
+async function resetFile(id) {
+    try {
+        const [name] = await updateFileQueue('reset', { ids: [id] });
+        if (name !== undefined) log(`🔄 Reset "${name}".`);
+    } catch (error) {
+        log(`❌ Could not reset file: ${error.message}`);
+    }
+    loadTableFromStorage();
+}
+
+// --- RESET ALL FILES ---
+async function resetAllFiles() {
+    try {
+        const names = await updateFileQueue('reset');
+        log(names.length === 0 ? "⚠️ No files to reset." : `🔄 All ${names.length} files have been reset.`);
+    } catch (error) {
+        log(`❌ Could not reset files: ${error.message}`);
+    }
+    loadTableFromStorage();
+}
+
+// --- CLEAR COMPLETED FILES ---
+async function clearCompletedFiles() {
+    try {
+        const completedIds = await updateFileQueue('removeComplete');
+        // Delete job data from IndexedDB for completed files
+        for (const id of completedIds) {
+            await window.ExtractorDB.deleteJobData(id);
+        }
+        log(`🗑️ Cleared ${completedIds.length} completed file(s).`);
+    } catch (error) {
+        log(`❌ Could not clear files: ${error.message}`);
+    }
+    loadTableFromStorage();
+    updateStorageInfo();
+    updateJobStats();
+}
+
+// --- Chat Tabs: pick which tabs of the selected provider process jobs in parallel ---
+async function loadChatTabs() {
+    if (!chatTabList) return;
+    const checked = new Set(getSelectedTabIds());
+    const settings = await window.ExtractorSettings.get();
+    const provider = window.ExtractorProviders.get(settings.provider);
+    if (providerSelect) providerSelect.value = provider.id;
+
+    chrome.tabs.query({ url: provider.urlPatterns }, (tabs) => {
+        chatTabList.innerHTML = '';
+
+        if (tabs.length === 0) {
+            chatTabList.innerHTML = `<div class="prompt-meta">No ${provider.name} tabs open.</div>`;
+            return;
+        }
+
+        for (const tab of tabs) {
+            const label = document.createElement('label');
+            label.className = 'tab-option';
+            label.innerHTML = `<input type="checkbox" value="${tab.id}"><span></span>`;
+            label.querySelector('input').checked = checked.has(tab.id);
+            // Tab titles are page text
+            label.querySelector('span').textContent = tab.title || tab.url;
+            label.title = tab.title || tab.url;
+            chatTabList.appendChild(label);
+        }
+    });
+}
+
+// --- Selectors: effective selectors of the selected provider, editable as JSON ---
+async function loadSelectorEditor() {
+    if (!selectorsInput) return;
+    const settings = await window.ExtractorSettings.get();
+    const provider = window.ExtractorProviders.get(settings.provider, settings.selectorOverrides[settings.provider]);
+    selectorsInput.value = JSON.stringify(provider.selectors, null, 2);
+}
+
+async function saveSelectorsFromEditor() {
+    const settings = await window.ExtractorSettings.get();
+    const provider = window.ExtractorProviders.get(settings.provider);
+
+    let edited;
+    try {
+        edited = JSON.parse(selectorsInput.value);
+    } catch (e) {
+        log(`❌ Selectors are not valid JSON: ${e.message}`);
+        return;
+    }
+
+    // Only keep roles that differ from the built-in list, so later default updates still apply
+    const defaults = window.ExtractorProviders.defaultSelectors(provider.id);
+    const overrides = {};
+    for (const role of window.ExtractorProviders.SELECTOR_ROLES) {
+        const list = edited[role];
+        if (list === undefined) continue;
+        if (!Array.isArray(list) || list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+            log(`❌ "${role}" must be a list of CSS selectors.`);
+            return;
+        }
+        for (const selector of list) {
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (e) {
+                log(`❌ Invalid selector for "${role}": ${selector}`);
+                return;
+            }
+        }
+        if (list.length > 0 && JSON.stringify(list) !== JSON.stringify(defaults[role])) overrides[role] = list;
+    }
+
+    const selectorOverrides = { ...settings.selectorOverrides };
+    if (Object.keys(overrides).length > 0) selectorOverrides[provider.id] = overrides;
+    else delete selectorOverrides[provider.id];
+    await window.ExtractorSettings.save({ selectorOverrides });
+    log(`💾 ${provider.name} selectors saved (${Object.keys(overrides).length} role(s) overridden).`);
+    loadSelectorEditor();
+}
+
+// Inject into the chat tab, report which selectors match, then round-trip a tiny prompt
+async function runDiagnostics() {
+    const { processingState } = await chrome.storage.local.get(['processingState']);
+    if (processingState?.isProcessing) {
+        log("⚠️ Stop processing before running diagnostics (the test prompt would mix into a job).");
+        return;
+    }
+
+    const settings = await window.ExtractorSettings.get();
+    const provider = window.ExtractorProviders.get(settings.provider);
+    const tab = await findDiagnosticsTab(provider);
+    if (!tab) {
+        log(`❌ No ${provider.name} tab open. Open ${provider.urlPatterns[0].replace('/*', '')} first.`);
+        return;
+    }
+
+    log(`🩺 Running diagnostics on "${escapeHtml(tab.title || tab.url)}"...`);
+    try {
+        await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ["schema.js", "providers.js", "content.js"] });
+    } catch (e) {
+        log(`❌ Script error: ${e.message}`);
+        return;
+    }
+
+    chrome.tabs.sendMessage(tab.id, {
+        action: "RUN_DIAGNOSTICS",
+        providerId: provider.id,
+        selectorOverrides: settings.selectorOverrides[provider.id] || null
+    }, (report) => {
+        if (chrome.runtime.lastError || !report) {
+            log(`❌ Tab not reachable: ${chrome.runtime.lastError?.message || 'no reply'}`);
+            return;
+        }
+        logDiagnostics(report);
     });
 }
 
-// --- RESET SINGLE FILE ---
-async function resetFile(id) {
-    chrome.storage.local.get(['fileQueue'], (result) => {
-        const files = result.fileQueue || [];
-        const fileIndex = files.findIndex(f => f.id === id);
+// First checked tab, else the provider tab in this window that is in front, else any provider tab
+async function findDiagnosticsTab(provider) {
+    const [checkedId] = getSelectedTabIds();
+    if (checkedId) {
+        try {
+            return await chrome.tabs.get(checkedId);
+        } catch (e) {
+            // Closed since the list was loaded
+        }
+    }
+    const [frontTab] = await chrome.tabs.query({ url: provider.urlPatterns, active: true, currentWindow: true });
+    const [anyTab] = await chrome.tabs.query({ url: provider.urlPatterns });
+    return frontTab || anyTab || null;
+}
 
-        if (fileIndex !== -1) {
-            files[fileIndex].status = 'pending';
-            files[fileIndex].processedCount = 0;
-            files[fileIndex].currentJobIndex = 0;
+function logDiagnostics(report) {
+    // Only the input box is always on screen; send, stop and replies can be
+    // missing on an idle or empty chat, so a miss there is a hint, not an error
+    log("ℹ️ Selector matches (selector → elements found):");
+    for (const [role, checks] of Object.entries(report.selectors)) {
+        const hit = checks.find(check => check.count > 0);
+        const icon = hit ? '✅' : (role === 'input' ? '❌' : '⚪');
+        const detail = checks.map(check => `${escapeHtml(check.selector)} → ${check.error ? 'invalid' : check.count}`).join(', ');
+        log(`${icon} <b>${role}</b>: ${detail}`);
+    }
 
-            chrome.storage.local.set({ fileQueue: files }, () => {
-                log(`🔄 Reset "${files[fileIndex].name}".`);
-                loadTableFromStorage();
-            });
-        }
-    });
+    const dryRun = report.dryRun;
+    if (!dryRun) return;
+    if (dryRun.ok) {
+        log(`✅ Dry run OK: reply parsed (first token ${dryRun.firstTokenMs} ms, complete ${dryRun.completeMs} ms).`);
+    } else if (dryRun.reply !== undefined) {
+        log(`❌ Dry run: reply did not parse (${escapeHtml(dryRun.error || 'unexpected JSON')}). Got: ${escapeHtml(dryRun.reply)}`);
+    } else {
+        log(`❌ Dry run failed: ${escapeHtml(dryRun.error)}`);
+    }
 }
 
-// --- RESET ALL FILES ---
-function resetAllFiles() {
-    chrome.storage.local.get(['fileQueue'], (result) => {
-        const files = result.fileQueue || [];
+function getSelectedTabIds() {
+    if (!chatTabList) return [];
+    return Array.from(chatTabList.querySelectorAll('input:checked')).map(input => parseInt(input.value, 10));
+}
 
-        if (files.length === 0) {
-            log("⚠️ No files to reset.");
-            return;
-        }
+// --- Worker health (one row per tab in the current/last run) ---
+const WORKER_STATUS_COLORS = { idle: 'orange', typing: 'orange', done: 'green', stopped: '#999', closed: 'red', error: 'red' };
 
-        files.forEach(file => {
-            file.status = 'pending';
-            file.processedCount = 0;
-            file.currentJobIndex = 0;
-        });
+function updateWorkers() {
+    if (!workerTableBody) return;
+    chrome.storage.local.get(['processingState'], (result) => {
+        const state = result.processingState || {};
+        const tabIds = state.workerTabIds || [];
+        const keys = tabIds.map(tabId => `worker:${tabId}`);
 
-        chrome.storage.local.set({ fileQueue: files }, () => {
-            log(`🔄 All ${files.length} files have been reset.`);
-            loadTableFromStorage();
+        chrome.storage.local.get(keys, (workerResult) => {
+            const workers = keys.map(key => workerResult[key]).filter(Boolean);
+            workerTable.style.display = workers.length > 0 ? '' : 'none';
+            updateThroughput(state, workers);
+            workerTableBody.innerHTML = '';
+
+            for (const worker of workers) {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td><strong>${worker.label}</strong></td>
+                    <td style="color: ${WORKER_STATUS_COLORS[worker.status] || '#999'}; font-weight:bold;">${worker.status}</td>
+                    <td>${worker.completed} / ${worker.failed}</td>
+                    <td></td>
+                `;
+                row.cells[0].title = worker.title;
+                row.cells[3].textContent = worker.activeJob
+                    ? `#${worker.activeJob.jobIndex + 1} ${worker.activeJob.title}`
+                    : (worker.lastError ? `⚠️ ${worker.lastError}` : '');
+                row.cells[3].title = row.cells[3].textContent;
+                workerTableBody.appendChild(row);
+            }
         });
     });
 }
 
-// --- CLEAR COMPLETED FILES ---
-async function clearCompletedFiles() {
-    chrome.storage.local.get(['fileQueue'], async (result) => {
-        const files = result.fileQueue || [];
-        const completedIds = files.filter(f => f.status === 'complete').map(f => f.id);
-        const remainingFiles = files.filter(f => f.status !== 'complete');
-        
-        // Delete job data from IndexedDB for completed files
-        for (const id of completedIds) {
-            await window.ExtractorDB.deleteJobData(id);
-        }
-        
-        chrome.storage.local.set({ fileQueue: remainingFiles }, () => {
-            log(`🗑️ Cleared ${completedIds.length} completed file(s).`);
-            loadTableFromStorage();
-            updateStorageInfo();
-            updateJobStats();
-        });
-    });
+// Jobs per hour over the current (or last) run, to tune jobs per message
+async function updateThroughput(state, workers) {
+    if (!throughputInfo) return;
+    const completed = workers.reduce((sum, worker) => sum + (worker.completed || 0), 0);
+    const endedAt = state.isProcessing || !(state.runEndedAt > state.runStartedAt) ? Date.now() : state.runEndedAt;
+    const hours = state.runStartedAt ? (endedAt - state.runStartedAt) / 3600000 : 0;
+
+    if (completed === 0 || hours <= 0) {
+        throughputInfo.textContent = '';
+        return;
+    }
+
+    const settings = await window.ExtractorSettings.get();
+    const minutes = Math.round(hours * 60);
+    throughputInfo.textContent = `⚡ ${Math.round(completed / hours)} jobs/hour (${completed} jobs in ${minutes} min, ${settings.batchSize} per message)`;
 }
 
+// Worker state is written by background on every job
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (Object.keys(changes).some(key => key === 'processingState' || key.startsWith('worker:'))) {
+        updateWorkers();
+    }
+    if (changes.processingState) updateClientsRebuildBtn();
+    if (changes.webhookStatus) updateWebhookStatus();
+});
+
 // --- Listen for messages from Background ---
 chrome.runtime.onMessage.addListener((request) => {
     if (request.action === "UI_LOG") {
@@ -350,11 +1635,12 @@ chrome.runtime.onMessage.addListener((request) => {
         updateStorageInfo();
         updateResultsInfo();
         updateJobStats();
+        updateFailedJobs();
     }
     if (request.action === "AUTO_EXPORT_CSV") {
         // Auto-export triggered when all files complete
-        log("🎉 All files complete! Auto-exporting CSV...");
-        exportResultsAsCsv(true); // true = auto-cleanup after export
+        log("🎉 All files complete! Auto-exporting results...");
+        exportResults(true); // true = auto-cleanup after export
     }
 });
 
@@ -363,15 +1649,21 @@ function log(message) {
     logBox.scrollTop = logBox.scrollHeight;
 }
 
+// For page text (selectors, replies) that goes into the log
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 // --- Storage Info (now shows IndexedDB usage) ---
 async function updateStorageInfo() {
     const estimate = await window.ExtractorDB.getStorageEstimate();
+    const cached = await window.ExtractorDB.getCacheCount();
     
     // Also get chrome.storage usage for metadata
     chrome.storage.local.getBytesInUse(null, (chromeBytes) => {
         const chromeMB = (chromeBytes / (1024 * 1024)).toFixed(2);
         
-        storageInfo.innerHTML = `💾 IndexedDB: ${estimate.usageMB} MB | Chrome: ${chromeMB} MB / 5 MB`;
+        storageInfo.innerHTML = `💾 IndexedDB: ${estimate.usageMB} MB | Chrome: ${chromeMB} MB / 5 MB<br>♻️ Cache: ${cached} answers`;
     });
 }
 
@@ -379,6 +1671,591 @@ async function updateStorageInfo() {
 async function updateResultsInfo() {
     const count = await window.ExtractorDB.getResultsCount();
     resultsInfo.innerHTML = `📊 ${count} jobs extracted - ready for export`;
+    if (resultsBrowserPanel?.open) loadResultsBrowser();
+    if (clientsPanel?.open) loadClients();
+    loadReviewQueue();
+}
+
+// --- Results Browser: search, filter, sort and page through stored results ---
+const RESULTS_PAGE_SIZE = 20;
+const resultsBrowser = { results: [], schema: [], page: 0, selectedId: null };
+
+async function loadResultsBrowser() {
+    const [results, settings, { fileQueue = [] }] = await Promise.all([
+        window.ExtractorDB.getAllResults(),
+        window.ExtractorSettings.get(),
+        chrome.storage.local.get(['fileQueue'])
+    ]);
+    resultsBrowser.results = results;
+    resultsBrowser.schema = window.ExtractorSchema.resolve(settings.outputSchema);
+
+    // File filter: files in the queue plus any whose results outlived the queue entry
+    const selected = resultsFileFilter.value;
+    // Keyed by string: file ids are numbers, option values are strings
+    const names = new Map(fileQueue.map(file => [String(file.id), file.name]));
+    for (const result of results) {
+        if (!names.has(String(result.fileId))) names.set(String(result.fileId), 'Removed file');
+    }
+    resultsFileFilter.innerHTML = '';
+    resultsFileFilter.add(new Option('All files', ''));
+    for (const [id, name] of names) resultsFileFilter.add(new Option(name, id));
+    resultsFileFilter.value = names.has(selected) ? selected : '';
+
+    renderResultsBrowser();
+}
+
+// Results matching the search box and file filter, in the chosen order
+function filterResults() {
+    const query = resultsSearchInput.value.trim().toLowerCase();
+    const fileId = resultsFileFilter.value;
+
+    const matches = resultsBrowser.results.filter((result) => {
+        if (fileId && String(result.fileId) !== fileId) return false;
+        if (!query) return true;
+        return Object.values(result).some(value => String(value ?? '').toLowerCase().includes(query));
+    });
+
+    const confidence = result => Number(result.confidence) || 0;
+    const company = result => String(result.companyName || '').toLowerCase();
+    const sorters = {
+        'newest': (a, b) => b.id - a.id,
+        'confidence-desc': (a, b) => confidence(b) - confidence(a),
+        'confidence-asc': (a, b) => confidence(a) - confidence(b),
+        // Rows without a company go last either way
+        'company-asc': (a, b) => (!company(a) - !company(b)) || company(a).localeCompare(company(b)),
+        'company-desc': (a, b) => (!company(a) - !company(b)) || company(b).localeCompare(company(a))
+    };
+    return matches.sort(sorters[resultsSortSelect.value] || sorters.newest);
+}
+
+function renderResultsBrowser() {
+    const matches = filterResults();
+    const pageCount = Math.max(1, Math.ceil(matches.length / RESULTS_PAGE_SIZE));
+    resultsBrowser.page = Math.min(resultsBrowser.page, pageCount - 1);
+    const start = resultsBrowser.page * RESULTS_PAGE_SIZE;
+    const pageRows = matches.slice(start, start + RESULTS_PAGE_SIZE);
+
+    resultsTableBody.innerHTML = '';
+    for (const result of pageRows) {
+        const row = document.createElement('tr');
+        row.innerHTML = '<td></td><td></td><td></td><td></td>';
+        // Model output and job titles are untrusted text
+        row.cells[0].textContent = result.jobTitle || '(untitled)';
+        row.cells[0].title = result.jobTitle || '';
+        row.cells[1].textContent = result.companyName || '—';
+        row.cells[2].textContent = result.confidence ?? '';
+        row.cells[3].textContent = `${result.edited ? '✏️' : ''}${result.cacheHit ? '♻️' : ''}${result.rulesOnly ? '🔎' : ''}`;
+        if (result.id === resultsBrowser.selectedId) row.classList.add('selected');
+        row.addEventListener('click', () => showResultDetail(result.id));
+        resultsTableBody.appendChild(row);
+    }
+
+    resultsPageInfo.textContent = matches.length === 0
+        ? 'No matching results'
+        : `${start + 1}-${start + pageRows.length} of ${matches.length} · page ${resultsBrowser.page + 1}/${pageCount}`;
+    document.getElementById('resultsPrevBtn').disabled = resultsBrowser.page === 0;
+    document.getElementById('resultsNextBtn').disabled = resultsBrowser.page >= pageCount - 1;
+
+    if (!resultsBrowser.results.some(result => result.id === resultsBrowser.selectedId)) {
+        resultsBrowser.selectedId = null;
+        resultDetail.style.display = 'none';
+    }
+}
+
+// Detail pane: editable schema fields, the stored job info and the source job
+async function showResultDetail(id) {
+    const result = await window.ExtractorDB.getResult(id);
+    if (!result) return;
+    resultsBrowser.selectedId = id;
+    renderResultsBrowser();
+
+    resultDetail.innerHTML = '';
+    resultDetail.style.display = '';
+
+    const meta = document.createElement('div');
+    meta.className = 'prompt-meta';
+    meta.textContent = `#${result.id} · ${result.timestamp || ''}` +
+        (result.promptName ? ` · ${result.promptName}${result.promptVersion !== '' ? ` v${result.promptVersion}` : ''}` : '') +
+        (result.edited ? ` · ✏️ edited ${result.editedAt || ''}` : '') +
+        (result.cacheHit ? ` · ♻️ from cache (${new Date(result.cachedAt).toLocaleString()})` : '') +
+        (result.rulesOnly ? ' · 🔎 rules only, no model' : '');
+    resultDetail.appendChild(meta);
+
+    // One input per schema field (arrays are stored as "a; b")
+    const inputs = {};
+    for (const field of resultsBrowser.schema) {
+        const label = document.createElement('label');
+        label.textContent = field.label || field.name;
+        let input;
+        if (field.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = result[field.name] === true;
+        } else if (field.type === 'string' && !field.isArray && String(result[field.name] || '').length > 60) {
+            input = document.createElement('textarea');
+            input.className = 'prompt-text';
+            input.rows = 5;
+            input.value = result[field.name];
+        } else {
+            input = document.createElement('input');
+            input.type = field.type === 'number' && !field.isArray ? 'number' : 'text';
+            if (input.type === 'number') input.step = 'any';
+            input.className = 'prompt-name';
+            input.value = result[field.name] ?? '';
+        }
+        inputs[field.name] = input;
+        label.appendChild(input);
+        resultDetail.appendChild(label);
+    }
+
+    const buttons = document.createElement('div');
+    buttons.className = 'mgmt-buttons';
+    buttons.style.marginTop = '8px';
+    buttons.innerHTML = '<button class="mgmt-btn reset">💾 Save Edits</button><button class="mgmt-btn reset">✖ Close</button>';
+    buttons.children[0].addEventListener('click', () => saveResultEdits(result, inputs));
+    buttons.children[1].addEventListener('click', () => {
+        resultsBrowser.selectedId = null;
+        resultDetail.style.display = 'none';
+        renderResultsBrowser();
+    });
+    resultDetail.appendChild(buttons);
+
+    // Pattern matches saved next to the answer (see rules.js)
+    const ruleLists = Object.entries(result.rules || {}).filter(([, list]) => list.length > 0);
+    if (ruleLists.length > 0) {
+        const rulesLabel = document.createElement('label');
+        rulesLabel.textContent = 'Rule candidates';
+        const rules = document.createElement('div');
+        rules.className = 'prompt-meta';
+        rules.textContent = ruleLists.map(([key, list]) => `${key}: ${list.join(', ')}`).join(' · ');
+        resultDetail.appendChild(rulesLabel);
+        resultDetail.appendChild(rules);
+    }
+
+    const sourceLabel = document.createElement('label');
+    sourceLabel.textContent = 'Source job';
+    const source = document.createElement('pre');
+    source.textContent = JSON.stringify(await findSourceJob(result), null, 2);
+    resultDetail.appendChild(sourceLabel);
+    resultDetail.appendChild(source);
+}
+
+// The uploaded job behind a result, if its file's job data is still stored;
+// otherwise the job fields that were copied onto the result
+async function findSourceJob(result) {
+    const jobs = await window.ExtractorDB.getJobData(result.fileId);
+    const job = (jobs || []).find(candidate =>
+        (result.job_id && candidate.job_id === result.job_id) ||
+        (result.job_url && candidate.job_url === result.job_url));
+    if (job) return job;
+
+    const reserved = new Set(window.ExtractorSchema.RESERVED_KEYS);
+    const copied = {};
+    for (const [key, value] of Object.entries(result)) {
+        if (reserved.has(key) && value !== '' && value !== null) copied[key] = value;
+    }
+    return copied;
+}
+
+async function saveResultEdits(result, inputs) {
+    const edited = {};
+    for (const field of resultsBrowser.schema) {
+        const input = inputs[field.name];
+        if (field.type === 'boolean') edited[field.name] = input.checked;
+        else if (field.isArray) edited[field.name] = input.value.split(';').map(item => item.trim()).filter(Boolean);
+        else edited[field.name] = input.value;
+    }
+    const values = window.ExtractorSchema.pickFields(edited, resultsBrowser.schema);
+
+    const changed = Object.keys(values).filter(key => values[key] !== result[key]);
+    if (changed.length === 0) {
+        log('ℹ️ No changes to save.');
+        return;
+    }
+
+    const updated = { ...result, ...values, edited: true, editedAt: new Date().toISOString() };
+    await window.ExtractorDB.updateResult(updated);
+    chrome.runtime.sendMessage({ action: "CLIENTS_REMERGE", result: updated });
+    log(`✏️ Result #${result.id} saved (${changed.join(', ')}).`);
+    await loadResultsBrowser();
+    showResultDetail(result.id);
+}
+
+// --- Clients: knowledge base built from results (see clients.js) ---
+const clientsView = { summaries: [], selectedId: null };
+
+async function loadClients() {
+    const { websiteBlocklist } = await window.ExtractorSettings.get();
+    const clients = await window.ExtractorDB.getAllClients();
+    clientsView.summaries = clients.map(client => window.ExtractorClients.summarize(client, websiteBlocklist))
+        .sort((a, b) => b.jobCount - a.jobCount || a.name.localeCompare(b.name));
+    renderClients();
+}
+
+function filterClients() {
+    const query = clientsSearchInput.value.trim().toLowerCase();
+    return clientsView.summaries.filter(summary => {
+        if (clientsConflictsToggle.checked && summary.conflicts.length === 0) return false;
+        if (!query) return true;
+        const text = [
+            summary.name,
+            ...summary.companies.map(item => item.value),
+            ...summary.websites.map(item => item.value),
+            ...summary.names.map(item => item.value),
+            ...summary.jobs.map(job => `${job.jobTitle} ${job.job_url} ${job.job_id}`)
+        ].join(' ').toLowerCase();
+        return text.includes(query);
+    });
+}
+
+function renderClients() {
+    const matches = filterClients();
+    clientsTableBody.innerHTML = '';
+    for (const summary of matches) {
+        const row = document.createElement('tr');
+        row.innerHTML = '<td></td><td></td><td></td><td></td>';
+        // Model output is untrusted text
+        row.cells[0].textContent = summary.name;
+        row.cells[0].title = summary.name;
+        row.cells[1].textContent = summary.websites[0]?.value || '—';
+        row.cells[2].textContent = summary.jobCount;
+        row.cells[3].textContent = summary.conflicts.length > 0 ? '⚠️' : '';
+        row.cells[3].title = summary.conflicts.join(', ');
+        if (summary.id === clientsView.selectedId) row.classList.add('selected');
+        row.addEventListener('click', () => showClientDetail(summary.id));
+        clientsTableBody.appendChild(row);
+    }
+
+    const conflicted = clientsView.summaries.filter(summary => summary.conflicts.length > 0).length;
+    clientsInfo.textContent = clientsView.summaries.length === 0
+        ? 'No clients yet - they are added as results are saved.'
+        : `${matches.length} of ${clientsView.summaries.length} clients · ${conflicted} with conflicts`;
+
+    const selected = clientsView.summaries.find(summary => summary.id === clientsView.selectedId);
+    if (selected) renderClientDetail(selected);
+    else clientDetail.style.display = 'none';
+}
+
+function showClientDetail(id) {
+    clientsView.selectedId = clientsView.selectedId === id ? null : id;
+    renderClients();
+}
+
+// Votes per field (best first) and the client's jobs
+function renderClientDetail(summary) {
+    clientDetail.innerHTML = '';
+    clientDetail.style.display = '';
+
+    if (summary.conflicts.length > 0) {
+        const warning = document.createElement('div');
+        warning.className = 'client-warning';
+        warning.textContent = `⚠️ Conflicting ${summary.conflicts.join(' and ').toLowerCase()} - check the jobs below`;
+        clientDetail.appendChild(warning);
+    }
+
+    const fields = [['Company', summary.companies], ['Website', summary.websites], ['Names', summary.names]];
+    for (const [label, items] of fields) {
+        const heading = document.createElement('label');
+        heading.textContent = label;
+        const values = document.createElement('div');
+        values.textContent = items.length === 0
+            ? '—'
+            : items.map(item => `${item.value} (${item.votes} vote${item.votes === 1 ? '' : 's'}, best ${item.bestConfidence})`).join(' · ');
+        clientDetail.append(heading, values);
+    }
+
+    const location = [summary.location, summary.country].filter(Boolean).join(', ');
+    const meta = document.createElement('div');
+    meta.className = 'prompt-meta';
+    meta.textContent = `${location ? `📍 ${location} · ` : ''}Best confidence ${summary.bestConfidence}`;
+    clientDetail.appendChild(meta);
+
+    const jobsHeading = document.createElement('label');
+    jobsHeading.textContent = `Jobs (${summary.jobCount})`;
+    const jobList = document.createElement('pre');
+    jobList.textContent = summary.jobs.map(job =>
+        `${job.voted ? '•' : '◦'} ${job.jobTitle || '(untitled)'} - ${job.company || '—'} / ${job.website || '—'} (${job.confidence})\n  ${job.job_url || job.job_id || ''}`
+    ).join('\n');
+    clientDetail.append(jobsHeading, jobList);
+
+    const actions = document.createElement('div');
+    actions.className = 'mgmt-buttons';
+    actions.style.marginTop = '8px';
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'mgmt-btn reset';
+    exportBtn.textContent = '📥 Export This Client';
+    exportBtn.title = 'Download this client\'s jobs and what each one said';
+    exportBtn.addEventListener('click', () => exportClients(summary));
+    actions.appendChild(exportBtn);
+    clientDetail.appendChild(actions);
+}
+
+// No summary: one row per client; with a summary: one row per job of that client
+function exportClients(summary = null) {
+    const { CLIENT_COLUMNS, CLIENT_JOB_COLUMNS, toExportRows, toJobExportRows } = window.ExtractorClients;
+    const rows = summary ? toJobExportRows(summary) : toExportRows(filterClients());
+    if (rows.length === 0) {
+        log('⚠️ No clients to export.');
+        return;
+    }
+    const file = window.ExtractorExport.build(rows, summary ? CLIENT_JOB_COLUMNS : CLIENT_COLUMNS, window.ExtractorExport.DEFAULT_PRESET);
+    const baseName = summary ? `client-${summary.name.replace(/[^\w-]+/g, '_').slice(0, 40)}` : 'clients';
+    downloadFile(file.content, baseName, file.extension, file.mimeType);
+    log(`📥 Exported ${rows.length} ${summary ? `jobs of "${escapeHtml(summary.name)}"` : 'clients'}`);
+}
+
+// Group every stored result again, e.g. after changing the website blocklist.
+// Runs in background, in line with the merges of results being saved.
+function rebuildClients() {
+    chrome.runtime.sendMessage({ action: "CLIENTS_REBUILD" }, (response) => {
+        if (!response?.ok) {
+            log(`⚠️ Clients not rebuilt: ${response?.error || chrome.runtime.lastError?.message || 'no reply'}`);
+            return;
+        }
+        log(`🔄 Rebuilt ${response.clients} clients from ${response.results} results`);
+        clientsView.selectedId = null;
+        loadClients();
+    });
+}
+
+// Rebuilding replaces every client, so it is only offered between runs
+function updateClientsRebuildBtn() {
+    const rebuildBtn = document.getElementById('clientsRebuildBtn');
+    if (!rebuildBtn) return;
+    chrome.storage.local.get(['processingState'], (result) => {
+        rebuildBtn.disabled = !!result.processingState?.isProcessing;
+    });
+}
+
+// --- Review Queue: low-confidence or incomplete results wait for a human decision ---
+const reviewState = { queue: [], schema: [], currentId: null, editing: false, inputs: {} };
+
+// Why a result needs a human look ([] = it doesn't)
+function getReviewReasons(result, settings) {
+    const reasons = [];
+    const confidence = Number(result.confidence);
+    if ('confidence' in result && (!Number.isFinite(confidence) || confidence < settings.reviewConfidenceThreshold)) {
+        reasons.push(`confidence ${result.confidence} < ${settings.reviewConfidenceThreshold}`);
+    }
+    for (const name of settings.reviewEmptyFields) {
+        if (name in result && String(result[name] ?? '').trim() === '') reasons.push(`empty ${name}`);
+    }
+    return reasons;
+}
+
+// Exported review_status: the reviewer's decision, 'pending' while flagged and undecided, '' if never flagged
+function getReviewStatus(result, settings) {
+    if (result.review_status) return result.review_status;
+    return getReviewReasons(result, settings).length > 0 ? 'pending' : '';
+}
+
+async function loadReviewQueue() {
+    if (!reviewPanel) return;
+    const [results, settings] = await Promise.all([
+        window.ExtractorDB.getAllResults(),
+        window.ExtractorSettings.get()
+    ]);
+    reviewState.schema = window.ExtractorSchema.resolve(settings.outputSchema);
+    reviewState.queue = results
+        .filter(result => !result.review_status)
+        .map(result => ({ result, reasons: getReviewReasons(result, settings) }))
+        .filter(item => item.reasons.length > 0);
+
+    reviewCount.textContent = reviewState.queue.length > 0 ? `(${reviewState.queue.length})` : '';
+
+    // Don't throw away an edit in progress when new results arrive
+    if (reviewState.editing && reviewState.queue.some(item => item.result.id === reviewState.currentId)) return;
+    if (!reviewState.queue.some(item => item.result.id === reviewState.currentId)) {
+        reviewState.currentId = reviewState.queue[0]?.result.id ?? null;
+    }
+    renderReviewCard();
+}
+
+function currentReviewItem() {
+    return reviewState.queue.find(item => item.result.id === reviewState.currentId) || null;
+}
+
+async function renderReviewCard() {
+    reviewState.editing = false;
+    reviewState.inputs = {};
+    reviewCard.innerHTML = '';
+
+    const item = currentReviewItem();
+    if (!item) {
+        reviewCard.innerHTML = '<div class="prompt-meta">✅ Nothing to review</div>';
+        return;
+    }
+    const { result, reasons } = item;
+    const position = reviewState.queue.indexOf(item) + 1;
+
+    const header = document.createElement('div');
+    header.innerHTML = '<div style="font-weight: bold;"></div><div class="prompt-meta review-reason"></div>';
+    // Titles and model output are untrusted text
+    header.children[0].textContent = `${position}/${reviewState.queue.length} · ${result.jobTitle || '(untitled)'}`;
+    header.children[1].textContent = `⚠️ ${reasons.join(' · ')}`;
+    reviewCard.appendChild(header);
+
+    for (const field of reviewState.schema) {
+        const label = document.createElement('label');
+        label.textContent = field.label || field.name;
+        const input = field.type === 'string' && !field.isArray && String(result[field.name] || '').length > 60
+            ? Object.assign(document.createElement('textarea'), { className: 'prompt-text', rows: 4 })
+            : Object.assign(document.createElement('input'), { className: 'prompt-name' });
+        if (field.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = result[field.name] === true;
+        } else {
+            if (field.type === 'number' && !field.isArray) Object.assign(input, { type: 'number', step: 'any' });
+            input.value = result[field.name] ?? '';
+        }
+        input.disabled = true;
+        reviewState.inputs[field.name] = input;
+        label.appendChild(input);
+        reviewCard.appendChild(label);
+    }
+
+    const buttons = document.createElement('div');
+    buttons.className = 'mgmt-buttons';
+    buttons.style.marginTop = '8px';
+    buttons.innerHTML = `
+        <button class="mgmt-btn reset" data-review="approve">✅ Approve (A)</button>
+        <button class="mgmt-btn reset" data-review="edit">✏️ Edit (E)</button>
+        <button class="mgmt-btn danger" data-review="reject">⛔ Reject (R)</button>
+        <button class="mgmt-btn reset" data-review="skip">⏭️ Skip (S)</button>
+    `;
+    buttons.addEventListener('click', (event) => {
+        const action = event.target.closest('button')?.dataset.review;
+        if (action) runReviewAction(action);
+    });
+    reviewCard.appendChild(buttons);
+
+    // Source text with the extracted strings marked, to check them at a glance
+    const job = await findSourceJob(result);
+    if (reviewState.currentId !== result.id) return; // moved on while loading
+    const terms = getHighlightTerms(result, reviewState.schema);
+    const feedback = Array.isArray(job.feedback_received_From_Freelancer) ? job.feedback_received_From_Freelancer : [];
+    const sections = [
+        ['Summary', job.summary || '(source job no longer stored)'],
+        ...feedback.map((text, i) => [`Feedback ${i + 1}`, text])
+    ];
+    for (const [title, text] of sections) {
+        const label = document.createElement('label');
+        label.textContent = title;
+        const body = document.createElement('pre');
+        body.innerHTML = highlightTerms(String(text), terms);
+        reviewCard.appendChild(label);
+        reviewCard.appendChild(body);
+    }
+}
+
+// Short extracted strings (names, company, website host) to look for in the source text
+function getHighlightTerms(result, schema) {
+    const terms = new Set();
+    for (const field of schema) {
+        if (field.type !== 'string') continue;
+        for (const value of String(result[field.name] || '').split(';')) {
+            const term = value.trim();
+            if (term.length < 2 || term.length > 100) continue;
+            terms.add(term);
+            try {
+                terms.add(new URL(term).hostname.replace(/^www\./, ''));
+            } catch (e) {
+                // Not a URL
+            }
+        }
+    }
+    return Array.from(terms).sort((a, b) => b.length - a.length);
+}
+
+function highlightTerms(text, terms) {
+    const html = escapeHtml(text);
+    if (terms.length === 0) return html;
+    const pattern = terms.map(term => escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return html.replace(new RegExp(`(${pattern})`, 'gi'), '<mark>$1</mark>');
+}
+
+async function runReviewAction(action) {
+    const item = currentReviewItem();
+    if (!item) return;
+    const { result } = item;
+
+    if (action === 'skip') {
+        const next = reviewState.queue[(reviewState.queue.indexOf(item) + 1) % reviewState.queue.length];
+        reviewState.currentId = next.result.id;
+        renderReviewCard();
+        return;
+    }
+    if (action === 'edit') {
+        reviewState.editing = true;
+        Object.values(reviewState.inputs).forEach(input => { input.disabled = false; });
+        Object.values(reviewState.inputs)[0]?.focus();
+        const editButton = reviewCard.querySelector('[data-review="edit"]');
+        editButton.dataset.review = 'save';
+        editButton.textContent = '💾 Save (Ctrl+Enter)';
+        return;
+    }
+
+    const reviewedAt = new Date().toISOString();
+    let update;
+    if (action === 'save') {
+        const edited = {};
+        for (const field of reviewState.schema) {
+            const input = reviewState.inputs[field.name];
+            if (field.type === 'boolean') edited[field.name] = input.checked;
+            else if (field.isArray) edited[field.name] = input.value.split(';').map(value => value.trim()).filter(Boolean);
+            else edited[field.name] = input.value;
+        }
+        const values = window.ExtractorSchema.pickFields(edited, reviewState.schema);
+        const changed = Object.keys(values).filter(key => values[key] !== result[key]);
+        if (changed.length === 0) {
+            log('ℹ️ Nothing changed - use Approve to accept the result as is.');
+            return;
+        }
+        update = {
+            ...values,
+            review_status: 'corrected',
+            review_correction: changed.map(key => `${key}: "${result[key]}" → "${values[key]}"`).join('; '),
+            edited: true,
+            editedAt: reviewedAt
+        };
+    } else {
+        update = { review_status: action === 'approve' ? 'approved' : 'rejected' };
+    }
+
+    const reviewed = { ...result, ...update, reviewedAt };
+    await window.ExtractorDB.updateResult(reviewed);
+    chrome.runtime.sendMessage({ action: "CLIENTS_REMERGE", result: reviewed });
+    log(`🧑‍⚖️ #${result.id} ${update.review_status}: ${escapeHtml(result.jobTitle || '(untitled)')}`);
+
+    // Next item is the one after this in the queue (this one drops out on reload)
+    const next = reviewState.queue[reviewState.queue.indexOf(item) + 1];
+    reviewState.currentId = next ? next.result.id : null;
+    reviewState.editing = false;
+    await loadReviewQueue();
+    if (resultsBrowserPanel?.open) loadResultsBrowser();
+}
+
+// A / E / R / S while the panel is open; Ctrl+Enter / Esc while editing
+function handleReviewShortcut(event) {
+    if (!reviewPanel.open || !currentReviewItem()) return;
+
+    if (reviewState.editing) {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            runReviewAction('save');
+        } else if (event.key === 'Escape') {
+            renderReviewCard();
+        }
+        return;
+    }
+
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest('input, textarea, select')) return;
+    const action = { a: 'approve', e: 'edit', r: 'reject', s: 'skip' }[event.key.toLowerCase()];
+    if (action) {
+        event.preventDefault();
+        runReviewAction(action);
+    }
 }
 
 // --- Job Stats (Parent/Child counts) ---
@@ -402,9 +2279,154 @@ function updateJobStats() {
     });
 }
 
-// --- Export Results as CSV (from IndexedDB) ---
+// Create and download file
+function downloadFile(content, baseName, extension, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    // Include date and time to avoid overwriting: gemini-extraction-2025-12-13_143052.csv
+    const now = new Date();
+    const timestamp = now.toISOString().slice(0,10) + '_' + now.toTimeString().slice(0,8).replace(/:/g, '');
+    link.download = `${baseName}-${timestamp}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// --- Export Options: presets = format + CSV options + ordered column list ---
+// Column rows in the editor, in export order: { key, header, enabled }
+let exportColumns = [];
+
+async function loadExportEditor(selectedId = null) {
+    if (!exportPanel) return;
+    const settings = await window.ExtractorSettings.get();
+    const schema = window.ExtractorSchema.resolve(settings.outputSchema);
+    const presets = window.ExtractorExport.listPresets(settings);
+    const preset = window.ExtractorExport.findPreset(settings, selectedId || settings.exportPresetId);
+
+    exportPresetSelect.innerHTML = '';
+    for (const item of presets) {
+        const option = new Option(`${item.id === settings.autoExportPresetId ? '⭐ ' : ''}${item.name}`, item.id);
+        exportPresetSelect.add(option);
+    }
+    exportPresetSelect.value = preset.id;
+    exportPresetNameInput.value = preset.name;
+    exportFormatSelect.value = preset.format;
+    exportDelimiterSelect.value = preset.delimiter || ',';
+    exportBomToggle.checked = !!preset.bom;
+
+    // The preset's columns first (checked), then every other available column (unchecked).
+    // Pass-through fields are the ones found on the stored results.
+    const passthroughFields = window.ExtractorExport.listPassthroughFields(await window.ExtractorDB.getAllResults());
+    const selected = window.ExtractorExport.resolveColumns(preset, schema, passthroughFields);
+    const selectedKeys = new Set(selected.map(column => column.key));
+    exportColumns = [
+        ...selected.map(column => ({ ...column, enabled: true })),
+        ...window.ExtractorExport.getAvailableColumns(schema, passthroughFields)
+            .filter(column => !selectedKeys.has(column.key))
+            .map(column => ({ ...column, enabled: false }))
+    ];
+    renderExportColumns();
+    showExportFormatOptions();
+
+    const autoPreset = window.ExtractorExport.findPreset(settings, settings.autoExportPresetId);
+    exportAutoInfo.textContent = `⭐ Auto-export uses "${autoPreset.name}"`;
+}
+
+function renderExportColumns() {
+    exportColumnsList.innerHTML = '';
+    exportColumns.forEach((column, index) => {
+        const row = document.createElement('label');
+        row.className = 'export-column';
+        row.innerHTML = '<input type="checkbox"><span></span><button title="Move up">▲</button><button title="Move down">▼</button>';
+        const [checkbox, up, down] = row.querySelectorAll('input, button');
+        checkbox.checked = column.enabled;
+        checkbox.addEventListener('change', () => { column.enabled = checkbox.checked; });
+        row.querySelector('span').textContent = column.header;
+        row.title = column.key;
+        up.disabled = index === 0;
+        down.disabled = index === exportColumns.length - 1;
+        up.addEventListener('click', (event) => { event.preventDefault(); moveExportColumn(index, -1); });
+        down.addEventListener('click', (event) => { event.preventDefault(); moveExportColumn(index, 1); });
+        exportColumnsList.appendChild(row);
+    });
+}
+
+function moveExportColumn(index, offset) {
+    const [column] = exportColumns.splice(index, 1);
+    exportColumns.splice(index + offset, 0, column);
+    renderExportColumns();
+}
+
+function showExportFormatOptions() {
+    document.getElementById('exportCsvOptions').style.display = exportFormatSelect.value === 'csv' ? '' : 'none';
+}
+
+// Current editor state as a preset (name/id of the selected one)
+function readExportEditor() {
+    return {
+        id: exportPresetSelect.value,
+        name: exportPresetNameInput.value.trim(),
+        format: exportFormatSelect.value,
+        columns: exportColumns.filter(column => column.enabled).map(column => column.key),
+        delimiter: exportDelimiterSelect.value,
+        bom: exportBomToggle.checked
+    };
+}
+
+async function saveExportPreset(asNew) {
+    const preset = readExportEditor();
+    if (!preset.name) {
+        log('⚠️ Give the preset a name first.');
+        return;
+    }
+    if (preset.columns.length === 0) {
+        log('⚠️ Select at least one column.');
+        return;
+    }
+    if (!asNew && preset.id === window.ExtractorExport.DEFAULT_PRESET.id) {
+        log('⚠️ The built-in "Default CSV" preset can\'t be changed - use ➕ Save as New.');
+        return;
+    }
+
+    const settings = await window.ExtractorSettings.get();
+    let exportPresets = settings.exportPresets;
+    if (asNew) {
+        preset.id = `preset-${Date.now()}`;
+        exportPresets = [...exportPresets, preset];
+    } else {
+        exportPresets = exportPresets.map(item => item.id === preset.id ? preset : item);
+    }
+    await window.ExtractorSettings.save({ exportPresets, exportPresetId: preset.id });
+    log(`💾 Export preset "${escapeHtml(preset.name)}" saved (${preset.format.toUpperCase()}, ${preset.columns.length} columns)`);
+    loadExportEditor(preset.id);
+}
+
+async function deleteExportPreset() {
+    const id = exportPresetSelect.value;
+    if (id === window.ExtractorExport.DEFAULT_PRESET.id) {
+        log('⚠️ The built-in "Default CSV" preset can\'t be deleted.');
+        return;
+    }
+    if (!confirm(`Delete the export preset "${exportPresetNameInput.value}"?`)) return;
+
+    const settings = await window.ExtractorSettings.get();
+    const updates = {
+        exportPresets: settings.exportPresets.filter(item => item.id !== id),
+        exportPresetId: window.ExtractorExport.DEFAULT_PRESET.id
+    };
+    // Auto-export falls back to the default layout
+    if (settings.autoExportPresetId === id) updates.autoExportPresetId = window.ExtractorExport.DEFAULT_PRESET.id;
+    await window.ExtractorSettings.save(updates);
+    log('🗑️ Export preset deleted.');
+    loadExportEditor();
+}
+
+// --- Export Results (from IndexedDB) ---
+// Manual exports use the options in "Export Options" (saved or not); the auto-export
+// at the end of a run uses the preset marked for auto-export.
 // autoCleanup: if true, clears all data after successful export
-async function exportResultsAsCsv(autoCleanup = false) {
+async function exportResults(autoCleanup = false) {
     try {
         const results = await window.ExtractorDB.getAllResults();
         
@@ -413,56 +2435,22 @@ async function exportResultsAsCsv(autoCleanup = false) {
             return;
         }
 
-        // CSV Headers
-        const headers = [
-            'Person Name(s)',
-            'Company Name',
-            'Client Website',
-            'Confidence',
-            'Reasoning',
-            'Job URL',
-            'Job ID',
-            'Parent ID'
-        ];
+        const settings = await window.ExtractorSettings.get();
+        const schema = window.ExtractorSchema.resolve(settings.outputSchema);
+        const preset = autoCleanup || !exportPresetSelect
+            ? window.ExtractorExport.findPreset(settings, settings.autoExportPresetId)
+            : readExportEditor();
+        const columns = window.ExtractorExport.resolveColumns(preset, schema, window.ExtractorExport.listPassthroughFields(results));
+        if (columns.length === 0) {
+            log('⚠️ No columns selected for export!');
+            return;
+        }
 
-        // Escape CSV values - ALWAYS quote for Google Sheets compatibility
-        const escapeCSV = (value) => {
-            // Convert to string, handle null/undefined as empty
-            const str = (value === null || value === undefined) ? '' : String(value);
-            // Always wrap in quotes and escape internal quotes
-            return '"' + str.replace(/"/g, '""') + '"';
-        };
+        const rows = results.map(result => ({ ...result, review_status: getReviewStatus(result, settings) }));
+        const file = window.ExtractorExport.build(rows, columns, preset);
+        downloadFile(file.content, 'gemini-extraction', file.extension, file.mimeType);
 
-        // Build CSV content
-        let csvContent = headers.join(',') + '\n';
-        
-        for (const row of results) {
-            const csvRow = [
-                escapeCSV(row.personName),
-                escapeCSV(row.companyName),
-                escapeCSV(row.clientWebsite),
-                escapeCSV(row.confidence),
-                escapeCSV(row.reasoning),
-                escapeCSV(row.job_url),
-                escapeCSV(row.job_id),
-                escapeCSV(row.parent_id)
-            ];
-            csvContent += csvRow.join(',') + '\n';
-        }
-
-        // Create and download file
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        // Include date and time to avoid overwriting: gemini-extraction-2025-12-13_143052.csv
-        const now = new Date();
-        const timestamp = now.toISOString().slice(0,10) + '_' + now.toTimeString().slice(0,8).replace(/:/g, '');
-        link.download = `gemini-extraction-${timestamp}.csv`;
-        link.click();
-        URL.revokeObjectURL(url);
-
-        log(`📥 Exported ${results.length} rows to CSV!`);
+        log(`📥 Exported ${file.count} rows as ${file.extension.toUpperCase()} (${escapeHtml(preset.name || 'unsaved options')})!`);
 
         // AUTO-CLEANUP after successful export
         if (autoCleanup) {
@@ -473,20 +2461,27 @@ async function exportResultsAsCsv(autoCleanup = false) {
                 await window.ExtractorDB.clearAllResults();
                 log('✅ Cleared results from database');
                 
-                // 2. Clear all job data from IndexedDB
-                await window.ExtractorDB.clearAllJobData();
+                // 2. Clear the file queue - files with failed jobs are kept so
+                //    they can still be retried
+                const { removedIds, keptCount } = await updateFileQueue('removeAllButFailed');
+                log('✅ Cleared file queue');
+
+                // 3. Clear job data of the removed files from IndexedDB
+                if (keptCount === 0) {
+                    await window.ExtractorDB.clearAllJobData();
+                } else {
+                    for (const id of removedIds) await window.ExtractorDB.deleteJobData(id);
+                    log(`⛔ Kept ${keptCount} file(s) with failed jobs for retrying`);
+                }
                 log('✅ Cleared job data from database');
-                
-                // 3. Clear file queue from chrome.storage
-                chrome.storage.local.set({ fileQueue: [] }, () => {
-                    log('✅ Cleared file queue');
-                    log('🎉 All done! Storage is clean and ready for new files.');
-                    
-                    // Refresh UI
-                    loadTableFromStorage();
-                    updateStorageInfo();
-                    updateResultsInfo();
-                });
+                log('🎉 All done! Storage is clean and ready for new files.');
+
+                // Refresh UI
+                loadTableFromStorage();
+                updateStorageInfo();
+                updateResultsInfo();
+                updateJobStats();
+                updateFailedJobs();
             } catch (cleanupError) {
                 log(`⚠️ Cleanup warning: ${cleanupError.message}`);
                 log('📝 You can manually clear using the buttons above.');
@@ -496,3 +2491,79 @@ async function exportResultsAsCsv(autoCleanup = false) {
         log(`❌ Export error: ${error.message}`);
     }
 }
+
+// --- Failed Jobs (recorded by background after maxJobAttempts) ---
+function updateFailedJobs() {
+    if (!failedJobsBody) return;
+    chrome.storage.local.get(['fileQueue'], (result) => {
+        const files = result.fileQueue || [];
+        const failed = [];
+        for (const file of files) {
+            for (const job of file.failedJobs || []) failed.push({ file, job });
+        }
+
+        failedJobsInfo.textContent = failed.length === 0
+            ? '✅ No failed jobs'
+            : `⛔ ${failed.length} job(s) failed after all attempts`;
+        failedJobsBody.innerHTML = '';
+
+        for (const { file, job } of failed) {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td></td>
+                <td>${job.jobIndex + 1}</td>
+                <td>${job.attempts}</td>
+                <td></td>
+            `;
+            // Titles and error messages are untrusted text
+            row.cells[0].textContent = job.title || file.name;
+            row.cells[0].title = `${file.name}: ${job.title || ''}`;
+            row.cells[3].textContent = job.lastError;
+            row.cells[3].title = job.lastError;
+            failedJobsBody.appendChild(row);
+        }
+    });
+}
+
+// Put every failed job back in its file's retry queue (picked up on the next Start)
+async function retryFailedJobs() {
+    try {
+        const count = await updateFileQueue('retryFailed');
+        if (count === 0) {
+            log('⚠️ No failed jobs to retry.');
+            return;
+        }
+        log(`🔁 ${count} failed job(s) queued again. Click Start to process them.`);
+    } catch (error) {
+        log(`❌ Could not queue failed jobs: ${error.message}`);
+    }
+    loadTableFromStorage();
+    updateFailedJobs();
+}
+
+function exportFailedJobs() {
+    chrome.storage.local.get(['fileQueue'], (result) => {
+        const files = result.fileQueue || [];
+        const headers = ['File', 'Row', 'Title', 'Job URL', 'Job ID', 'Parent ID', 'Attempts', 'Last Error', 'Failed At'];
+        let csvContent = headers.join(',') + '\n';
+        let count = 0;
+
+        for (const file of files) {
+            for (const job of file.failedJobs || []) {
+                csvContent += [
+                    file.filename, job.jobIndex + 1, job.title, job.job_url, job.job_id,
+                    job.parent_id, job.attempts, job.lastError, job.failedAt
+                ].map(window.ExtractorExport.escapeCsv).join(',') + '\n';
+                count++;
+            }
+        }
+
+        if (count === 0) {
+            log('⚠️ No failed jobs to export!');
+            return;
+        }
+
+        downloadFile(csvContent, 'gemini-failed-jobs', 'csv', 'text/csv;charset=utf-8;');
+        log(`📥 Exported ${count} failed job(s) to CSV!`);
+    });
+}
@@ -0,0 +1,47 @@
+// cache.test.js - Result cache keys (cache.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+loadScripts('cache.js');
+const { answerScope, jobKey } = self.ExtractorCache;
+
+const settings = { geminiApiModel: 'gemini-2.0-flash', localModel: 'llama3.1:8b', groupChildJobs: false };
+const chat = { backend: 'chat', providerId: 'gemini' };
+const promptInfo = { id: 3, name: 'Default', version: 2 };
+const schema = [{ name: 'companyName', type: 'string', isArray: false }];
+
+test('the scope names the backend, the model and the child grouping', () => {
+    assert.equal(answerScope(chat, settings), 'chat:gemini|children:separate');
+    assert.equal(answerScope({ backend: 'gemini-api', providerId: 'gemini' }, settings), 'gemini-api:gemini-2.0-flash|children:separate');
+    assert.equal(answerScope({ backend: 'local', providerId: 'gemini' }, { ...settings, groupChildJobs: true }), 'local:llama3.1:8b|children:grouped');
+});
+
+test('a job is keyed by its URL, else its ID, else a hash of its text', async () => {
+    const scope = answerScope(chat, settings);
+    const key = await jobKey({ job_url: 'https://example.com/job/1', job_id: '1' }, promptInfo, schema, scope);
+    assert.match(key, /^url:https:\/\/example\.com\/job\/1\|prompt:3@2\|schema:[0-9a-f]{12}\|chat:gemini\|children:separate$/);
+    assert.match(await jobKey({ job_id: '1' }, promptInfo, schema, scope), /^id:1\|/);
+    assert.match(await jobKey({ title: 'Logo' }, null, schema, scope), /^hash:[0-9a-f]{64}\|prompt:built-in@0\|/);
+    assert.equal(await jobKey({ title: 'Logo', summary: 'x' }, null, schema, scope), await jobKey({ summary: 'x', title: 'Logo' }, null, schema, scope));
+});
+
+test('another prompt version, schema, backend, model or grouping is another key', async () => {
+    const job = { job_url: 'https://example.com/job/1' };
+    const keyFor = (overrides = {}) => jobKey(job, overrides.promptInfo || promptInfo, overrides.schema || schema,
+        answerScope(overrides.state || { backend: 'local', providerId: 'gemini' }, { ...settings, ...overrides.settings }));
+
+    const base = await keyFor();
+    const variants = await Promise.all([
+        keyFor({ promptInfo: { ...promptInfo, version: 3 } }),
+        keyFor({ schema: [...schema, { name: 'confidence', type: 'number', isArray: false }] }),
+        keyFor({ state: { backend: 'gemini-api', providerId: 'gemini' } }),
+        keyFor({ state: chat }),
+        keyFor({ settings: { localModel: 'qwen2.5:14b' } }),
+        keyFor({ settings: { groupChildJobs: true } })
+    ]);
+
+    assert.equal(await keyFor(), base);
+    assert.equal(new Set([base, ...variants]).size, 7);
+});
@@ -0,0 +1,83 @@
+// clients.test.js - Client knowledge base grouping and votes (clients.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+loadScripts('normalize.js', 'clients.js');
+const { observe, mergeObservation, summarize } = self.ExtractorClients;
+
+// Merge results in order; returns the clients with ids like the database gives them
+function group(entries, blocklist = null) {
+    let clients = [];
+    let nextId = 1;
+    entries.forEach((entry, i) => {
+        const { client, removedIds } = mergeObservation(clients, observe({ id: i + 1, confidence: 0.8, ...entry }), blocklist);
+        clients = clients.filter(other => other !== client && !removedIds.includes(other.id));
+        if (client.id === undefined) client.id = nextId++;
+        clients.push(client);
+    });
+    return clients;
+}
+
+test('websites are grouped by registrable domain, as normalize.js stores them', () => {
+    const clients = group([
+        { job_url: 'https://www.upwork.com/jobs/~01a', clientWebsite: 'https://www.shop.acme.com/about' },
+        { job_url: 'https://www.upwork.com/jobs/~01b', clientWebsite: 'acme.com' }
+    ]);
+    assert.equal(clients.length, 1);
+    assert.equal(summarize(clients[0]).websites.length, 1);
+});
+
+test('tenants of a hosting platform are different clients', () => {
+    const clients = group([
+        { job_url: '~01a', clientWebsite: 'acme.github.io' },
+        { job_url: '~01b', clientWebsite: 'globex.github.io' }
+    ]);
+    assert.equal(clients.length, 2);
+});
+
+test('companies are grouped without their legal form', () => {
+    const clients = group([
+        { job_url: '~01a', companyName: 'ACME Ltd' },
+        { job_url: '~01b', companyName: 'Acme' },
+        { job_url: '~01c', companyName: 'Serenity Day Spa' },
+        { job_url: '~01d', companyName: 'Serenity Day' }
+    ]);
+    assert.equal(clients.length, 3);
+});
+
+test('blocked websites neither group nor vote; the configured blocklist is used', () => {
+    const entries = [
+        { job_url: '~01a', clientWebsite: 'acme.com' },
+        { job_url: '~01b', clientWebsite: 'https://acme.com/jobs' }
+    ];
+    const blocked = group(entries, ['acme.com']);
+    assert.equal(blocked.length, 2);
+    assert.deepEqual(summarize(blocked[0], ['acme.com']).websites, []);
+
+    assert.equal(group(entries).length, 1);
+    assert.equal(group([{ job_url: '~01a', clientWebsite: 'upwork.com' }, { job_url: '~01b', clientWebsite: 'upwork.com' }]).length, 2);
+});
+
+test('conflicting companies are flagged', () => {
+    const clients = group([
+        { job_url: '~01a', companyName: 'Acme', clientWebsite: 'acme.com' },
+        { job_url: '~01b', companyName: 'Globex', clientWebsite: 'acme.com' }
+    ]);
+    assert.deepEqual(summarize(clients[0]).conflicts, ['Company']);
+});
+
+test('a result merged again after review replaces its earlier observation', () => {
+    const clients = group([
+        { job_url: '~01a', companyName: 'Acme' },
+        { job_url: '~01b', companyName: 'Acme Ltd' }
+    ]);
+    assert.equal(summarize(clients[0]).companies[0].votes, 2);
+
+    // Rejected in the review queue, then re-merged (as background does on CLIENTS_REMERGE)
+    const { client, removedIds } = mergeObservation(clients, observe({ id: 2, job_url: '~01b', companyName: 'Acme Ltd', review_status: 'rejected' }));
+    assert.deepEqual(removedIds, []);
+    assert.equal(client.jobs.length, 2);
+    assert.equal(summarize(client).companies[0].votes, 1);
+});
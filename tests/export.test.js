@@ -0,0 +1,103 @@
+// export.test.js - Export columns and formats (export.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { loadScripts } = require('./load');
+
+loadScripts('schema.js', 'export.js');
+const { DEFAULT_PRESET, listPassthroughFields, resolveColumns, build } = self.ExtractorExport;
+const schema = self.ExtractorSchema.DEFAULT_SCHEMA;
+
+const rows = [
+    { companyName: 'Acme', passthrough: { Budget: '500' } },
+    { companyName: 'Globex', passthrough: { Budget: '900', Owner: 'Kim' } }
+];
+
+test('pass-through source fields become export columns', () => {
+    const fields = listPassthroughFields(rows);
+    assert.deepEqual(fields, ['Budget', 'Owner']);
+
+    const preset = { ...DEFAULT_PRESET, columns: ['companyName', 'passthrough.Budget', 'passthrough.Owner'] };
+    const columns = resolveColumns(preset, schema, fields);
+    assert.equal(build(rows, columns, preset).content,
+        '"Company Name","Budget","Owner"\n"Acme","500",""\n"Globex","900","Kim"\n');
+
+    const json = JSON.parse(build(rows, columns, { ...preset, format: 'json' }).content);
+    assert.deepEqual(json[1], { companyName: 'Globex', 'passthrough.Budget': '900', 'passthrough.Owner': 'Kim' });
+});
+
+test('the default preset includes every pass-through field', () => {
+    const keys = resolveColumns(DEFAULT_PRESET, schema, ['Budget']).map(column => column.key);
+    assert.ok(keys.includes('passthrough.Budget'));
+});
+
+test('CSV with a ; delimiter and a BOM for Excel', () => {
+    const preset = { ...DEFAULT_PRESET, columns: ['companyName', 'passthrough.Owner'], delimiter: ';', bom: true };
+    const content = build(rows, resolveColumns(preset, schema, ['Owner']), preset).content;
+    assert.equal(content, '\uFEFF"Company Name";"Owner"\n"Acme";""\n"Globex";"Kim"\n');
+
+    const plain = build([{ companyName: 'Say "hi"; bye' }], resolveColumns(preset, schema, []), { ...preset, bom: false }).content;
+    assert.equal(plain, '"Company Name"\n"Say ""hi""; bye"\n');
+});
+
+// Entries of a zip read through its central directory, checked against the local headers
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const endAt = bytes.length - 22;
+    assert.equal(view.getUint32(endAt, true), 0x06054B50, 'end of central directory signature');
+    const count = view.getUint16(endAt + 10, true);
+    assert.equal(view.getUint16(endAt + 8, true), count);
+    let at = view.getUint32(endAt + 16, true);
+    assert.equal(at + view.getUint32(endAt + 12, true), endAt, 'the central directory ends where the end record starts');
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(at, true), 0x02014B50, 'central directory signature');
+        const crc = view.getUint32(at + 16, true);
+        const size = view.getUint32(at + 24, true);
+        const nameLength = view.getUint16(at + 28, true);
+        const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+        const localAt = view.getUint32(at + 42, true);
+        at += 46 + nameLength;
+
+        assert.equal(view.getUint32(localAt, true), 0x04034B50, `local header signature of ${name}`);
+        assert.equal(view.getUint16(localAt + 8, true), 0, 'stored, not compressed');
+        assert.equal(view.getUint32(localAt + 14, true), crc);
+        assert.equal(view.getUint32(localAt + 18, true), size);
+        assert.equal(view.getUint32(localAt + 22, true), size);
+        assert.equal(decoder.decode(bytes.subarray(localAt + 30, localAt + 30 + nameLength)), name);
+        const dataAt = localAt + 30 + nameLength;
+        entries.push({ name, crc, data: bytes.subarray(dataAt, dataAt + size) });
+    }
+    return entries;
+}
+
+test('XLSX is a zip with valid headers, central directory and CRCs', () => {
+    const preset = { ...DEFAULT_PRESET, format: 'xlsx', columns: ['companyName', 'confidence'] };
+    const file = build([{ companyName: 'Acme', confidence: 0.9 }], resolveColumns(preset, schema, []), preset);
+    assert.equal(file.extension, 'xlsx');
+    assert.ok(file.content instanceof Uint8Array);
+    assert.deepEqual(Array.from(file.content.subarray(0, 4)), [0x50, 0x4B, 0x03, 0x04], 'starts with PK\\x03\\x04');
+
+    const entries = readZip(file.content);
+    assert.deepEqual(entries.map(entry => entry.name),
+        ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml']);
+    for (const entry of entries) assert.equal(entry.crc, zlib.crc32(entry.data), `CRC of ${entry.name}`);
+});
+
+test('XLSX cell text is XML-escaped; numbers and booleans are typed cells', () => {
+    const columns = [
+        { header: 'Name <&>', key: 'name' },
+        { header: 'Score', key: 'score' },
+        { header: 'Done', key: 'done' },
+        { header: 'Empty', key: 'empty' }
+    ];
+    const file = build([{ name: 'Smith & "Sons" <Ltd>\u0001', score: 0.5, done: true, empty: '' }], columns, { format: 'xlsx' });
+    const sheet = new TextDecoder().decode(readZip(file.content).find(entry => entry.name === 'xl/worksheets/sheet1.xml').data);
+
+    assert.ok(sheet.includes('<c r="A1" t="inlineStr"><is><t xml:space="preserve">Name &lt;&amp;&gt;</t></is></c>'));
+    assert.ok(sheet.includes('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Smith &amp; &quot;Sons&quot; &lt;Ltd&gt;</t></is></c>'));
+    assert.ok(sheet.includes('<c r="B2"><v>0.5</v></c><c r="C2" t="b"><v>1</v></c></row>'), 'empty cells are left out');
+});
@@ -0,0 +1,132 @@
+// input.test.js - Upload parsing and field mapping (input.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+loadScripts('input.js');
+const { parseFile, queryJsonPath, listFields, guessMapping, applyMapping, validateRows, trimRow, DEFAULT_MAPPING } = self.ExtractorInput;
+
+test('CSV columns are guessed by name, other columns are left unmapped', () => {
+    const { rows } = parseFile('Title,Description,Budget\nLogo,Need a logo,500\n', 'csv');
+    const mapping = guessMapping(listFields(rows));
+    assert.equal(mapping.title, 'Title');
+    assert.equal(mapping.summary, 'Description');
+    assert.deepEqual(mapping.passthrough, []);
+    assert.deepEqual(applyMapping(rows, mapping), [{ title: 'Logo', summary: 'Need a logo' }]);
+});
+
+test('pass-through fields are copied onto the job under their source name', () => {
+    const { rows } = parseFile('Title,Description,Budget,Owner\nLogo,Need a logo,500,\n', 'csv');
+    const mapping = { ...guessMapping(listFields(rows)), passthrough: ['Budget', 'Owner'] };
+    assert.deepEqual(applyMapping(rows, mapping), [{ title: 'Logo', summary: 'Need a logo', passthrough: { Budget: '500', Owner: '' } }]);
+});
+
+test('nested pass-through values keep their dot path; objects become JSON', () => {
+    const rows = [{ name: 'Logo', body: 'Need a logo', meta: { budget: 500, tags: ['a'] } }];
+    const mapping = { title: 'name', summary: 'body', passthrough: ['meta.budget', 'meta.tags'] };
+    assert.deepEqual(applyMapping(rows, mapping)[0].passthrough, { 'meta.budget': 500, 'meta.tags': '["a"]' });
+});
+
+test('the scraper profile passes nothing through', () => {
+    assert.deepEqual(DEFAULT_MAPPING.passthrough, []);
+});
+
+test('CSV fields may hold quoted delimiters, quotes and line breaks', () => {
+    const { rows } = parseFile('Title,Description\n"Logo, vector","Line one\nLine ""two"""\nSite,Plain\n', 'csv');
+    assert.deepEqual(rows, [
+        { Title: 'Logo, vector', Description: 'Line one\nLine "two"' },
+        { Title: 'Site', Description: 'Plain' }
+    ]);
+});
+
+test('CSV with a BOM, CRLF line ends and a ; delimiter', () => {
+    const { rows } = parseFile('\uFEFFTitle;Description;Budget\r\nLogo;"Need a logo;\r\nfast";500\r\n\r\nSite;Landing page;\r\n', 'csv');
+    assert.deepEqual(rows, [
+        { Title: 'Logo', Description: 'Need a logo;\r\nfast', Budget: '500' },
+        { Title: 'Site', Description: 'Landing page', Budget: '' }
+    ]);
+    assert.deepEqual(listFields(rows), ['Title', 'Description', 'Budget']);
+});
+
+test('NDJSON skips blank lines and names the line that is not JSON', () => {
+    const { rows } = parseFile('{"title":"Logo"}\r\n\n   \n{"title":"Site"}\n', 'ndjson');
+    assert.deepEqual(rows, [{ title: 'Logo' }, { title: 'Site' }]);
+    assert.throws(() => parseFile('{"title":"Logo"}\n\n{"title":\n', 'ndjson'), /^Error: Line 3 is not valid JSON: /);
+});
+
+test('JSON rows are read from the root path, or the first array found', () => {
+    const data = { meta: { count: 2 }, data: { jobs: [{ title: 'Logo' }, { title: 'Site' }] } };
+    assert.deepEqual(parseFile(JSON.stringify(data), 'json'), { rows: data.data.jobs, rootPath: '$.data.jobs' });
+    assert.deepEqual(parseFile(JSON.stringify(data), 'json', "$['data'].jobs").rows, data.data.jobs);
+    assert.deepEqual(queryJsonPath({ byId: { a: { title: 'Logo' } } }, '$.byId[*]'), [{ title: 'Logo' }]);
+    assert.equal(queryJsonPath(data, "$['data']['jobs'][1].title"), 'Site');
+});
+
+test('a missing or unreadable JSON root path is an error', () => {
+    const text = JSON.stringify({ data: { jobs: [{ title: 'Logo' }] } });
+    assert.equal(queryJsonPath(JSON.parse(text), '$.results.jobs'), undefined);
+    assert.throws(() => parseFile(text, 'json', '$.results'), { message: '"$.results" is not an array of jobs' });
+    assert.throws(() => parseFile(text, 'json', '$.data'), { message: '"$.data" is not an array of jobs' });
+    assert.throws(() => parseFile(text, 'json', '$.data..jobs'), { message: 'Can\'t read JSON root "$.data..jobs"' });
+    assert.throws(() => parseFile(JSON.stringify({ count: 1 }), 'json'), /No array of jobs found/);
+});
+
+const codes = report => report.map(({ index, issues }) => [index, issues.map(issue => `${issue.level}:${issue.code}`)]);
+
+test('rows without a title or description are reported', () => {
+    const rows = [
+        { title: 'Logo', summary: 'Need a logo' },
+        { title: '  ', summary: '' },
+        { summary: 'Need a logo' },
+        { title: 'Logo' },
+        ['not', 'a', 'job'],
+        'text'
+    ];
+    assert.deepEqual(codes(validateRows(rows, null, 0)), [
+        [1, ['error:missing_text']],
+        [2, ['warning:missing_title']],
+        [3, ['warning:missing_summary']],
+        [4, ['error:not_object']],
+        [5, ['error:not_object']]
+    ]);
+});
+
+test('mapped rows are checked after the mapping, and repeated job IDs are flagged', () => {
+    const rows = [
+        { Title: 'Logo', Description: 'Need a logo', ID: '1' },
+        { Title: 'Site', Description: '', ID: '1' }
+    ];
+    const report = validateRows(rows, { title: 'Title', summary: 'Description', job_id: 'ID' }, 0);
+    assert.deepEqual(codes(report), [[1, ['warning:missing_summary', 'warning:duplicate_id']]]);
+    assert.equal(report[0].issues[1].message, 'Same job_id as row 1: 1');
+});
+
+test('a job longer than maxChars is a warning; 0 means no limit', () => {
+    const rows = [{ title: 'Logo', summary: 'x'.repeat(500) }, { title: 'Logo', summary: 'short' }];
+    const report = validateRows(rows, null, 200);
+    assert.deepEqual(codes(report), [[0, ['warning:oversized']]]);
+    assert.match(report[0].issues[0].message, /\(limit 200\)$/);
+    assert.deepEqual(validateRows(rows, null, 0), []);
+});
+
+test('trimming keeps half of maxChars for the description and a quarter for the reviews', () => {
+    const row = {
+        title: 'Logo',
+        summary: 'x'.repeat(1000),
+        feedback_received_From_Freelancer: ['a'.repeat(60), 'b'.repeat(60), 'c'.repeat(60)]
+    };
+    trimRow(row, null, 400);
+    assert.equal(row.summary, 'x'.repeat(200));
+    assert.deepEqual(row.feedback_received_From_Freelancer, ['a'.repeat(60), 'b'.repeat(40)]);
+    assert.equal(row.title, 'Logo');
+    assert.deepEqual(validateRows([row], null, 400), []);
+});
+
+test('trimming follows the mapping, including nested paths and reviews in separate columns', () => {
+    const row = { job: { text: 'x'.repeat(100) }, 'Review 1': 'a'.repeat(30), 'Review 2': 'b'.repeat(30), Title: 'Logo' };
+    trimRow(row, { title: 'Title', summary: 'job.text', feedback: ['Review 1', 'Review 2'] }, 80);
+    assert.equal(row.job.text, 'x'.repeat(40));
+    assert.equal(row['Review 1'], 'a'.repeat(20));
+    assert.equal(row['Review 2'], '');
+});
@@ -0,0 +1,24 @@
+// load.js - Run the extension's classic scripts in Node for the tests
+// The modules are IIFEs that attach to `self` (window in the side panel, the service
+// worker's global in background.js); here `self` is Node's global object.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+globalThis.self = globalThis;
+
+// Load files (relative to the repo root) in order, like importScripts
+function loadScripts(...files) {
+    for (const file of files) {
+        const code = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInThisContext(code, { filename: file });
+    }
+    return globalThis;
+}
+
+function readFixture(...parts) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', ...parts), 'utf8');
+}
+
+module.exports = { loadScripts, readFixture };
@@ -0,0 +1,73 @@
+// normalize.test.js - Website and company name clean-up (normalize.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+loadScripts('normalize.js');
+const { normalizeWebsite, normalizeCompanyName } = self.ExtractorNormalize;
+
+const COMPANY_NAMES = [
+    // Legal forms
+    ['Acme Widgets, Inc.', 'Acme Widgets'],
+    ['Acme Widgets Inc', 'Acme Widgets'],
+    ['Acme L.L.C.', 'Acme'],
+    ['Acme Pty. Ltd', 'Acme'],
+    ['Acme GmbH & Co. KG', 'Acme'],
+    ['Siemens AG', 'Siemens'],
+    ['Fiat S.p.A.', 'Fiat'],
+    ['Fiat SpA', 'Fiat'],
+    ['Renault S.A.', 'Renault'],
+    ['Renault SA', 'Renault'],
+    ['Volvo AB', 'Volvo'],
+    ['Maersk A/S', 'Maersk'],
+    ['Telia AS', 'Telia'],
+    ['Zara SL', 'Zara'],
+    ['Acme Co.', 'Acme'],
+    ['Acme, Company', 'Acme'],
+    ['Green, Ag', 'Green'],
+    // Everyday words that look like legal forms
+    ['Serenity Day Spa', 'Serenity Day Spa'],
+    ['The Company', 'The Company'],
+    ['Green Ag', 'Green Ag'],
+    ['Known As', 'Known As'],
+    ['Sunset Spa & Wellness', 'Sunset Spa & Wellness'],
+    ['Salsa', 'Salsa'],
+    ['', '']
+];
+
+for (const [raw, expected] of COMPANY_NAMES) {
+    test(`company name "${raw}" -> "${expected}"`, () => {
+        assert.equal(normalizeCompanyName(raw), expected);
+    });
+}
+
+const WEBSITES = [
+    ['https://www.Shop.Acme.co.uk/about/?utm_source=x', 'acme.co.uk/about'],
+    ['acme.com', 'acme.com'],
+    ['(www.acme.com).', 'acme.com'],
+    ['dave@acmewidgets.com', 'acmewidgets.com'],
+    // Hosting platforms keep the customer's subdomain
+    ['https://acme.github.io/site', 'acme.github.io/site'],
+    ['acme-app.herokuapp.com', 'acme-app.herokuapp.com'],
+    ['https://acme-store.myshopify.com/products/x', 'acme-store.myshopify.com/products/x'],
+    ['https://jane.wixsite.com/portfolio', 'jane.wixsite.com/portfolio'],
+    ['https://www.acme.vercel.app', 'acme.vercel.app'],
+    ['preview.acme.vercel.app', 'acme.vercel.app'],
+    // Not usable
+    ['https://www.upwork.com/jobs/~01abc', ''],
+    ['https://www.linkedin.com/company/acme', ''],
+    ['jane@gmail.com', ''],
+    ['N/A', '']
+];
+
+for (const [raw, expected] of WEBSITES) {
+    test(`website "${raw}" -> "${expected}"`, () => {
+        assert.equal(normalizeWebsite(raw).website, expected);
+    });
+}
+
+test('a custom blocklist replaces the built-in one', () => {
+    assert.equal(normalizeWebsite('https://acme.com', ['acme.com']).website, '');
+    assert.equal(normalizeWebsite('https://upwork.com/x', ['acme.com']).website, 'upwork.com/x');
+});
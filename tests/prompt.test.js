@@ -0,0 +1,58 @@
+// prompt.test.js - Where the output schema's JSON instructions and the pattern hints note go (prompt.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+loadScripts('prompt.js');
+const { DEFAULT_PROMPT, OUTPUT_SCHEMA_PLACEHOLDER, applyOutputSchema, upgradeLegacyPrompt, checkOutputPlacement, buildJobInput, buildJobMessage, buildBatchMessage } = self.ExtractorPrompt;
+
+// How the library's "Default" prompt ended when it was seeded before the output schema existed
+const LEGACY_ENDING = `**Strict JSON Output:**
+
+{
+  "personName": ["Name1"], 
+  "companyName": "Explicit Name OR Empty String",
+  "clientWebsite": "URL OR Empty String",
+  "confidence": 0.0 to 1.0,
+  "reasoning": "Explain WHY you extracted these. Explicitly state why a URL was kept (Ownership) or rejected (Target). Explain why a text string was identified as a Company and not a Tool."
+}`;
+
+test('a seeded copy with the hard-coded JSON block gets the placeholder instead', () => {
+    const legacy = `Find the client.\n\n${LEGACY_ENDING}\n`;
+    const upgraded = upgradeLegacyPrompt(legacy);
+    assert.equal(upgraded, `Find the client.\n\n${OUTPUT_SCHEMA_PLACEHOLDER}\n`);
+    assert.equal(applyOutputSchema(upgraded, 'SCHEMA'), 'Find the client.\n\nSCHEMA\n');
+    assert.equal(checkOutputPlacement(upgraded), '');
+});
+
+test('prompts with the placeholder or a format of their own are left alone', () => {
+    assert.equal(upgradeLegacyPrompt(DEFAULT_PROMPT), DEFAULT_PROMPT);
+    const custom = 'Find the client.\n\nReply as {"name": "..."}';
+    assert.equal(upgradeLegacyPrompt(custom), custom);
+});
+
+test('the editor warns about templates without the placeholder', () => {
+    assert.equal(checkOutputPlacement(DEFAULT_PROMPT), '');
+    assert.match(checkOutputPlacement('Find the client.'), /No \{\{OUTPUT_SCHEMA\}\} placeholder/);
+    assert.equal(applyOutputSchema('Find the client.', 'SCHEMA'), 'Find the client.\n\nSCHEMA');
+});
+
+test('pattern hints are explained in the message, whatever the template says', () => {
+    const job = { title: 'Logo', summary: 'Thanks, Keith' };
+    const withHints = buildJobMessage('Find the client.', buildJobInput(job, [], { names: ['Keith'] }));
+    assert.match(withHints, /NOTE: `patternHints` .* unverified/);
+    assert.ok(withHints.indexOf('NOTE:') < withHints.indexOf('"patternHints"'));
+
+    assert.doesNotMatch(buildJobMessage('Find the client.', buildJobInput(job)), /patternHints/);
+});
+
+test('a batch carries the hints note once when any job has hints', () => {
+    const job = { title: 'Logo', summary: 'Need a logo' };
+    const inputs = [
+        { jobKey: 'job_1', ...buildJobInput(job) },
+        { jobKey: 'job_2', ...buildJobInput(job, [], { websites: ['acme.com'] }) }
+    ];
+    assert.equal(buildBatchMessage('Find the client.', inputs).split('NOTE: `patternHints`').length, 2);
+    assert.doesNotMatch(buildBatchMessage('Find the client.', inputs.slice(0, 1)), /NOTE:/);
+});
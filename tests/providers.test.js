@@ -0,0 +1,58 @@
+// providers.test.js - Chat adapters against saved page snapshots (tests/fixtures/providers)
+// Each provider has four states: empty (fresh chat), idle (a reply on screen, next job
+// typed), generating (reply streaming) and finished (reply complete, input empty).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHTML } = require('linkedom');
+const { loadScripts, readFixture } = require('./load');
+
+loadScripts('providers.js');
+
+const FIRST_REPLY = '{"personName":["Keith"],"companyName":"","clientWebsite":"","confidence":0.7,"reasoning":"Signed Thanks, Keith"}';
+const PARTIAL_REPLY = '{"personName":["Sarah"],"compa';
+const SECOND_REPLY = '{"personName":["Sarah"],"companyName":"Acme Labs","clientWebsite":"acmelabs.com","confidence":0.9,"reasoning":"We are Acme Labs"}';
+
+// Same expectations for every provider: the snapshots show the same conversation
+const STATES = {
+    empty: { send: false, generating: false, lastResponse: '', emptyConversation: true },
+    idle: { send: true, generating: false, lastResponse: FIRST_REPLY, emptyConversation: false },
+    generating: { send: false, generating: true, lastResponse: PARTIAL_REPLY, emptyConversation: false },
+    finished: { send: false, generating: false, lastResponse: SECOND_REPLY, emptyConversation: false }
+};
+
+for (const provider of self.ExtractorProviders.list()) {
+    for (const [state, expected] of Object.entries(STATES)) {
+        test(`${provider.name}: ${state}`, () => {
+            const { document } = parseHTML(readFixture('providers', `${provider.id}-${state}.html`));
+
+            const input = provider.findInput(document);
+            assert.ok(input, 'message box found');
+            assert.equal(input.getAttribute('contenteditable'), 'true');
+
+            assert.equal(!!provider.findSendButton(document), expected.send, 'enabled send button');
+            assert.equal(provider.isGenerating(document), expected.generating, 'generating');
+            assert.equal(provider.readLastResponse(document).trim(), expected.lastResponse, 'last reply');
+
+            const newChat = provider.findNewChatButton(document);
+            assert.ok(newChat, 'new chat control found');
+            assert.match(newChat.textContent, /New chat/);
+
+            assert.equal(provider.isEmptyConversation(document), expected.emptyConversation, 'empty conversation');
+        });
+    }
+}
+
+test('selector overrides replace a role', () => {
+    const { document } = parseHTML(readFixture('providers', 'gemini-finished.html'));
+    const provider = self.ExtractorProviders.get('gemini', { response: ['user-query .query-text'] });
+    assert.equal(provider.readLastResponse(document).trim(), 'Job 2');
+    assert.equal(provider.getResponses(document).length, 2);
+});
+
+test('tabs are matched to their provider by host', () => {
+    assert.equal(self.ExtractorProviders.detect('https://gemini.google.com/app/123')?.id, 'gemini');
+    assert.equal(self.ExtractorProviders.detect('https://chat.openai.com/c/abc')?.id, 'chatgpt');
+    assert.equal(self.ExtractorProviders.detect('https://claude.ai/new')?.id, 'claude');
+    assert.equal(self.ExtractorProviders.detect('https://example.com/'), null);
+});
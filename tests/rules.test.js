@@ -0,0 +1,106 @@
+// rules.test.js - Rule-based candidates and the rules-only answer (rules.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+loadScripts('normalize.js', 'rules.js');
+const { extract, toHints, toResult } = self.ExtractorRules;
+
+const job = (summary, title = 'Need help') => ({ title, summary });
+
+const NAMES = [
+    // Sign-offs
+    ['Please send samples.\nThanks, Keith', ['Keith']],
+    ['Please send samples.\nBest regards,\nJohn Smith', ['John Smith']],
+    ['Please send samples.\nCheers\n- Sarah', ['Sarah']],
+    ['Looking forward to it. Regards, Anna Looking', ['Anna']],
+    // Introductions
+    ['Hi, I am David and I run a bakery.', ['David']],
+    ['My name is Maria Lopez. We sell shoes.', ['Maria Lopez']],
+    ['Contact Sarah for access.', ['Sarah']],
+    // Words that follow an introduction without being a name
+    ['I am American and looking for a developer.', []],
+    ["I'm Glad to post this job.", []],
+    ['I am Looking for a Python expert.', []],
+    ['I’m German, based in Berlin.', []],
+    ['I am Planning a new store.', []],
+    ['I am The owner of a small shop.', []]
+];
+
+for (const [summary, expected] of NAMES) {
+    test(`names in ${JSON.stringify(summary)} -> ${JSON.stringify(expected)}`, () => {
+        assert.deepEqual(extract(job(summary)).names, expected);
+    });
+}
+
+test('company names stop at the sentence end', () => {
+    assert.deepEqual(extract(job('We are Acme Widgets Inc. Please call.')).companies, ['Acme Widgets Inc']);
+    assert.deepEqual(extract(job('We are Looking for help.')).companies, []);
+});
+
+test('email domains come ahead of URLs and bare domains', () => {
+    const candidates = extract(job('See https://www.acme-shop.com/about and acme.io, or write to jane@acme.com.'));
+
+    assert.deepEqual(candidates.websites, ['acme.com', 'acme-shop.com/about', 'acme.io']);
+    assert.deepEqual(candidates.emails, ['jane@acme.com']);
+});
+
+test('blocklisted domains and technology names are not websites', () => {
+    const candidates = extract(job('Apply on upwork.com or mail me at bob@gmail.com. We use Node.js and ASP.NET; our site is www.bobsbikes.com'));
+
+    assert.deepEqual(candidates.websites, ['bobsbikes.com']);
+    assert.deepEqual(candidates.emails, ['bob@gmail.com']);
+    assert.deepEqual(extract(job('See https://acme.com'), ['acme.com']).websites, []);
+});
+
+test('sites after scrape, research or leads from are targets, not the client website', () => {
+    const candidates = extract(job(
+        'Scrape https://www.amazon.com for prices. I need leads from yelp.com too. ' +
+        'Research our competitors: shop.example.org. Our own site is acme.io.\nThanks, Keith'
+    ));
+
+    assert.deepEqual(candidates.websites, ['acme.io']);
+    assert.deepEqual(candidates.targetWebsites, ['amazon.com', 'yelp.com', 'example.org']);
+    assert.equal(toResult(candidates).clientWebsite, 'acme.io');
+});
+
+test('a target named again elsewhere stays a target', () => {
+    const candidates = extract(job('Scrape product data from amazon.com. The data comes from amazon.com pages.'));
+
+    assert.deepEqual(candidates.websites, []);
+    assert.equal(toResult(candidates).clientWebsite, '');
+});
+
+test('the target word must be in the same sentence', () => {
+    const candidates = extract(job('We need a scraper. Our site is acme.io'));
+
+    assert.deepEqual(candidates.websites, ['acme.io']);
+    assert.deepEqual(candidates.targetWebsites, []);
+});
+
+test('empty input finds nothing', () => {
+    for (const input of [job(''), {}, null, { title: 42, summary: undefined }]) {
+        const candidates = extract(input);
+        assert.deepEqual(candidates, { names: [], companies: [], websites: [], targetWebsites: [], emails: [] });
+        assert.equal(toHints(candidates), null);
+        assert.deepEqual(
+            { ...toResult(candidates), reasoning: undefined },
+            { personName: [], companyName: '', clientWebsite: '', confidence: 0, reasoning: undefined }
+        );
+    }
+});
+
+test('hints keep only the lists with candidates', () => {
+    assert.deepEqual(toHints(extract(job('Thanks, Keith'))), { names: ['Keith'] });
+});
+
+test('the rules-only answer takes all names, the first company and the first website', () => {
+    const result = toResult(extract(job('We are Acme Labs. Visit acme.io or beta.dev.\nThanks, Keith\nI am Sarah Connor.')));
+
+    assert.deepEqual(result.personName, ['Keith', 'Sarah Connor']);
+    assert.equal(result.companyName, 'Acme Labs');
+    assert.equal(result.clientWebsite, 'acme.io');
+    assert.equal(result.confidence, 0.3);
+    assert.match(result.reasoning, /^Rules only/);
+});
@@ -0,0 +1,125 @@
+// schema.test.js - Reply validation and repair follow-ups (schema.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+loadScripts('schema.js');
+const { DEFAULT_SCHEMA, askWithRepair, askBatchWithRepair, splitBatchReply } = self.ExtractorSchema;
+
+const VALID = { personName: ['Keith'], companyName: 'Acme', clientWebsite: 'acme.com', confidence: 0.9, reasoning: 'Signed by Keith' };
+
+// ask() stand-in: answers with the replies in order and records what it was sent
+function scriptedChat(...replies) {
+    const sent = [];
+    const ask = async (text) => {
+        sent.push(text);
+        if (replies.length === 0) throw new Error('asked more often than expected');
+        const reply = replies.shift();
+        return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    };
+    return { ask, sent };
+}
+
+const batchItem = (jobKey, fields = {}) => ({ jobKey, ...VALID, ...fields });
+
+test('a valid reply is taken without a follow-up', async () => {
+    const chat = scriptedChat('```json\n' + JSON.stringify(VALID) + '\n```');
+
+    const { aiResult, validation } = await askWithRepair({ ask: chat.ask, message: 'extract', schema: DEFAULT_SCHEMA, maxRepairAttempts: 2 });
+
+    assert.deepEqual(aiResult, VALID);
+    assert.deepEqual(validation, { repaired: false, repairAttempts: 0, issues: [] });
+    assert.deepEqual(chat.sent, ['extract']);
+});
+
+test('an invalid reply is repaired on the second ask', async () => {
+    const chat = scriptedChat({ ...VALID, confidence: 'high' }, VALID);
+    const log = [];
+
+    const { aiResult, validation } = await askWithRepair({ ask: chat.ask, message: 'extract', schema: DEFAULT_SCHEMA, maxRepairAttempts: 2, log: line => log.push(line) });
+
+    assert.deepEqual(aiResult, VALID);
+    assert.deepEqual(validation, { repaired: true, repairAttempts: 1, issues: [] });
+    assert.equal(chat.sent.length, 2);
+    assert.match(chat.sent[1], /- "confidence" must be a number/);
+    assert.match(chat.sent[1], /keys: personName, companyName, clientWebsite, confidence, reasoning/);
+    assert.deepEqual(log, ['🔧 Reply invalid ("confidence" must be a number). Repair 1/2...', '✅ Reply repaired.']);
+});
+
+test('the last reply is kept with its issues when the repair attempts run out', async () => {
+    const { companyName, ...missingCompany } = VALID;
+    const chat = scriptedChat('Sorry, I cannot help with that.', missingCompany, missingCompany);
+
+    const { aiResult, validation } = await askWithRepair({ ask: chat.ask, message: 'extract', schema: DEFAULT_SCHEMA, maxRepairAttempts: 2 });
+
+    assert.deepEqual(aiResult, missingCompany);
+    assert.deepEqual(validation, { repaired: false, repairAttempts: 2, issues: ['Missing key "companyName"'] });
+    assert.equal(chat.sent.length, 3);
+    assert.match(chat.sent[1], /- No JSON found in response/);
+});
+
+test('a reply without JSON and no repair attempts keeps the error as the reasoning', async () => {
+    const chat = scriptedChat('no idea');
+
+    const { aiResult, validation } = await askWithRepair({ ask: chat.ask, message: 'extract', schema: DEFAULT_SCHEMA });
+
+    assert.deepEqual(aiResult, { reasoning: 'No JSON found in response' });
+    assert.deepEqual(validation, { repaired: false, repairAttempts: 0, issues: ['No JSON found in response'] });
+});
+
+test('a batch reply is split by jobKey; unknown and duplicate keys are ignored', () => {
+    const byKey = splitBatchReply([
+        batchItem('J1'),
+        batchItem('J2', { confidence: 2 }),
+        batchItem('J1', { companyName: 'Duplicate' }),
+        batchItem('J9'),
+        'not an object'
+    ], DEFAULT_SCHEMA, ['J1', 'J2', 'J3']);
+
+    assert.deepEqual(Object.keys(byKey), ['J1', 'J2']);
+    assert.deepEqual(byKey.J1, { value: VALID, issues: [] });
+    assert.deepEqual(byKey.J2.issues, ['"confidence" must be between 0 and 1']);
+    assert.equal('jobKey' in byKey.J2.value, false);
+});
+
+test('a valid batch reply gives one result per job', async () => {
+    const chat = scriptedChat([batchItem('J1'), batchItem('J2', { companyName: '' })]);
+
+    const { results, missingKeys } = await askBatchWithRepair({ ask: chat.ask, message: 'batch', schema: DEFAULT_SCHEMA, jobKeys: ['J1', 'J2'], maxRepairAttempts: 1 });
+
+    assert.deepEqual(missingKeys, []);
+    assert.deepEqual(results.J1, { aiResult: VALID, validation: { repaired: false, repairAttempts: 0, issues: [] } });
+    assert.equal(results.J2.aiResult.companyName, '');
+    assert.equal(chat.sent.length, 1);
+});
+
+test('a batch repair asks for a missing jobKey and keeps the items that were already valid', async () => {
+    const chat = scriptedChat(
+        [batchItem('J1'), batchItem('J2', { personName: 'Keith' }), batchItem('J4')],
+        [batchItem('J1', { companyName: 'Changed' }), batchItem('J2'), batchItem('J3')]
+    );
+
+    const { results, missingKeys } = await askBatchWithRepair({ ask: chat.ask, message: 'batch', schema: DEFAULT_SCHEMA, jobKeys: ['J1', 'J2', 'J3'], maxRepairAttempts: 2 });
+
+    assert.deepEqual(missingKeys, []);
+    assert.equal(chat.sent.length, 2);
+    assert.match(chat.sent[1], /- J2: "personName" must be an array/);
+    assert.match(chat.sent[1], /- No object with "jobKey": "J3"/);
+    assert.doesNotMatch(chat.sent[1], /J4/);
+    assert.equal(results.J1.aiResult.companyName, 'Acme', 'an item that was valid the first time is kept');
+    assert.deepEqual(results.J1.validation, { repaired: false, repairAttempts: 1, issues: [] });
+    assert.deepEqual(results.J2.validation, { repaired: true, repairAttempts: 1, issues: [] });
+    assert.deepEqual(results.J3.validation, { repaired: true, repairAttempts: 1, issues: [] });
+});
+
+test('a jobKey still missing after the repair attempts is reported as missing', async () => {
+    const chat = scriptedChat([batchItem('J1'), batchItem('J5')], 'not json', [batchItem('J1')]);
+
+    const { results, missingKeys } = await askBatchWithRepair({ ask: chat.ask, message: 'batch', schema: DEFAULT_SCHEMA, jobKeys: ['J1', 'J2'], maxRepairAttempts: 2 });
+
+    assert.deepEqual(missingKeys, ['J2']);
+    assert.deepEqual(Object.keys(results), ['J1']);
+    assert.equal(chat.sent.length, 3);
+    assert.match(chat.sent[2], /- No JSON array found in response/);
+});
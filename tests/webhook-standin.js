@@ -0,0 +1,63 @@
+// webhook-standin.js - Local stand-in for a webhook endpoint (n8n, Zapier, ...)
+// Prints each request and checks X-Extractor-Signature against the secret.
+//
+//   node tests/webhook-standin.js [--port 8787] [--secret YOUR_SECRET] [--fail 2]
+//
+// --fail N answers the first N requests with HTTP 500 to show retries and the outbox.
+// tests/webhook.test.js starts it in-process with startStandin().
+
+const http = require('http');
+const crypto = require('crypto');
+
+function expectedSignature(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Resolves with { url, requests, close }. Each request is recorded as
+// { path, headers, body, payload, signatureOk, status }; signatureOk is null without a secret.
+function startStandin({ port = 0, secret = '', failFirst = 0, log = () => {} } = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const signatureOk = secret ? req.headers['x-extractor-signature'] === expectedSignature(body, secret) : null;
+            const status = requests.length < failFirst ? 500 : 200;
+            let payload = null;
+            try {
+                payload = JSON.parse(body);
+            } catch (e) {
+                // Recorded as null; the test decides whether that's a failure
+            }
+            requests.push({ path: req.url, headers: req.headers, body, payload, signatureOk, status });
+            log(`${status} ${req.method} ${req.url}` +
+                (signatureOk === null ? '' : signatureOk ? ' - signature ok' : ' - signature mismatch') +
+                `\n${body}`);
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status === 200 ? 'ok' : 'failing on purpose');
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/hook`,
+            requests,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+if (require.main === module) {
+    const option = (name, fallback) => {
+        const index = process.argv.indexOf(`--${name}`);
+        return index === -1 ? fallback : process.argv[index + 1];
+    };
+    startStandin({
+        port: parseInt(option('port', '8787'), 10),
+        secret: option('secret', ''),
+        failFirst: parseInt(option('fail', '0'), 10),
+        log: console.log
+    }).then(({ url }) => console.log(`🪝 Webhook stand-in listening on ${url}`));
+}
+
+module.exports = { startStandin, expectedSignature };
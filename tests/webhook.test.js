@@ -0,0 +1,106 @@
+// webhook.test.js - Webhook delivery (webhook.js) against the local stand-in server
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+const { startStandin } = require('./webhook-standin');
+
+loadScripts('webhook.js');
+const { deliver, post, buildPayload, backoff, BACKOFF_MS } = self.ExtractorWebhook;
+
+const SECRET = 'test-secret';
+
+function outboxEntries(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        result: { id: 100 + i, companyName: `Company ${i + 1}` },
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: ''
+    }));
+}
+
+// Runs deliver() and records what would be deleted from / written back to the outbox
+async function deliverRound(due, settings) {
+    const deleted = [];
+    const retried = [];
+    const outcome = await deliver(due, settings, {
+        onDelivered: async entries => deleted.push(...entries.map(entry => entry.id)),
+        onFailed: async entries => retried.push(...entries)
+    });
+    return { ...outcome, deleted, retried };
+}
+
+test('results are POSTed in batches with an HMAC-SHA256 signature of the raw body', async (t) => {
+    const standin = await startStandin({ secret: SECRET });
+    t.after(() => standin.close());
+    const settings = { webhookUrl: standin.url, webhookSecret: SECRET, webhookBatchSize: 2, webhookHeaders: { Authorization: 'Bearer abc' } };
+
+    const round = await deliverRound(outboxEntries(3), settings);
+
+    assert.deepEqual(round, { delivered: 3, failure: null, deleted: [1, 2, 3], retried: [] });
+    assert.equal(standin.requests.length, 2);
+    for (const request of standin.requests) {
+        assert.equal(request.signatureOk, true);
+        assert.equal(request.headers['content-type'], 'application/json');
+        assert.equal(request.headers.authorization, 'Bearer abc');
+        assert.equal(request.payload.event, 'results');
+        assert.ok(!Number.isNaN(Date.parse(request.payload.sentAt)));
+    }
+    assert.deepEqual(standin.requests.map(request => request.payload.results.map(result => result.id)), [[100, 101], [102]]);
+});
+
+test('the signature header is left out without a secret', async (t) => {
+    const standin = await startStandin();
+    t.after(() => standin.close());
+
+    await post({ webhookUrl: standin.url, webhookSecret: '' }, buildPayload('test', []));
+
+    assert.equal(standin.requests[0].headers['x-extractor-signature'], undefined);
+    assert.equal(standin.requests[0].payload.event, 'test');
+});
+
+test('a non-2xx reply keeps the batch for a retry with backoff and ends the round', async (t) => {
+    const standin = await startStandin({ secret: SECRET, failFirst: 1 });
+    t.after(() => standin.close());
+    const settings = { webhookUrl: standin.url, webhookSecret: SECRET, webhookBatchSize: 2 };
+    const due = outboxEntries(4);
+
+    const before = Date.now();
+    const failed = await deliverRound(due, settings);
+
+    assert.equal(standin.requests.length, 1, 'the rest of the round waits for the retry');
+    assert.equal(failed.delivered, 0);
+    assert.equal(failed.failure, 'HTTP 500 Internal Server Error');
+    assert.deepEqual(failed.deleted, []);
+    assert.deepEqual(failed.retried.map(entry => entry.id), [1, 2]);
+    for (const entry of failed.retried) {
+        assert.equal(entry.attempts, 1);
+        assert.equal(entry.lastError, 'HTTP 500 Internal Server Error');
+        assert.ok(entry.nextAttemptAt >= before + BACKOFF_MS[0]);
+        assert.ok(entry.nextAttemptAt <= Date.now() + BACKOFF_MS[0]);
+    }
+
+    // The retry sends the same results again, then the rest
+    const retry = await deliverRound([...failed.retried, ...due.slice(2)], settings);
+
+    assert.deepEqual(retry, { delivered: 4, failure: null, deleted: [1, 2, 3, 4], retried: [] });
+    assert.deepEqual(standin.requests.map(request => request.status), [500, 200, 200]);
+    assert.equal(standin.requests[1].body.includes('"id":100'), true);
+});
+
+test('an unreachable endpoint is a failure too', async (t) => {
+    const standin = await startStandin();
+    const url = standin.url;
+    await standin.close();
+
+    const round = await deliverRound(outboxEntries(1), { webhookUrl: url, webhookBatchSize: 1 });
+
+    assert.match(round.failure, /^unreachable: /);
+    assert.equal(round.retried[0].attempts, 1);
+});
+
+test('backoff grows per attempt and stays at the last step', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6, 7, 8, 20].map(backoff),
+        [30000, 60000, 120000, 300000, 900000, 1800000, 3600000, 3600000, 3600000]);
+});
@@ -0,0 +1,83 @@
+// webhook.js - Webhook payloads, signing and delivery rounds
+// Loaded by background.js, which keeps the outbox (IndexedDB), the status and the
+// retry alarm. Also run by tests/webhook.test.js against a local stand-in server.
+
+(function () {
+    const TIMEOUT_MS = 30000;
+    const BACKOFF_MS = [30000, 60000, 120000, 300000, 900000, 1800000, 3600000];
+
+    // Wait before the next try of an entry that has failed `attempts` times
+    function backoff(attempts) {
+        return BACKOFF_MS[Math.min(attempts, BACKOFF_MS.length) - 1];
+    }
+
+    function buildPayload(event, results) {
+        return { event, sentAt: new Date().toISOString(), results };
+    }
+
+    // HMAC-SHA256 of the exact request body, hex encoded
+    async function sign(body, secret) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+        return Array.from(new Uint8Array(signature)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // POST one payload. Throws with a short reason on a network error or non-2xx reply.
+    async function post(settings, payload) {
+        const body = JSON.stringify(payload);
+        const headers = { 'Content-Type': 'application/json', ...settings.webhookHeaders };
+        if (settings.webhookSecret) {
+            headers['X-Extractor-Signature'] = `sha256=${await sign(body, settings.webhookSecret)}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+        let response;
+        try {
+            response = await fetch(settings.webhookUrl, { method: 'POST', headers, body, signal: controller.signal });
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? `timed out after ${TIMEOUT_MS / 1000}s` : `unreachable: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    // Send due outbox entries in batches of settings.webhookBatchSize. onDelivered(entries)
+    // runs after each accepted batch; the first failed batch goes to onFailed with its
+    // attempts, next try and error updated, and ends the round (the endpoint is down,
+    // the rest waits for the retry). Returns { delivered, failure }.
+    async function deliver(due, settings, { onDelivered, onFailed }) {
+        const batchSize = Math.max(1, settings.webhookBatchSize);
+        let delivered = 0;
+        for (let i = 0; i < due.length; i += batchSize) {
+            const entries = due.slice(i, i + batchSize);
+            try {
+                await post(settings, buildPayload('results', entries.map(entry => entry.result)));
+            } catch (error) {
+                const now = Date.now();
+                await onFailed(entries.map(entry => ({
+                    ...entry,
+                    attempts: entry.attempts + 1,
+                    nextAttemptAt: now + backoff(entry.attempts + 1),
+                    lastError: error.message
+                })));
+                return { delivered, failure: error.message };
+            }
+            await onDelivered(entries);
+            delivered += entries.length;
+        }
+        return { delivered, failure: null };
+    }
+
+    self.ExtractorWebhook = {
+        TIMEOUT_MS,
+        BACKOFF_MS,
+        backoff,
+        buildPayload,
+        sign,
+        post,
+        deliver
+    };
+})();